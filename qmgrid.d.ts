@@ -27,6 +27,21 @@ declare module 'qmgrid' {
     retryDelay?: number;
     /** Function to transform request parameters */
     data?: (params: ServerRequestParams) => any;
+    /** Endpoint that receives row updates in server-side mode */
+    update?: string | {
+      url: string;
+      method?: 'POST' | 'PUT' | 'PATCH';
+      /** Transform the update payload before it is sent */
+      data?: (payload: { index: number; changes: any; row: any }) => any;
+    };
+    /**
+     * Endpoint returning every row matching the current search, sort and filters for exports in server-side mode
+     * (a bare array or the usual response shape). Without it, exports request every page from url.
+     */
+    exportUrl?: string | {
+      url: string;
+      method?: 'GET' | 'POST';
+    };
     /** Function called before sending request */
     beforeSend?: (data: any, params: ServerRequestParams) => boolean | void;
     /** Function called after request completion */
@@ -48,6 +63,10 @@ declare module 'qmgrid' {
     error?: string;
     /** Path to request identifier in response */
     draw?: string;
+    /** Path to the "more pages available" flag used by infinite and load more modes */
+    hasMore?: string;
+    /** Path to footer aggregates keyed by column key */
+    aggregates?: string;
   }
 
   /**
@@ -65,9 +84,196 @@ declare module 'qmgrid' {
     sortBy: string | null;
     /** Sort direction */
     sortDir: 'asc' | 'desc';
+    /** Full sort model in priority order */
+    sorts: SortModelItem[];
+    /** Active column filters */
+    filters: ColumnFilter[];
+    /** Group keys; rows should be ordered by these first */
+    groupBy: string[];
+    /** Visible column keys (the columns to search) */
+    columns: string[];
     /** Request identifier */
     draw?: number;
   }
+
+  /**
+   * Stable row identifier
+   */
+  export type RowId = string | number;
+
+  /**
+   * Sort model entry interface
+   * @interface SortModelItem
+   */
+  export interface SortModelItem {
+    /** Sorted column key */
+    key: string;
+    /** Sort direction */
+    dir: 'asc' | 'desc';
+  }
+
+  /**
+   * Built-in aggregate name, or a function of the column values
+   */
+  export type AggregateType = 'sum' | 'avg' | 'min' | 'max' | 'count' |
+    ((values: any[], rows: any[], column: Column) => any);
+
+  /**
+   * Column filter specification interface
+   * @interface ColumnFilterSpec
+   */
+  export interface ColumnFilterSpec {
+    /** Match operator ('range' for number, currency and date columns) */
+    operator?: 'contains' | 'equals' | 'range';
+    /** Value for 'contains' and 'equals' filters */
+    value?: any;
+    /** Lower bound (inclusive) for 'range' filters */
+    min?: number | string;
+    /** Upper bound (inclusive) for 'range' filters */
+    max?: number | string;
+  }
+
+  /**
+   * Active column filter interface
+   * @interface ColumnFilter
+   */
+  export interface ColumnFilter extends ColumnFilterSpec {
+    /** Filtered column key */
+    key: string;
+  }
+
+  /**
+   * Saved view state interface
+   * @interface GridState
+   */
+  export interface GridState {
+    /** State format version */
+    version?: number;
+    currentPage?: number;
+    pageSize?: number;
+    sort?: SortModelItem[];
+    searchTerm?: string;
+    filters?: ColumnFilter[];
+    /** Every column in display order */
+    columns?: Array<{
+      key: string;
+      hidden?: boolean;
+      width?: string | number | null;
+      pinned?: 'left' | 'right' | null;
+    }>;
+    /** Whether column widths were fixed by resizing */
+    fixedLayout?: boolean;
+    /** IDs of the selected rows */
+    selected?: RowId[];
+  }
+
+  /**
+   * Storage used by stateSave (the same shape as localStorage)
+   * @interface StateStorage
+   */
+  export interface StateStorage {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+  }
+
+  /**
+   * Export format added with QMGrid.registerExporter()
+   * @interface Exporter
+   */
+  export interface Exporter {
+    /** Export menu label (language.export[name] takes precedence) */
+    label?: string;
+    /** File extension without the dot (defaults to the format name) */
+    extension?: string;
+    /** MIME type of the file (defaults to 'text/plain') */
+    mimeType?: string;
+    /** Build the file content; called with the grid as `this`. Throwing or rejecting fires 'exportError' instead of 'export'. */
+    serialize(this: QMGrid, rows: any[], columns: Column[], options: Record<string, any>):
+      string | Blob | Uint8Array | Promise<string | Blob | Uint8Array>;
+  }
+  /**
+   * A body cell, addressed by its index in the filtered rows and its column key
+   * @interface CellPosition
+   */
+  export interface CellPosition {
+    row: number;
+    column: string;
+  }
+
+  /**
+   * Block of cells selected with cellSelection
+   * @interface CellRange
+   */
+  export interface CellRange {
+    /** Top-left cell */
+    start: CellPosition;
+    /** Bottom-right cell */
+    end: CellPosition;
+    /** Cell the range was started from */
+    anchor: CellPosition;
+    /** Corner opposite the anchor */
+    focus: CellPosition;
+    /** Keys of the covered columns, in display order */
+    columns: string[];
+    /** Displayed rows between the corners, leaving out rows inside collapsed groups or tree nodes */
+    rows: any[];
+  }
+
+  /**
+   * Options for importData()
+   * @interface ImportOptions
+   */
+  export interface ImportOptions {
+    /** File format (detected from the file name or content when omitted) */
+    format?: 'csv' | 'tsv' | 'json' | 'ndjson';
+    /** File header -> column key, null skipping the header; other headers match column keys and titles */
+    mapping?: { [header: string]: string | null };
+    /** Add the rows, replace all data, or update rows with a matching rowId and add the rest (defaults to 'append') */
+    mode?: 'append' | 'replace' | 'upsert';
+    /** Show the preview dialog before applying */
+    preview?: boolean;
+    /** CSV and TSV: the first line holds headers (otherwise fields map to the visible columns in order) */
+    headers?: boolean;
+    /** CSV field separator (defaults to exportOptions.csvSeparator) */
+    separator?: string;
+  }
+
+  /**
+   * Summary returned by importData() and passed to the 'import' event
+   * @interface ImportResult
+   */
+  export interface ImportResult {
+    format: 'csv' | 'tsv' | 'json' | 'ndjson';
+    mode: 'append' | 'replace' | 'upsert';
+    /** Records read from the file */
+    total: number;
+    /** Rows applied to the data */
+    imported: number;
+    /** Rows added */
+    added: number;
+    /** Existing rows updated (upsert) */
+    updated: number;
+    /** Records skipped because a value failed conversion or validation */
+    invalid: number;
+    /** Problems per record; row is the 1-based record number */
+    errors: Array<{ row: number; column: string; message: string }>;
+  }
+
+  /**
+   * Change set returned by pasteData() and passed to the 'paste' event
+   * @interface PasteResult
+   */
+  export interface PasteResult {
+    /** Top-left cell the values were pasted at */
+    start: CellPosition;
+    /** Cells of existing rows that changed; index is the filtered-data index at paste time */
+    changes: Array<{ id: RowId; index: number; column: string; value: any; oldValue: any }>;
+    /** Rows added past the end (pasteAppendRows) */
+    added: any[];
+    /** Cells left unchanged because a value failed conversion or validation */
+    errors: Array<{ row: number; column: string; message: string }>;
+  }
+
   /**
    * Column configuration interface
    * @interface Column
@@ -77,18 +283,55 @@ declare module 'qmgrid' {
     key: string;
     /** Column header title */
     title: string;
-    /** Column width (CSS value) */
-    width?: string;
+    /** Column width (CSS value, or pixels when a number); resizing stores a pixel value here */
+    width?: string | number;
+    /** Narrowest width in pixels the column can be resized to (defaults to 40) */
+    minWidth?: number;
+    /** Widest width in pixels the column can be resized to */
+    maxWidth?: number;
+    /** Whether the column shows a resize handle when the grid is resizable (defaults to true) */
+    resizable?: boolean;
+    /** Keep the column at the left or right edge while scrolling horizontally */
+    pinned?: 'left' | 'right' | null;
     /** Whether column is sortable */
     sortable?: boolean;
     /** Data type for formatting */
     type?: 'text' | 'date' | 'currency' | 'number';
     /** CSS class name for column cells */
     className?: string;
+    /** Whether column shows a filter input (defaults to true) */
+    filterable?: boolean;
+    /** Filter input type (derived from type when omitted) */
+    filterType?: 'text' | 'number' | 'date' | 'select';
+    /** Options for select filters (derived from the data when omitted) */
+    filterOptions?: Array<string | number | { value: string | number; label?: string }>;
+    /** Custom comparator, overrides the type-based one (receives raw values, direction is applied afterwards) */
+    sortFn?: (a: any, b: any, rowA: any, rowB: any) => number;
+    /** Allow inline editing of this column */
+    editable?: boolean;
+    /** Editor type, or a factory returning an element or { element, getValue } */
+    editor?: 'text' | 'number' | 'date' | 'select' | 'checkbox' | CellEditorFactory;
+    /** Options for select editors (falls back to filterOptions) */
+    editorOptions?: Array<string | number | { value: any; label?: string }>;
+    /** Validate an edited or imported value; return false or an error message to reject it */
+    validate?: (value: any, row: any) => boolean | string | void;
+    /** Start the column hidden from the table, search and default exports (showColumn()/hideColumn() leave this untouched) */
+    hidden?: boolean;
+    /** Whether the column can be hidden from the "Columns" menu (defaults to true) */
+    hideable?: boolean;
+    /** Aggregate shown in the table footer, formatted by type */
+    aggregate?: AggregateType;
     /** Custom render function for cell content */
     render?: (value: any, row: any, index: number) => string | number;
   }
 
+  /**
+   * Custom cell editor factory
+   * @callback CellEditorFactory
+   */
+  export type CellEditorFactory = (value: any, row: any, column: Column) =>
+    HTMLElement | { element: HTMLElement; getValue: () => any };
+
   /**
    * QMGrid configuration interface
    * @interface QMGridConfig
@@ -98,13 +341,49 @@ declare module 'qmgrid' {
     data?: any[];
     /** Array of column configurations */
     columns: Column[];
+    /** Key path or function giving each row a stable ID (defaults to automatic IDs 0, 1, 2... in load order) */
+    rowId?: string | ((row: any) => RowId);
     /** Enable pagination */
     pagination?: boolean;
+    /** How server pages are shown: numbered pages, appended on scroll, or appended on demand (set rowId to drop rows repeated across pages) */
+    paginationMode?: 'pages' | 'infinite' | 'loadMore';
     /** Number of rows per page */
     pageSize?: number;
+    /** Render only the rows in view inside a fixed-height scrolling area */
+    virtualScroll?: boolean;
+    /** Height in pixels of the virtual scrolling area (maximum height with stickyHeader) */
+    scrollHeight?: number;
+    /** Keep the header visible while the table scrolls vertically */
+    stickyHeader?: boolean;
+    /** Estimated row height in pixels used until rows are measured */
+    rowHeight?: number;
+    /** Extra rows rendered above and below the viewport */
+    virtualBuffer?: number;
     /** Enable column sorting */
     sortable?: boolean;
-    /** Enable filtering */
+    /** Locale used to collate text columns (defaults to the browser locale) */
+    sortLocale?: string | string[] | null;
+    /** Where empty values are placed when sorting */
+    sortNulls?: 'first' | 'last';
+    /** Column keys to group rows by, outermost first */
+    groupBy?: string[];
+    /** Aggregates shown in group headers, per column key */
+    groupAggregates?: { [key: string]: AggregateType | AggregateType[] };
+    /** Rows the column.aggregate footer covers */
+    footerScope?: 'page' | 'filtered' | 'selected';
+    /** Render a row's detail section; adds an expander column. Promises show a loading message until they settle */
+    detailRenderer?: (row: any) => string | HTMLElement | Promise<string | HTMLElement>;
+    /** Tree mode: key holding each row's array of child rows (nested data) */
+    childrenKey?: string;
+    /** Tree mode: key holding the parent row's ID (flat data). Requires rowId; without it rows show flat */
+    parentIdKey?: string;
+    /** Column showing tree indentation and toggles (defaults to the first visible column) */
+    treeColumn?: string;
+    /** Row flag marking nodes whose children loadChildren can fetch (defaults to 'hasChildren') */
+    hasChildrenKey?: string;
+    /** Load a tree node's children the first time it is expanded */
+    loadChildren?: (row: any) => any[] | Promise<any[]>;
+    /** Enable the per-column filter row */
     filterable?: boolean;
     /** Enable search functionality */
     searchable?: boolean;
@@ -112,6 +391,14 @@ declare module 'qmgrid' {
     selectable?: boolean;
     /** Allow multiple row selection */
     multiSelect?: boolean;
+    /** Drag or Shift+click (or Shift+arrows) to select a block of cells; Ctrl+C copies it as TSV and an HTML table */
+    cellSelection?: boolean;
+    /** What cell range copies hold: the text as displayed, or the raw data values (defaults to 'formatted') */
+    copyValues?: 'formatted' | 'raw';
+    /** Ctrl+V on a body cell pastes TSV or HTML tables from spreadsheets into editable columns */
+    pasteable?: boolean;
+    /** Add rows when a paste runs past the last row (client-side data only) */
+    pasteAppendRows?: boolean;
     /** Enable responsive design */
     responsive?: boolean;
     /** Enable striped rows */
@@ -132,12 +419,42 @@ declare module 'qmgrid' {
     serverResponse?: ServerResponseConfig;
     /** Enable export functionality */
     exportable?: boolean;
+    /** Formats offered in the export menu, in order (defaults to every format) */
+    exportFormats?: string[] | null;
+    /** Show an "Import" button that loads CSV, TSV, JSON or NDJSON files through a preview dialog */
+    importable?: boolean;
+    /** Show the "Columns" visibility dropdown (defaults to false) */
+    columnMenu?: boolean;
+    /** Reorder columns by dragging headers or with Alt+Left/Right (defaults to false) */
+    reorderable?: boolean;
+    /** Resize columns by dragging header edges; double-click an edge to auto-fit (defaults to false) */
+    resizable?: boolean;
     /** Theme setting ('light' or 'dark') */
     theme?: 'light' | 'dark';
+    /** Save the view state on every change and restore it on init */
+    stateSave?: boolean | {
+      /** Storage key (defaults to 'qmgrid-state-' plus the container ID) */
+      key?: string;
+      /** Where to save (defaults to 'local') */
+      storage?: 'local' | 'session' | StateStorage;
+      /** Upgrade a state saved with another version; return null to discard it */
+      migrate?: (state: GridState, version: number) => GridState | null;
+    };
+    /** Mirror search, sort, page, page size and filters in the URL, and reapply them on popstate */
+    urlSync?: boolean | {
+      /** URL part to write to (defaults to 'search') */
+      mode?: 'search' | 'hash';
+      /** Add a history entry per change, or replace the current one (defaults to 'push') */
+      history?: 'push' | 'replace';
+      /** Prefix for the parameter names, so several grids can share one URL */
+      prefix?: string;
+    };
     /** Export configuration options */
     exportOptions?: {
       /** Default export filename */
       filename?: string;
+      /** PDF heading and document title (defaults to the filename) */
+      title?: string;
       /** Include column headers in export */
       includeHeaders?: boolean;
       /** Export only selected rows */
@@ -150,13 +467,29 @@ declare module 'qmgrid' {
       csvSeparator?: string;
       /** PDF page orientation */
       pdfOrientation?: 'portrait' | 'landscape';
-      /** PDF page size */
+      /** PDF page size: 'A3', 'A4', 'A5', 'letter', 'legal' or 'tabloid' */
       pdfPageSize?: string;
       /** Excel worksheet name */
       excelSheetName?: string;
+      /** Add an 'Export Info' sheet with the export time, rows, search, sort and filters */
+      excelMetadata?: boolean;
+      /** Column keys to export, in order (defaults to the visible columns) */
+      exportColumns?: string[] | null;
+      /** JSON and NDJSON: write the row objects as they are instead of the exported columns */
+      jsonRaw?: boolean;
+      /** Server-side exports without ajax.exportUrl: rows fetched per request (default 1000) */
+      batchSize?: number;
     };
     /** Localization strings */
     language?: {
+      /** Column visibility button label */
+      columns?: string;
+      /** Load more button label */
+      loadMore?: string;
+      /** Server-side export progress (_LOADED_ and _TOTAL_ are replaced) */
+      exporting?: string;
+      /** Button cancelling a server-side export */
+      cancelExport?: string;
       /** Search label */
       search?: string;
       /** Length menu template */
@@ -180,6 +513,81 @@ declare module 'qmgrid' {
         excel?: string;
         pdf?: string;
         print?: string;
+        json?: string;
+        ndjson?: string;
+        xml?: string;
+        markdown?: string;
+        [format: string]: string | undefined;
+      };
+      /** Screen reader announcements (_SORT_, _COLUMN_, _PAGE_, _PAGES_ and _TOTAL_ are replaced) */
+      announce?: {
+        sorted?: string;
+        ascending?: string;
+        descending?: string;
+        unsorted?: string;
+        page?: string;
+        results?: string;
+      };
+      /** Inline editing messages */
+      edit?: {
+        invalid?: string;
+        saveFailed?: string;
+      };
+      /** Import button, preview dialog and conversion messages (_TOTAL_ and _INVALID_ are replaced in summary) */
+      import?: {
+        button?: string;
+        title?: string;
+        fileColumn?: string;
+        gridColumn?: string;
+        skip?: string;
+        mode?: string;
+        append?: string;
+        replace?: string;
+        upsert?: string;
+        summary?: string;
+        confirm?: string;
+        cancel?: string;
+        invalidNumber?: string;
+        invalidDate?: string;
+        invalidBoolean?: string;
+        invalidOption?: string;
+      };
+      /** Tree toggle labels */
+      tree?: {
+        expand?: string;
+        collapse?: string;
+      };
+      /** Detail row labels */
+      detail?: {
+        expand?: string;
+        collapse?: string;
+        loading?: string;
+        error?: string;
+      };
+      /** Row grouping labels */
+      group?: {
+        empty?: string;
+        expand?: string;
+        collapse?: string;
+      };
+      /** Aggregate names shown in group headers and the footer */
+      aggregates?: {
+        sum?: string;
+        avg?: string;
+        min?: string;
+        max?: string;
+        count?: string;
+      };
+      /** Column filter labels */
+      filter?: {
+        placeholder?: string;
+        contains?: string;
+        equals?: string;
+        min?: string;
+        max?: string;
+        from?: string;
+        to?: string;
+        all?: string;
       };
     };
   }
@@ -213,10 +621,12 @@ declare module 'qmgrid' {
     sortColumn: string | null;
     /** Current sort direction */
     sortDirection: 'asc' | 'desc';
+    /** Ordered sort model (primary sort first) */
+    sortModel: SortModelItem[];
     /** Current search term */
     searchTerm: string;
-    /** Set of selected row indices */
-    selectedRows: Set<number>;
+    /** Selected rows keyed by row ID */
+    selectedRows: Map<RowId, any>;
     /** Filtered data array */
     filteredData: any[];
     /** Original data array */
@@ -225,6 +635,8 @@ declare module 'qmgrid' {
     totalRecords: number;
     /** Current server request loading state */
     isLoading: boolean;
+    /** Whether more server pages can be appended */
+    hasMore: boolean;
 
     /**
      * Create a new QMGrid instance
@@ -233,6 +645,14 @@ declare module 'qmgrid' {
      */
     constructor(selector: string | HTMLElement, options?: QMGridConfig);
 
+    /**
+     * Add an export format to every grid; registering a built-in name replaces that format
+     * @param name Format name passed to exportData()
+     * @param exporter Exporter definition
+     * @returns Returns QMGrid for chaining
+     */
+    static registerExporter(name: string, exporter: Exporter): typeof QMGrid;
+
     // Core methods
     /**
      * Initialize the grid
@@ -265,19 +685,58 @@ declare module 'qmgrid' {
     addRow(row: any): QMGrid;
     
     /**
-     * Remove a row from the grid
-     * @param index Row index to remove
+     * Remove a row from the grid. Takes a row ID, not an index: without rowId the automatic
+     * IDs start out equal to the load indexes but do not shift when earlier rows are removed.
+     * @param id ID of the row to remove
      * @returns Returns this for method chaining
      */
-    removeRow(index: number): QMGrid;
+    removeRow(id: RowId): QMGrid;
     
     /**
-     * Update an existing row
-     * @param index Row index to update
+     * Update an existing row. Takes a row ID, not an index (see removeRow()).
+     * @param id ID of the row to update
      * @param newData New data to merge with existing row
      * @returns Returns this for method chaining
      */
-    updateRow(index: number, newData: any): QMGrid;
+    updateRow(id: RowId, newData: any): QMGrid;
+
+    /**
+     * Get the stable ID of a row
+     * @param row Row data object
+     * @returns Row ID
+     */
+    getRowId(row: any): RowId;
+
+    /**
+     * Find a loaded row by its ID
+     * @param id Row ID
+     * @returns Row data, or undefined when not loaded
+     */
+    getRowById(id: RowId): any;
+
+    // Inline editing
+    /**
+     * Open the inline editor for a cell
+     * @param rowIndex Row index within the filtered data
+     * @param key Column key
+     * @returns Returns this for method chaining
+     */
+    editCell(rowIndex: number, key: string): QMGrid;
+
+    /**
+     * Close the open cell editor without saving
+     * @returns Returns this for method chaining
+     */
+    cancelEdit(): QMGrid;
+
+    /**
+     * Write a block of values into editable columns, as pasting from a spreadsheet does.
+     * Values are converted by column type and checked with column.validate; failing cells are skipped.
+     * @param data Tab-separated text, or rows of cell values
+     * @param start Top-left cell (defaults to the focused cell or cell range)
+     * @returns The change set, or null when nothing could be pasted
+     */
+    pasteData(data: string | any[][], start?: CellPosition): PasteResult | null;
 
     // Search and filtering (with method chaining)
     /**
@@ -295,6 +754,196 @@ declare module 'qmgrid' {
      */
     sort(column: string, direction?: 'asc' | 'desc'): QMGrid;
 
+    /**
+     * Replace the ordered multi-column sort model
+     * @param model Sort entries in priority order
+     * @returns Returns this for method chaining
+     */
+    setSortModel(model: SortModelItem[]): QMGrid;
+
+    /**
+     * Get the ordered multi-column sort model
+     * @returns Copy of the sort entries in priority order
+     */
+    getSortModel(): SortModelItem[];
+
+    /**
+     * Set or clear the filter for a column
+     * @param key Column key
+     * @param spec Filter specification, a plain value, or null to clear
+     * @returns Returns this for method chaining
+     */
+    setColumnFilter(key: string, spec: ColumnFilterSpec | string | number | null): QMGrid;
+
+    /**
+     * Get the active column filters
+     * @returns Array of active filters
+     */
+    getColumnFilters(): ColumnFilter[];
+
+    /**
+     * Remove all column filters
+     * @returns Returns this for method chaining
+     */
+    clearFilters(): QMGrid;
+
+    // Columns
+    /**
+     * Get the columns that are currently shown
+     * @returns Visible column configurations
+     */
+    getVisibleColumns(): Column[];
+
+    /**
+     * Show a hidden column
+     * @param key Column key
+     * @returns Returns this for method chaining
+     */
+    showColumn(key: string): QMGrid;
+
+    /**
+     * Hide a column from the table, search and default exports
+     * @param key Column key
+     * @returns Returns this for method chaining
+     */
+    hideColumn(key: string): QMGrid;
+
+    /**
+     * Replace all column definitions
+     * @param columns Column configurations
+     * @returns Returns this for method chaining
+     */
+    setColumns(columns: Column[]): QMGrid;
+
+    /**
+     * Add a column definition
+     * @param column Column configuration
+     * @param position Index to insert at (defaults to the end)
+     * @returns Returns this for method chaining
+     */
+    addColumn(column: Column, position?: number): QMGrid;
+
+    /**
+     * Remove a column definition
+     * @param key Column key
+     * @returns Returns this for method chaining
+     */
+    removeColumn(key: string): QMGrid;
+
+    /**
+     * Move a column to a new position
+     * @param key Column key
+     * @param toIndex Target index among all columns, hidden ones included
+     * @returns Returns this for method chaining
+     */
+    moveColumn(key: string, toIndex: number): QMGrid;
+
+    /**
+     * Set a column's width, clamped to its minWidth/maxWidth
+     * @param key Column key
+     * @param width Width in pixels
+     * @returns Returns this for method chaining
+     */
+    setColumnWidth(key: string, width: number): QMGrid;
+
+    /**
+     * Size a visible column to fit its widest rendered cell
+     * @param key Column key
+     * @returns Returns this for method chaining
+     */
+    autoFitColumn(key: string): QMGrid;
+
+    /**
+     * Pin a column to the left or right edge, or unpin it
+     * @param key Column key
+     * @param side 'left', 'right', or null to unpin
+     * @returns Returns this for method chaining
+     */
+    pinColumn(key: string, side: 'left' | 'right' | null): QMGrid;
+
+    // Grouping
+    /**
+     * Group rows by one or more columns (an empty array ungroups)
+     * @param keys Column keys, outermost first
+     * @returns Returns this for method chaining
+     */
+    groupBy(keys: string[] | string): QMGrid;
+
+    /**
+     * Expand or collapse a group
+     * @param values Group values from the outermost group down
+     * @param expanded Force a state instead of toggling
+     * @returns Returns this for method chaining
+     */
+    toggleGroup(values: any[], expanded?: boolean): QMGrid;
+
+    /**
+     * Expand every group
+     * @returns Returns this for method chaining
+     */
+    expandAllGroups(): QMGrid;
+
+    /**
+     * Collapse every group
+     * @returns Returns this for method chaining
+     */
+    collapseAllGroups(): QMGrid;
+
+    // Detail rows
+    /**
+     * Show the detail row under a row
+     * @param id Row ID
+     * @returns Returns this for method chaining
+     */
+    expandRow(id: any): QMGrid;
+
+    /**
+     * Hide the detail row under a row
+     * @param id Row ID
+     * @returns Returns this for method chaining
+     */
+    collapseRow(id: any): QMGrid;
+
+    /**
+     * Expand every row that passes the current search and filters
+     * @returns Returns this for method chaining
+     */
+    expandAll(): QMGrid;
+
+    /**
+     * Collapse every expanded row
+     * @returns Returns this for method chaining
+     */
+    collapseAll(): QMGrid;
+
+    // Tree data
+    /**
+     * Expand or collapse a tree node, loading its children first if needed
+     * @param id Row ID
+     * @param expanded Force a state instead of toggling
+     * @returns Returns this for method chaining
+     */
+    toggleNode(id: any, expanded?: boolean): QMGrid;
+
+    /**
+     * Expand every tree node that has children
+     * @returns Returns this for method chaining
+     */
+    expandAllNodes(): QMGrid;
+
+    /**
+     * Collapse every tree node
+     * @returns Returns this for method chaining
+     */
+    collapseAllNodes(): QMGrid;
+
+    /**
+     * Change which rows the column aggregate footer covers
+     * @param scope 'page', 'filtered' or 'selected'
+     * @returns Returns this for method chaining
+     */
+    setFooterScope(scope: 'page' | 'filtered' | 'selected'): QMGrid;
+
     // Pagination
     /**
      * Navigate to specific page
@@ -302,6 +951,19 @@ declare module 'qmgrid' {
      */
     goToPage(page: number): void;
     
+    /**
+     * Append the next server page ('infinite' and 'loadMore' modes)
+     * @returns Promise that resolves to this for method chaining
+     */
+    loadMore(): Promise<QMGrid>;
+
+    /**
+     * Scroll a row into view, switching page first when needed
+     * @param id Row ID
+     * @returns Returns this for method chaining
+     */
+    scrollToRow(id: RowId): QMGrid;
+    
     /**
      * Change rows per page
      * @param size Number of rows per page
@@ -311,10 +973,10 @@ declare module 'qmgrid' {
     // Selection
     /**
      * Select or deselect a row
-     * @param index Row index
+     * @param id Row ID
      * @param selected Whether to select or deselect
      */
-    selectRow(index: number, selected: boolean): void;
+    selectRow(id: RowId, selected: boolean): QMGrid;
     
     /**
      * Select or deselect all rows
@@ -327,12 +989,46 @@ declare module 'qmgrid' {
      * @returns Array of selected rows
      */
     getSelectedRows(): any[];
+
+    /**
+     * Get the IDs of all selected rows
+     * @returns Array of selected row IDs
+     */
+    getSelectedIds(): RowId[];
     
     /**
      * Clear all row selections
      */
     clearSelection(): void;
 
+    /**
+     * Get the block of cells selected with cellSelection
+     * @returns The range, or null when no cells are selected
+     */
+    getSelectedRange(): CellRange | null;
+
+    /**
+     * Select a block of cells, as dragging from one cell to another would
+     * @param from Anchor cell, or null to clear the range
+     * @param to Opposite corner (defaults to the anchor)
+     * @returns Returns this for method chaining
+     */
+    selectRange(from: CellPosition | null, to?: CellPosition): QMGrid;
+
+    // View state
+    /**
+     * Get the view state: page, page size, sort, search, filters, columns and selection
+     * @returns State that can be stored as JSON
+     */
+    getState(): GridState;
+
+    /**
+     * Restore a view state; properties left out keep their current value
+     * @param state State from getState()
+     * @returns Returns this for method chaining
+     */
+    setState(state: GridState): QMGrid;
+
     // UI state
     /**
      * Show loading overlay
@@ -370,13 +1066,16 @@ declare module 'qmgrid' {
 
     // Export functionality
     /**
-     * Export grid data to various formats
-     * @param format Export format ('csv', 'excel', 'pdf', 'print')
+     * Export grid data to various formats. In server-side mode every matching row is fetched first
+     * (firing 'exportProgress'), so this returns before the file is written: listen for 'export' to
+     * know it finished, 'serverError' for failed requests, and 'exportProgress' with cancelled: true.
+     * @param format Export format ('csv', 'excel', 'pdf', 'print', 'json', 'ndjson', 'xml', 'markdown' or a registered name)
      * @param options Export options
      * @returns Returns this for method chaining
      */
-    exportData(format: 'csv' | 'excel' | 'pdf' | 'print', options?: {
+    exportData(format: 'csv' | 'excel' | 'pdf' | 'print' | 'json' | 'ndjson' | 'xml' | 'markdown' | (string & {}), options?: {
       filename?: string;
+      title?: string;
       includeHeaders?: boolean;
       selectedOnly?: boolean;
       visibleOnly?: boolean;
@@ -385,8 +1084,28 @@ declare module 'qmgrid' {
       pdfOrientation?: 'portrait' | 'landscape';
       pdfPageSize?: string;
       excelSheetName?: string;
+      excelMetadata?: boolean;
+      jsonRaw?: boolean;
+      exportColumns?: string[];
+      batchSize?: number;
+      [option: string]: any;
     }): QMGrid;
 
+    /**
+     * Cancel a server-side export that is still fetching rows ('exportProgress' fires with cancelled: true)
+     * @returns Returns this for method chaining
+     */
+    cancelExport(): QMGrid;
+
+    // Import
+    /**
+     * Import rows from a CSV, TSV, JSON or NDJSON file or string; rows failing conversion or validation are skipped
+     * @param source File, Blob or text to import
+     * @param options Import options
+     * @returns Promise of the import summary, or null when cancelled or failed
+     */
+    importData(source: File | Blob | string, options?: ImportOptions): Promise<ImportResult | null>;
+
     // Events
     /**
      * Add event listener
@@ -62,7 +62,21 @@ const DEFAULTS = {
     /** @type {number} Maximum retry attempts for failed requests */
     MAX_RETRY_ATTEMPTS: 3,
     /** @type {number} Retry delay in milliseconds */
-    RETRY_DELAY: 1000
+    RETRY_DELAY: 1000,
+    /** @type {number} Estimated row height in pixels for virtual scrolling */
+    ROW_HEIGHT: 41,
+    /** @type {number} Extra rows rendered above and below the viewport when virtual scrolling */
+    VIRTUAL_BUFFER: 10,
+    /** @type {number} Narrowest width in pixels a column can be resized to */
+    MIN_COLUMN_WIDTH: 40,
+    /** @type {number} Width in pixels assumed for columns that have not been measured */
+    COLUMN_WIDTH: 150,
+    /** @type {number} Version written into getState() output, bumped when its shape changes */
+    STATE_VERSION: 1,
+    /** @type {number} Rows shown in the import preview dialog */
+    IMPORT_PREVIEW_ROWS: 20,
+    /** @type {number} Rows per request when a server-side export fetches every page */
+    EXPORT_BATCH_SIZE: 1000
 };
 
 /**
@@ -101,12 +115,38 @@ const CSS_CLASSES = {
 const EVENTS = {
     /** @type {string} Fired when search is performed */
     SEARCH: 'search',
+    /** @type {string} Fired when a column filter is changed */
+    FILTER: 'filter',
+    /** @type {string} Fired when a column is shown or hidden */
+    COLUMN_VISIBILITY: 'columnVisibility',
+    /** @type {string} Fired when columns are added, removed or replaced */
+    COLUMNS_CHANGE: 'columnsChange',
+    /** @type {string} Fired when a column is moved to a new position */
+    COLUMN_MOVE: 'columnMove',
+    /** @type {string} Fired when a column is resized */
+    COLUMN_RESIZE: 'columnResize',
+    /** @type {string} Fired when a column is pinned or unpinned */
+    COLUMN_PIN: 'columnPin',
     /** @type {string} Fired when column is sorted */
     SORT: 'sort',
+    /** @type {string} Fired when the grouping keys change */
+    GROUP: 'group',
+    /** @type {string} Fired when a row's detail section is expanded */
+    ROW_EXPAND: 'rowExpand',
+    /** @type {string} Fired when a row's detail section is collapsed */
+    ROW_COLLAPSE: 'rowCollapse',
+    /** @type {string} Fired when a tree node is expanded or collapsed */
+    NODE_TOGGLE: 'nodeToggle',
+    /** @type {string} Fired when a group is expanded or collapsed */
+    GROUP_TOGGLE: 'groupToggle',
+    /** @type {string} Fired when setState() restores a view state */
+    STATE_RESTORE: 'stateRestore',
     /** @type {string} Fired when page is changed */
     PAGE_CHANGE: 'pageChange',
     /** @type {string} Fired when row is selected/deselected */
     ROW_SELECT: 'rowSelect',
+    /** @type {string} Fired when the cell range changes (cellSelection) */
+    RANGE_SELECT: 'rangeSelect',
     /** @type {string} Fired when data is changed */
     DATA_CHANGE: 'dataChange',
     /** @type {string} Fired when row is added */
@@ -115,8 +155,22 @@ const EVENTS = {
     ROW_REMOVE: 'rowRemove',
     /** @type {string} Fired when row is updated */
     ROW_UPDATE: 'rowUpdate',
+    /** @type {string} Fired when a cell editor opens */
+    CELL_EDIT_START: 'cellEditStart',
+    /** @type {string} Fired when a cell edit is committed */
+    CELL_EDIT: 'cellEdit',
+    /** @type {string} Fired when a cell edit is cancelled */
+    CELL_EDIT_CANCEL: 'cellEditCancel',
+    /** @type {string} Fired once pasted values have been applied */
+    PASTE: 'paste',
     /** @type {string} Fired when data is exported */
     EXPORT: 'export',
+    /** @type {string} Fired as a server-side export fetches its rows */
+    EXPORT_PROGRESS: 'exportProgress',
+    /** @type {string} Fired when a registered exporter fails to build its file */
+    EXPORT_ERROR: 'exportError',
+    /** @type {string} Fired when importData() has applied an import */
+    IMPORT: 'import',
     /** @type {string} Fired when server request starts */
     SERVER_REQUEST_START: 'serverRequestStart',
     /** @type {string} Fired when server request completes */
@@ -127,6 +181,42 @@ const EVENTS = {
     SERVER_DATA_LOADED: 'serverDataLoaded'
 };
 
+/**
+ * Events after which the view state is saved when stateSave is on
+ * @type {Array<string>}
+ * @readonly
+ */
+const STATE_EVENTS = [
+    EVENTS.SEARCH,
+    EVENTS.FILTER,
+    EVENTS.SORT,
+    EVENTS.PAGE_CHANGE,
+    'pageSizeChange',
+    EVENTS.COLUMN_VISIBILITY,
+    EVENTS.COLUMNS_CHANGE,
+    EVENTS.COLUMN_MOVE,
+    EVENTS.COLUMN_RESIZE,
+    EVENTS.COLUMN_PIN,
+    EVENTS.ROW_SELECT,
+    EVENTS.ROW_REMOVE,
+    'selectAll',
+    'selectionClear'
+];
+
+/**
+ * Events after which the URL is updated when urlSync is on
+ * @type {Array<string>}
+ * @readonly
+ */
+const URL_EVENTS = [
+    EVENTS.SEARCH,
+    EVENTS.FILTER,
+    EVENTS.SORT,
+    EVENTS.PAGE_CHANGE,
+    'pageSizeChange',
+    EVENTS.STATE_RESTORE
+];
+
 /**
  * Supported export formats
  * @namespace
@@ -143,6 +233,90 @@ const EXPORT_FORMATS = {
     PRINT: 'print'
 };
 
+/**
+ * Supported import formats
+ * @namespace
+ * @readonly
+ */
+const IMPORT_FORMATS = {
+    /** @type {string} Comma-separated values (the separator follows csvSeparator) */
+    CSV: 'csv',
+    /** @type {string} Tab-separated values */
+    TSV: 'tsv',
+    /** @type {string} JSON array of objects */
+    JSON: 'json',
+    /** @type {string} One JSON object per line */
+    NDJSON: 'ndjson'
+};
+
+/**
+ * Export formats added with QMGrid.registerExporter(), by lowercase name
+ * @type {Map<string, Object>}
+ */
+const EXPORTERS = new Map();
+
+/**
+ * Cell style indexes in the styles.xml of Excel exports
+ * @namespace
+ * @readonly
+ */
+const XLSX_STYLES = {
+    /** @type {number} Unformatted cell */
+    DEFAULT: 0,
+    /** @type {number} Bold text for headers, group sections and totals */
+    BOLD: 1,
+    /** @type {number} Date in exportOptions.dateFormat */
+    DATE: 2,
+    /** @type {number} Number with thousands separators and two decimals */
+    CURRENCY: 3,
+    /** @type {number} Bold currency total */
+    BOLD_CURRENCY: 4,
+    /** @type {number} Date and time */
+    DATE_TIME: 5,
+    /** @type {number} Bold date total */
+    BOLD_DATE: 6
+};
+
+/**
+ * PDF page sizes in points (portrait width and height)
+ * @namespace
+ * @readonly
+ */
+const PDF_PAGE_SIZES = {
+    A3: [841.89, 1190.55],
+    A4: [595.28, 841.89],
+    A5: [419.53, 595.28],
+    LETTER: [612, 792],
+    LEGAL: [612, 1008],
+    TABLOID: [792, 1224]
+};
+
+/**
+ * Glyph widths of the standard Helvetica fonts for characters 32-126, in 1/1000 em
+ * @namespace
+ * @readonly
+ */
+const PDF_FONT_WIDTHS = {
+    /** @type {Array<number>} Helvetica */
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    /** @type {Array<number>} Helvetica-Bold */
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
 /**
  * QMGrid - Advanced Data Table Component
  * 
@@ -243,13 +417,35 @@ class QMGrid {
         this.config = {
             data: [],
             columns: [],
+            rowId: null, // Key path or function(row) giving each row a stable ID
             pagination: true,
+            paginationMode: 'pages', // 'pages', 'infinite' or 'loadMore' (the latter two need serverSide)
             pageSize: DEFAULTS.PAGE_SIZE,
+            virtualScroll: false, // Render only the rows in view (pair with pagination: false)
+            scrollHeight: 400, // Height in pixels of the scrolling area when virtualScroll is on (max height with stickyHeader)
+            stickyHeader: false, // Keep the header row visible while the table scrolls vertically
+            rowHeight: DEFAULTS.ROW_HEIGHT, // Estimated row height until rows are measured
+            virtualBuffer: DEFAULTS.VIRTUAL_BUFFER,
             sortable: true,
+            sortLocale: null, // Locale for text sorting (null uses the browser locale)
+            sortNulls: 'last', // 'first' or 'last' - where empty values go
+            groupBy: [], // Column keys to group rows by, outermost first
+            groupAggregates: {}, // Column key -> 'sum'|'avg'|'min'|'max'|'count'|function (or an array of them)
+            footerScope: 'filtered', // Rows column.aggregate footers cover: 'page', 'filtered' or 'selected'
+            detailRenderer: null, // (row) => string | HTMLElement | Promise - adds an expander column with detail rows
+            childrenKey: null, // Tree mode: key holding each row's array of child rows
+            parentIdKey: null, // Tree mode: key holding the parent row's ID, for flat data
+            treeColumn: null, // Column showing tree indentation and toggles (defaults to the first visible column)
+            hasChildrenKey: 'hasChildren', // Row flag marking nodes whose children loadChildren can fetch
+            loadChildren: null, // (row) => Array | Promise<Array> - load a tree node's children on first expand
             filterable: true,
             searchable: true,
             selectable: false,
             multiSelect: false,
+            cellSelection: false, // Drag or Shift+click to select a block of cells; Ctrl+C copies it as TSV and an HTML table
+            copyValues: 'formatted', // What cell range copies hold: 'formatted' (as displayed) or 'raw' (the data values)
+            pasteable: false, // Ctrl+V on a body cell pastes TSV or HTML tables from spreadsheets into editable columns
+            pasteAppendRows: false, // Add rows when a paste runs past the last row
             responsive: true,
             striped: true,
             bordered: true,
@@ -257,7 +453,14 @@ class QMGrid {
             loading: false,
             emptyMessage: 'No data available',
             exportable: true,
+            exportFormats: null, // Formats offered in the export menu, in order (defaults to every format)
+            importable: false, // Show an "Import" button that loads CSV, TSV, JSON or NDJSON files through a preview dialog
+            columnMenu: false, // Show the "Columns" visibility dropdown
+            reorderable: false, // Drag headers (or Alt+Left/Right) to reorder columns
+            resizable: false, // Drag header edges to resize columns, double-click to auto-fit
             theme: 'light', // 'light' or 'dark'
+            stateSave: null, // { key, storage: 'local' | 'session' | { getItem, setItem }, migrate } - persist the view state
+            urlSync: null, // true or { mode: 'search' | 'hash', history: 'push' | 'replace', prefix } - mirror the view in the URL
             // Server-side processing configuration
             serverSide: false,
             ajax: {
@@ -268,6 +471,8 @@ class QMGrid {
                 retryAttempts: DEFAULTS.MAX_RETRY_ATTEMPTS,
                 retryDelay: DEFAULTS.RETRY_DELAY,
                 data: null, // Function to transform request parameters
+                update: null, // URL (or { url, method }) that receives row updates in server-side mode
+                exportUrl: null, // URL (or { url, method }) returning every matching row for exports in server-side mode
                 beforeSend: null, // Function called before request
                 complete: null, // Function called after request (success or error)
                 error: null // Function called on request error
@@ -276,21 +481,32 @@ class QMGrid {
                 data: 'data', // Path to data array in response
                 totalRecords: 'total', // Path to total records count
                 error: 'error', // Path to error message
-                draw: 'draw' // Path to request identifier (optional)
+                draw: 'draw', // Path to request identifier (optional)
+                hasMore: 'hasMore', // Path to "more pages available" flag (optional)
+                aggregates: 'aggregates' // Path to footer aggregates keyed by column (optional)
             },
             exportOptions: {
                 filename: 'qmgrid-export',
+                title: null, // PDF heading and document title (defaults to the filename)
                 includeHeaders: true,
                 selectedOnly: false,
                 visibleOnly: false,
                 dateFormat: 'YYYY-MM-DD',
                 csvSeparator: ',',
                 pdfOrientation: 'portrait', // 'portrait' or 'landscape'
-                pdfPageSize: 'A4', // 'A4', 'A3', 'letter', etc.
-                excelSheetName: 'Data'
+                pdfPageSize: 'A4', // 'A3', 'A4', 'A5', 'letter', 'legal' or 'tabloid'
+                excelSheetName: 'Data',
+                excelMetadata: false, // Add an 'Export Info' sheet with the export time, rows, search, sort and filters
+                exportColumns: null, // Column keys to export, in order (defaults to the visible columns)
+                jsonRaw: false, // JSON and NDJSON: write the row objects as they are instead of the exported columns
+                batchSize: DEFAULTS.EXPORT_BATCH_SIZE // Server-side exports without ajax.exportUrl: rows fetched per request
             },
             language: {
                 search: 'Search:',
+                columns: 'Columns',
+                loadMore: 'Load more',
+                exporting: 'Exporting _LOADED_ of _TOTAL_ rows...',
+                cancelExport: 'Cancel',
                 lengthMenu: 'Show _MENU_ entries',
                 info: 'Showing _START_ to _END_ of _TOTAL_ entries',
                 infoEmpty: 'Showing 0 to 0 of 0 entries',
@@ -305,7 +521,73 @@ class QMGrid {
                     csv: 'Export CSV',
                     excel: 'Export Excel',
                     pdf: 'Export PDF',
-                    print: 'Print Table'
+                    print: 'Print Table',
+                    json: 'Export JSON',
+                    ndjson: 'Export NDJSON',
+                    xml: 'Export XML',
+                    markdown: 'Export Markdown'
+                },
+                announce: {
+                    sorted: 'Sorted by _SORT_',
+                    ascending: '_COLUMN_ ascending',
+                    descending: '_COLUMN_ descending',
+                    unsorted: 'Sorting removed',
+                    page: 'Page _PAGE_ of _PAGES_',
+                    results: '_TOTAL_ matching rows'
+                },
+                edit: {
+                    invalid: 'Invalid value',
+                    saveFailed: 'Could not save the change'
+                },
+                import: {
+                    button: 'Import',
+                    title: 'Import data',
+                    fileColumn: 'File column',
+                    gridColumn: 'Grid column',
+                    skip: '(Skip)',
+                    mode: 'Import mode',
+                    append: 'Add rows',
+                    replace: 'Replace all rows',
+                    upsert: 'Update matching rows, add the rest',
+                    summary: '_TOTAL_ rows, _INVALID_ with errors (skipped)',
+                    confirm: 'Import',
+                    cancel: 'Cancel',
+                    invalidNumber: 'Not a number',
+                    invalidDate: 'Not a date',
+                    invalidBoolean: 'Not true or false',
+                    invalidOption: 'Not one of the allowed values'
+                },
+                tree: {
+                    expand: 'Expand',
+                    collapse: 'Collapse'
+                },
+                detail: {
+                    expand: 'Expand row',
+                    collapse: 'Collapse row',
+                    loading: 'Loading...',
+                    error: 'Could not load details'
+                },
+                group: {
+                    empty: '(Blank)',
+                    expand: 'Expand group',
+                    collapse: 'Collapse group'
+                },
+                aggregates: {
+                    sum: 'Sum',
+                    avg: 'Avg',
+                    min: 'Min',
+                    max: 'Max',
+                    count: 'Count'
+                },
+                filter: {
+                    placeholder: 'Filter...',
+                    contains: 'Contains',
+                    equals: 'Equals',
+                    min: 'Min',
+                    max: 'Max',
+                    from: 'From',
+                    to: 'To',
+                    all: 'All'
                 }
             },
             ...options
@@ -315,25 +597,112 @@ class QMGrid {
         this.currentPage = 1;
         this.sortColumn = null;
         this.sortDirection = 'asc';
+        this.sortModel = [];
         this.searchTerm = '';
-        this.selectedRows = new Set();
+        this.columnFilters = new Map();
+        this.columnVisibility = new Map(); // Column key -> shown, set by showColumn()/hideColumn(); column.hidden is the default
+        this.columnWidths = new Map(); // Column key -> width, set by resizing or saved state; column.width is the default
+        this.filterTimeout = null;
+        this.pendingFilters = new Set(); // Column keys whose filter inputs changed since the debounce started
+        this.collapsedGroups = new Set(); // Paths of collapsed groups
+        this.expandedRows = new Set(); // IDs of rows showing their detail row
+        this.detailCache = new Map(); // Row ID -> { status, content } from detailRenderer
+        this.expandedNodes = new Set(); // IDs of expanded tree nodes
+        this.searchExpandedNodes = new Set(); // IDs of tree nodes opened to show search and filter matches
+        this.treeParents = null; // Row ID -> parent ID, cached by getTreeParents() until the rows are filtered again
+        this.treeLoading = new Map(); // Row ID -> pending loadChildren request
+        this.treeLoaded = new Set(); // IDs of nodes whose children were fetched with loadChildren
+        this.groupLeafCount = null;
+        this.serverAggregates = null;
+        this.selectedRows = new Map(); // Row ID -> row data, so selections outlive the current page
+        this.cellRange = null; // { anchor, focus } cells ({ row: filteredData index, column: key }) of the cellSelection range
+        this.rangeDrag = null; // Active range drag
+        this.autoRowIds = new WeakMap();
+        this.nextAutoRowId = 0;
         this.filteredData = [];
         this.originalData = [];
+        this.dragColumn = null;
+        this.columnResize = null; // Active resize drag
+        this.fixedLayout = false; // Switched on once a column has been resized
+        this.selectColumnWidth = null;
+        this.expanderColumnWidth = null;
         this.searchTimeout = null;
+        this.activeEditor = null;
+        this.activeCell = { row: -1, col: 0 }; // Roving tab stop; row -1 is the header row
+        this.ariaRowTotal = 1; // Header and body rows counted by aria-rowcount
+        this.announceTimeout = null;
+        this.announceOnLoad = false; // Announce the result count once server data arrives
+        this.urlSync = null; // Resolved urlSync options
+        this.urlDefaults = null; // View state that a URL without grid parameters stands for
+        this.urlRestoring = false; // Set while popstate reapplies the URL, so no history entry is added
+        this.importDialog = null; // Open import preview dialog
         this.eventListeners = new Map();
+
+        // Virtual scrolling state
+        this.virtualRows = null;
+        this.virtualWindow = null;
+        this.virtualOffsets = null;
+        this.virtualHeights = null; // Height of each virtual row, measured or estimated
+        this.virtualDirty = true;
+        this.virtualFrame = null;
+        this.rowHeights = new Map();
         this.events = {};
         
         // Server-side state
         this.totalRecords = 0;
         this.isLoading = false;
         this.currentRequest = null;
+        this.exportRequest = null; // AbortController of a server-side export in progress
         this.requestId = 0;
         this.retryCount = 0;
+        this.hasMore = true;
+        this.infiniteObserver = null;
 
         this.init();
     }
 
+    /**
+     * Add an export format to every grid. Registered formats appear in the export menu and
+     * can be passed to exportData(); registering a built-in name replaces that format.
+     * serialize is called with the grid as `this` and returns the file content, or a promise of it.
+     * @param {string} name - Format name
+     * @param {Object} exporter - Exporter definition
+     * @param {string} [exporter.label] - Export menu label (language.export[name] takes precedence)
+     * @param {string} [exporter.extension] - File extension without the dot (defaults to the name)
+     * @param {string} [exporter.mimeType] - MIME type of the file (defaults to 'text/plain')
+     * @param {Function} exporter.serialize - (rows, columns, options) => string | Blob | Uint8Array | Promise
+     * @returns {typeof QMGrid} Returns QMGrid for chaining
+     * @public
+     * @static
+     */
+    static registerExporter(name, exporter) {
+        if (!name || typeof name !== 'string') {
+            console.warn('Exporter name must be a non-empty string');
+            return QMGrid;
+        }
+        if (!exporter || typeof exporter.serialize !== 'function') {
+            console.warn(`Exporter '${name}' needs a serialize(rows, columns, options) function`);
+            return QMGrid;
+        }
+
+        const key = name.toLowerCase();
+        EXPORTERS.set(key, {
+            name: key,
+            label: exporter.label || name,
+            extension: exporter.extension || key,
+            mimeType: exporter.mimeType || 'text/plain',
+            serialize: exporter.serialize
+        });
+        return QMGrid;
+    }
+
     init() {
+        // Flat trees link rows by ID, and automatic IDs never match the parent IDs in the data
+        if (this.config.parentIdKey && !this.config.rowId) {
+            console.warn('parentIdKey requires rowId; showing the rows without a tree');
+            this.config.parentIdKey = null;
+        }
+
         // Validate server-side configuration
         if (this.config.serverSide) {
             if (!this.config.ajax.url) {
@@ -345,11 +714,41 @@ class QMGrid {
             this.totalRecords = 0;
         } else {
             // Client-side initialization
+            // Nested tree data is flattened so every node is a row
+            if (this.config.childrenKey) {
+                this.config.data = this.flattenTree(this.config.data);
+            }
             this.originalData = [...this.config.data];
             this.filteredData = [...this.config.data];
+            this.assignRowIds(this.originalData);
+
+            // Grouped rows must be contiguous, and tree rows follow their parents, from the first render
+            if (this.getGroupKeys().length > 0 || this.isTreeMode()) {
+                this.applySort();
+            }
+        }
+
+        this.urlSync = this.resolveUrlSync();
+        if (this.urlSync) {
+            this.urlDefaults = { currentPage: 1, pageSize: this.config.pageSize, sort: [], searchTerm: '', filters: [] };
+        }
+
+        // A saved view state is in place before the first render or request;
+        // URL parameters win over it so shared links open the view they were copied from
+        const savedState = this.loadSavedState();
+        const urlState = this.urlSync ? this.readUrlState() : null;
+        if (savedState || urlState) {
+            if (savedState) this.applyState(savedState);
+            if (urlState) this.applyState(urlState);
+            if (!this.config.serverSide) {
+                this.applyFilters();
+                this.currentPage = Math.min(this.currentPage, Math.max(this.getTotalPages(), 1));
+            }
         }
         
         this.createStructure();
+        this.renderColumnMenu();
+        this.syncStateControls();
         
         if (this.config.serverSide) {
             // Load initial server data
@@ -357,6 +756,8 @@ class QMGrid {
         } else {
             this.render();
         }
+
+        if (this.urlSync) this.writeUrlState(true);
         
         this.attachEvents();
     }
@@ -368,6 +769,7 @@ class QMGrid {
         this.setTheme(this.config.theme);
         
         this.container.innerHTML = `
+            <div class="qmgrid-live sr-only" role="status" aria-live="polite" aria-atomic="true"></div>
             <div class="qmgrid-header">
                 <div class="qmgrid-controls">
                     <div class="qmgrid-length">
@@ -392,30 +794,61 @@ class QMGrid {
                             </label>
                         </div>
                     ` : ''}
-                    ${this.config.exportable ? `
-                        <div class="qmgrid-export">
-                            <div class="export-dropdown">
-                                <button class="export-btn" aria-label="Export options">
-                                    <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                                        <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20Z"/>
-                                    </svg>
-                                    Export
-                                </button>
-                                <div class="export-menu">
-                                    <button class="export-option" data-format="csv">${this.config.language.export.csv}</button>
-                                    <button class="export-option" data-format="excel">${this.config.language.export.excel}</button>
-                                    <button class="export-option" data-format="pdf">${this.config.language.export.pdf}</button>
-                                    <button class="export-option" data-format="print">${this.config.language.export.print}</button>
+                    ${this.config.columnMenu || this.config.exportable || this.config.importable ? `
+                        <div class="qmgrid-actions">
+                            ${this.config.columnMenu ? `
+                                <div class="qmgrid-columns">
+                                    <div class="columns-dropdown">
+                                        <button class="columns-btn" aria-label="Show or hide columns" aria-haspopup="true" aria-expanded="false">
+                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                                <path d="M3,4H9V20H3V4M10,4H14V20H10V4M15,4H21V20H15V4Z"/>
+                                            </svg>
+                                            ${this.config.language.columns}
+                                        </button>
+                                        <div class="columns-menu" role="menu"></div>
+                                    </div>
+                                </div>
+                            ` : ''}
+                            ${this.config.exportable ? `
+                                <div class="qmgrid-export">
+                                    <div class="export-dropdown">
+                                        <button class="export-btn" aria-label="Export options">
+                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                                <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20Z"/>
+                                            </svg>
+                                            Export
+                                        </button>
+                                        <div class="export-menu">
+                                            ${this.getExportFormats().map(format => `
+                                                <button class="export-option" data-format="${this.escapeHtml(format.name)}">${this.escapeHtml(format.label)}</button>
+                                            `).join('')}
+                                        </div>
+                                    </div>
                                 </div>
-                            </div>
+                            ` : ''}
+                            ${this.config.importable ? `
+                                <div class="qmgrid-import">
+                                    <button class="import-btn" aria-label="Import data from a file">
+                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                                            <path d="M9,16V10H5L12,3L19,10H15V16H9M5,20V18H19V20H5Z"/>
+                                        </svg>
+                                        ${this.config.language.import.button}
+                                    </button>
+                                    <input type="file" class="import-file-input" accept=".csv,.tsv,.txt,.json,.ndjson" hidden>
+                                </div>
+                            ` : ''}
                         </div>
                     ` : ''}
                 </div>
             </div>
-            <div class="qmgrid-wrapper">
-                <table class="qmgrid-table ${this.getTableClasses()}" role="table" aria-label="Data table">
+            <div class="qmgrid-wrapper${this.config.virtualScroll ? ' qmgrid-virtual' : ''}${this.config.stickyHeader ? ' qmgrid-sticky-header' : ''}"
+                 ${this.config.virtualScroll ? `style="height: ${parseInt(this.config.scrollHeight) || 400}px;"` : ''}
+                 ${this.config.stickyHeader && !this.config.virtualScroll ? `style="max-height: ${parseInt(this.config.scrollHeight) || 400}px;"` : ''}>
+                <table class="qmgrid-table ${this.getTableClasses()}" role="${this.isTreeMode() ? 'treegrid' : 'grid'}" aria-label="Data table"
+                       ${this.config.selectable && this.config.multiSelect ? 'aria-multiselectable="true"' : ''}>
                     <thead class="qmgrid-head" role="rowgroup"></thead>
                     <tbody class="qmgrid-body" role="rowgroup"></tbody>
+                    <tfoot class="qmgrid-foot" role="rowgroup"></tfoot>
                 </table>
                 <div class="qmgrid-loading" style="display: none;" role="status" aria-live="polite">
                     <div class="loading-spinner"></div>
@@ -424,8 +857,18 @@ class QMGrid {
                 <div class="qmgrid-empty" style="display: none;" role="status" aria-live="polite">
                     ${this.config.emptyMessage}
                 </div>
+                ${this.isAccumulatingPages() && this.config.paginationMode === 'infinite' ? `
+                    <div class="qmgrid-sentinel" aria-hidden="true"></div>
+                ` : ''}
             </div>
-            ${this.config.pagination ? `
+            ${this.config.pagination && this.isAccumulatingPages() ? `
+                <div class="qmgrid-footer">
+                    <div class="qmgrid-info"></div>
+                    ${this.config.paginationMode === 'loadMore' ? `
+                        <button class="page-btn load-more-btn">${this.config.language.loadMore}</button>
+                    ` : ''}
+                </div>
+            ` : this.config.pagination ? `
                 <div class="qmgrid-footer">
                     <div class="qmgrid-info"></div>
                     <div class="qmgrid-pagination">
@@ -446,6 +889,7 @@ class QMGrid {
         if (this.config.bordered) classes.push('table-bordered');
         if (this.config.hover) classes.push('table-hover');
         if (this.config.responsive) classes.push('table-responsive');
+        if (this.config.cellSelection) classes.push('cell-selection');
         return classes.join(' ');
     }
 
@@ -490,6 +934,7 @@ class QMGrid {
     render() {
         this.renderHeader();
         this.renderBody();
+        this.renderFooter();
         if (this.config.pagination) {
             this.renderPagination();
             this.renderInfo();
@@ -499,52 +944,324 @@ class QMGrid {
     renderHeader() {
         const thead = this.container.querySelector('.qmgrid-head');
         const headerRow = document.createElement('tr');
+        headerRow.setAttribute('aria-rowindex', '1');
 
         if (this.config.selectable) {
             const selectAllCell = document.createElement('th');
             selectAllCell.className = 'select-column';
+            if (this.fixedLayout) {
+                selectAllCell.style.width = `${this.selectColumnWidth}px`;
+            }
             if (this.config.multiSelect) {
-                selectAllCell.innerHTML = '<input type="checkbox" class="select-all-checkbox">';
+                selectAllCell.innerHTML = '<input type="checkbox" class="select-all-checkbox" tabindex="-1" aria-label="Select all rows">';
+                selectAllCell.firstChild.checked = this.filteredData.length > 0 &&
+                    this.filteredData.every(row => this.selectedRows.has(this.getRowId(row)));
             }
             headerRow.appendChild(selectAllCell);
         }
 
-        this.config.columns.forEach(column => {
+        if (this.hasDetailRows()) {
+            const expanderCell = this.createExpanderCell('th');
+            if (this.fixedLayout) {
+                expanderCell.style.width = `${this.expanderColumnWidth || DEFAULTS.MIN_COLUMN_WIDTH}px`;
+            }
+            headerRow.appendChild(expanderCell);
+        }
+
+        this.getVisibleColumns().forEach(column => {
             const th = document.createElement('th');
             th.className = 'qmgrid-header-cell';
-            th.textContent = column.title;
+            th.dataset.column = column.key;
             
-            if (column.width) {
-                th.style.width = column.width;
+            // Once resized, every column needs a pixel width for the fixed table layout
+            const width = this.fixedLayout ? `${this.getColumnPixelWidth(column)}px` : this.getColumnWidth(column);
+            if (width) {
+                th.style.width = width;
+            }
+
+            if (this.config.reorderable) {
+                th.draggable = true;
+                th.classList.add('reorderable');
             }
             
             if (this.config.sortable && column.sortable !== false) {
                 th.classList.add('sortable');
-                th.dataset.column = column.key;
-                th.setAttribute('tabindex', '0');
-                th.setAttribute('role', 'button');
-                th.setAttribute('aria-sort', 'none');
+
+                const sortIndex = this.sortModel.findIndex(item => item.key === column.key);
+                const sortEntry = this.sortModel[sortIndex];
+                th.setAttribute('aria-sort', sortEntry ? (sortEntry.dir === 'asc' ? 'ascending' : 'descending') : 'none');
+
+                th.innerHTML = '<span class="column-title"></span><span class="sort-indicator"></span>';
+                th.querySelector('.column-title').textContent = column.title;
+
+                if (sortEntry) {
+                    th.classList.add(`sort-${sortEntry.dir}`);
+
+                    // Priority badge only matters once more than one column is sorted
+                    if (this.sortModel.length > 1) {
+                        const badge = document.createElement('span');
+                        badge.className = 'sort-priority';
+                        badge.textContent = sortIndex + 1;
+                        badge.setAttribute('aria-label', `Sort priority ${sortIndex + 1}`);
+                        th.appendChild(badge);
+                    }
+                }
+            } else {
+                th.textContent = column.title;
+            }
+
+            if (this.isColumnResizable(column)) {
+                const handle = document.createElement('span');
+                handle.className = 'qmgrid-resize-handle';
+                handle.setAttribute('aria-hidden', 'true');
+                th.appendChild(handle);
             }
             
             headerRow.appendChild(th);
         });
 
+        // Remember which filter input had focus so typing survives the rebuild
+        const active = document.activeElement;
+        const focusedFilter = active && thead.contains(active) && active.dataset.filterColumn
+            ? { column: active.dataset.filterColumn, part: active.dataset.filterPart, caret: active.selectionStart }
+            : null;
+        const headerFocused = Boolean(active && thead.rows[0] && thead.rows[0].contains(active));
+
         thead.innerHTML = '';
         thead.appendChild(headerRow);
+        this.applyColumnLayout();
+        this.applyPinnedColumns();
+        this.applyRovingTabindex(headerFocused);
+
+        if (this.hasFilterRow()) {
+            thead.appendChild(this.renderFilterRow());
+
+            if (focusedFilter) {
+                const input = thead.querySelector(
+                    `[data-filter-column="${CSS.escape(focusedFilter.column)}"][data-filter-part="${CSS.escape(focusedFilter.part)}"]`
+                );
+                if (input) {
+                    input.focus();
+                    if (typeof focusedFilter.caret === 'number' && input.setSelectionRange) {
+                        try {
+                            input.setSelectionRange(focusedFilter.caret, focusedFilter.caret);
+                        } catch (error) {
+                            // Number and date inputs do not support selection ranges
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Check whether the per-column filter row should be shown
+     * @returns {boolean} True when at least one column can be filtered
+     * @private
+     */
+    hasFilterRow() {
+        return Boolean(this.config.filterable) && this.getVisibleColumns().some(column => column.filterable !== false);
+    }
+
+    /**
+     * Resolve the filter input type for a column
+     * @param {Object} column - Column configuration
+     * @returns {string} 'text', 'number', 'date' or 'select'
+     * @private
+     */
+    getFilterType(column) {
+        if (column.filterType) return column.filterType;
+        if (Array.isArray(column.filterOptions)) return 'select';
+
+        switch (column.type) {
+            case 'number':
+            case 'currency':
+                return 'number';
+            case 'date':
+                return 'date';
+            default:
+                return 'text';
+        }
+    }
+
+    /**
+     * Get the operator a column filter uses when none is given
+     * @param {Object} column - Column configuration
+     * @returns {string} 'range', 'equals' or 'contains'
+     * @private
+     */
+    getDefaultFilterOperator(column) {
+        const filterType = this.getFilterType(column);
+        if (filterType === 'number' || filterType === 'date') return 'range';
+        return filterType === 'select' ? 'equals' : 'contains';
+    }
+
+    /**
+     * Get the options offered by a select filter
+     * @param {Object} column - Column configuration
+     * @returns {Array<{value: string, label: string}>} Select options
+     * @private
+     */
+    getFilterOptions(column) {
+        let options = column.filterOptions;
+
+        // Derive the distinct values from the data when no options are configured
+        if (!Array.isArray(options)) {
+            const values = new Set();
+            if (!this.config.serverSide) {
+                this.originalData.forEach(row => {
+                    const value = this.getCellValue(row, column.key);
+                    if (value !== '') values.add(String(value));
+                });
+            }
+            options = Array.from(values).sort();
+        }
+
+        return options.map(option => (option !== null && typeof option === 'object')
+            ? { value: String(option.value), label: String(option.label !== undefined ? option.label : option.value) }
+            : { value: String(option), label: String(option) });
+    }
+
+    /**
+     * Build the filter row shown under the column headers
+     * @returns {HTMLTableRowElement} Filter row element
+     * @private
+     */
+    renderFilterRow() {
+        const labels = this.config.language.filter;
+        const filterRow = document.createElement('tr');
+        filterRow.className = 'qmgrid-filter-row';
+        filterRow.setAttribute('aria-rowindex', '2');
+
+        if (this.config.selectable) {
+            const spacer = document.createElement('th');
+            spacer.className = 'select-column';
+            filterRow.appendChild(spacer);
+        }
+
+        if (this.hasDetailRows()) {
+            filterRow.appendChild(this.createExpanderCell('th'));
+        }
+
+        this.getVisibleColumns().forEach(column => {
+            const th = document.createElement('th');
+            th.className = 'qmgrid-filter-cell';
+            th.dataset.column = column.key;
+            filterRow.appendChild(th);
+
+            if (column.filterable === false) return;
+
+            const spec = this.columnFilters.get(column.key) || {};
+            const title = this.escapeHtml(column.title || column.key);
+            const attrs = (part) => `class="qmgrid-filter-input" data-filter-column="${this.escapeHtml(column.key)}" data-filter-part="${part}"`;
+            const value = (part) => this.escapeHtml(spec[part] !== undefined && spec[part] !== null ? String(spec[part]) : '');
+
+            switch (this.getFilterType(column)) {
+                case 'select':
+                    th.innerHTML = `
+                        <select ${attrs('value')} aria-label="Filter ${title}">
+                            <option value="">${labels.all}</option>
+                            ${this.getFilterOptions(column).map(option => `
+                                <option value="${this.escapeHtml(option.value)}" ${String(spec.value) === option.value ? 'selected' : ''}>${this.escapeHtml(option.label)}</option>
+                            `).join('')}
+                        </select>`;
+                    break;
+                case 'number':
+                    th.innerHTML = `
+                        <div class="qmgrid-filter-range">
+                            <input type="number" ${attrs('min')} value="${value('min')}" placeholder="${labels.min}" aria-label="Filter ${title} minimum">
+                            <input type="number" ${attrs('max')} value="${value('max')}" placeholder="${labels.max}" aria-label="Filter ${title} maximum">
+                        </div>`;
+                    break;
+                case 'date':
+                    th.innerHTML = `
+                        <div class="qmgrid-filter-range">
+                            <input type="date" ${attrs('min')} value="${value('min')}" title="${labels.from}" aria-label="Filter ${title} from">
+                            <input type="date" ${attrs('max')} value="${value('max')}" title="${labels.to}" aria-label="Filter ${title} to">
+                        </div>`;
+                    break;
+                default:
+                    th.innerHTML = `
+                        <div class="qmgrid-filter-text">
+                            <select ${attrs('operator')} aria-label="Filter ${title} operator">
+                                <option value="contains" ${spec.operator !== 'equals' ? 'selected' : ''}>${labels.contains}</option>
+                                <option value="equals" ${spec.operator === 'equals' ? 'selected' : ''}>${labels.equals}</option>
+                            </select>
+                            <input type="text" ${attrs('value')} value="${value('value')}" placeholder="${labels.placeholder}" aria-label="Filter ${title}" autocomplete="off">
+                        </div>`;
+            }
+        });
+
+        return filterRow;
     }
 
     renderBody() {
         const tbody = this.container.querySelector('.qmgrid-body');
         const emptyDiv = this.container.querySelector('.qmgrid-empty');
+        // Rebuilding the rows drops focus, so hand it back to the active cell afterwards
+        const hadFocus = tbody.contains(document.activeElement);
         
         if (this.filteredData.length === 0) {
+            this.discardEditor();
             tbody.innerHTML = '';
             emptyDiv.style.display = 'block';
+            this.setAriaRowIndexes([]);
+            this.applyRovingTabindex(hadFocus);
             return;
         }
 
         emptyDiv.style.display = 'none';
         
+        // Grouped tables interleave group headers with the page's leaf rows
+        let items;
+
+        if (this.getGroupKeys().length > 0) {
+            items = this.getGroupedPageItems();
+        } else {
+            items = this.getPageItems();
+        }
+
+        // Expanded rows are followed by their detail row
+        if (this.hasDetailRows() && this.expandedRows.size > 0) {
+            items = items.reduce((result, item) => {
+                result.push(item);
+                if (item.type === 'row' && this.expandedRows.has(this.getRowId(item.row))) {
+                    result.push({ type: 'detail', row: item.row, index: item.index });
+                }
+                return result;
+            }, []);
+        }
+        this.setAriaRowIndexes(items);
+
+        // Any open editor is discarded along with the old rows
+        this.discardEditor();
+        tbody.innerHTML = '';
+
+        if (this.config.virtualScroll) {
+            this.virtualRows = { items };
+            this.virtualWindow = null;
+            this.virtualDirty = true;
+            this.renderVirtualWindow(hadFocus);
+            return;
+        }
+
+        items.forEach(item => {
+            tbody.appendChild(this.createItemElement(item));
+        });
+        this.applyPinnedColumns();
+        this.applyRovingTabindex(hadFocus);
+        if (this.config.cellSelection) this.paintCellRange();
+        this.restoreSavingEditor();
+    }
+
+    /**
+     * Get the rows of the current page as display items
+     * @returns {Array<Object>} Row items ({ type: 'row', row, index, renderIndex })
+     * @private
+     */
+    getPageItems() {
+        if (this.isTreeMode()) return this.getTreePageItems();
+
         // For server-side processing, filteredData already contains the correct page data
         // For client-side processing, we need to slice the data for pagination
         let pageData;
@@ -553,7 +1270,7 @@ class QMGrid {
         if (this.config.serverSide) {
             // Server already sent the correct page data
             pageData = this.filteredData;
-            startIndex = (this.currentPage - 1) * this.config.pageSize;
+            startIndex = this.isAccumulatingPages() ? 0 : (this.currentPage - 1) * this.config.pageSize;
             console.log('Server-side renderBody:', {
                 currentPage: this.currentPage,
                 pageSize: this.config.pageSize,
@@ -568,1146 +1285,7652 @@ class QMGrid {
             pageData = this.filteredData.slice(startIndex, endIndex);
         }
 
-        tbody.innerHTML = '';
-        
-        pageData.forEach((row, index) => {
-            const tr = document.createElement('tr');
-            tr.className = 'qmgrid-row';
-            tr.dataset.index = startIndex + index;
+        const dataOffset = this.config.serverSide ? 0 : startIndex;
 
-            if (this.selectedRows.has(startIndex + index)) {
-                tr.classList.add('selected');
-            }
+        return pageData.map((row, index) => ({
+            type: 'row',
+            row,
+            index: dataOffset + index,
+            renderIndex: startIndex + index
+        }));
+    }
 
-            if (this.config.selectable) {
-                const selectCell = document.createElement('td');
-                selectCell.className = 'select-column';
-                const checkbox = document.createElement('input');
-                checkbox.type = this.config.multiSelect ? 'checkbox' : 'radio';
-                checkbox.name = this.config.multiSelect ? '' : 'row-select';
-                checkbox.className = 'row-select-checkbox';
-                checkbox.checked = this.selectedRows.has(startIndex + index);
-                selectCell.appendChild(checkbox);
-                tr.appendChild(selectCell);
-            }
+    /**
+     * Build the table row for a display item
+     * @param {Object} item - Row or group item
+     * @returns {HTMLTableRowElement} Row element
+     * @private
+     */
+    createItemElement(item) {
+        let tr;
+        if (item.type === 'group') {
+            tr = this.createGroupRowElement(item);
+        } else if (item.type === 'detail') {
+            tr = this.createDetailRowElement(item);
+        } else {
+            tr = this.createRowElement(item.row, item.index, item.renderIndex, item.tree);
+        }
+        if (item.ariaRowIndex) tr.setAttribute('aria-rowindex', String(item.ariaRowIndex));
+        return tr;
+    }
 
-            this.config.columns.forEach(column => {
-                const td = document.createElement('td');
-                td.className = 'qmgrid-cell';
-                
-                let cellValue = this.getCellValue(row, column.key);
-                
-                if (column.render && typeof column.render === 'function') {
-                    cellValue = this.safeRender(column.render, cellValue, row, startIndex + index);
-                } else if (column.type === 'date' && cellValue) {
-                    try {
-                        cellValue = new Date(cellValue).toLocaleDateString();
-                    } catch (error) {
-                        console.warn('Invalid date value:', cellValue);
-                        cellValue = String(cellValue);
-                    }
-                } else if (column.type === 'currency' && cellValue !== null && cellValue !== undefined) {
-                    try {
-                        const numValue = parseFloat(cellValue);
-                        if (isNaN(numValue)) {
-                            cellValue = String(cellValue);
-                        } else {
-                            cellValue = new Intl.NumberFormat('en-US', {
-                                style: 'currency',
-                                currency: 'GHS'
-                            }).format(numValue);
-                        }
-                    } catch (error) {
-                        console.warn('Invalid currency value:', cellValue);
-                        cellValue = String(cellValue);
-                    }
-                }
+    /**
+     * Build the table row for a data row
+     * @param {Object} row - Row data
+     * @param {number} index - Index of the row in filteredData
+     * @param {number} renderIndex - Absolute row number passed to render functions
+     * @param {Object} [tree] - Tree state ({ level, expanded, hasChildren, loading }) in tree mode
+     * @returns {HTMLTableRowElement} Row element
+     * @private
+     */
+    createRowElement(row, index, renderIndex, tree) {
+        const tr = document.createElement('tr');
+        tr.className = 'qmgrid-row';
+        const rowId = this.getRowId(row);
+        const isSelected = this.selectedRows.has(rowId);
+        tr.dataset.index = index;
+        tr.dataset.rowId = String(rowId);
 
-                td.innerHTML = cellValue || '';
-                
-                if (column.className) {
-                    td.className += ' ' + column.className;
-                }
+        if (isSelected) {
+            tr.classList.add('selected');
+        }
 
-                tr.appendChild(td);
-            });
+        if (this.config.selectable) {
+            tr.setAttribute('aria-selected', String(isSelected));
+            const selectCell = document.createElement('td');
+            selectCell.className = 'select-column';
+            const checkbox = document.createElement('input');
+            checkbox.type = this.config.multiSelect ? 'checkbox' : 'radio';
+            checkbox.name = this.config.multiSelect ? '' : 'row-select';
+            checkbox.className = 'row-select-checkbox';
+            checkbox.tabIndex = -1;
+            checkbox.setAttribute('aria-label', 'Select row');
+            checkbox.checked = isSelected;
+            selectCell.appendChild(checkbox);
+            tr.appendChild(selectCell);
+        }
+
+        if (this.hasDetailRows()) {
+            const expanded = this.expandedRows.has(rowId);
+            const expanderCell = this.createExpanderCell('td');
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'qmgrid-row-expander';
+            toggle.tabIndex = -1;
+            toggle.setAttribute('aria-expanded', String(expanded));
+            toggle.setAttribute('aria-label', expanded ? this.config.language.detail.collapse : this.config.language.detail.expand);
+            expanderCell.appendChild(toggle);
+            tr.appendChild(expanderCell);
+            if (expanded) tr.classList.add('expanded');
+        }
 
-            tbody.appendChild(tr);
+        const treeColumnKey = tree ? this.getTreeColumnKey() : null;
+        if (tree) {
+            tr.classList.add(`qmgrid-tree-level-${tree.level}`);
+            tr.setAttribute('aria-level', String(tree.level + 1));
+            if (tree.hasChildren) tr.setAttribute('aria-expanded', String(tree.expanded));
+        }
+
+        this.getVisibleColumns().forEach(column => {
+            const td = document.createElement('td');
+            td.className = 'qmgrid-cell';
+            td.dataset.column = column.key;
+
+            if (this.isCellEditable(column)) {
+                td.classList.add('editable');
+            }
+            
+            let cellValue = this.getCellValue(row, column.key);
+            
+            if (column.render && typeof column.render === 'function') {
+                cellValue = this.safeRender(column.render, cellValue, row, renderIndex);
+            } else {
+                cellValue = this.formatCellValue(cellValue, column);
+            }
+
+            td.innerHTML = cellValue || '';
+
+            if (column.key === treeColumnKey) {
+                td.classList.add('qmgrid-tree-cell');
+                td.insertBefore(this.createTreeToggle(tree), td.firstChild);
+            }
+            
+            if (column.className) {
+                td.className += ' ' + column.className;
+            }
+
+            tr.appendChild(td);
         });
+
+        return tr;
     }
 
-    getCellValue(row, key) {
-        if (!row || typeof row !== 'object') {
-            return '';
+    /**
+     * Build the indented caret (or spacer, for leaf rows) shown in the tree column
+     * @param {Object} tree - Tree state ({ level, expanded, hasChildren, loading })
+     * @returns {HTMLElement} Toggle button or spacer
+     * @private
+     */
+    createTreeToggle(tree) {
+        let toggle;
+        if (tree.hasChildren) {
+            toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'qmgrid-tree-toggle';
+            toggle.tabIndex = -1;
+            toggle.setAttribute('aria-expanded', String(tree.expanded));
+            toggle.setAttribute('aria-label', tree.expanded ? this.config.language.tree.collapse : this.config.language.tree.expand);
+            if (!tree.expanded) toggle.classList.add('collapsed');
+            if (tree.loading) toggle.classList.add('loading');
+        } else {
+            toggle = document.createElement('span');
+            toggle.className = 'qmgrid-tree-spacer';
         }
-        
-        if (!key) {
-            return '';
+        toggle.style.marginLeft = `${tree.level * 20}px`;
+        return toggle;
+    }
+
+    /**
+     * Render the column aggregate footer (only when a column sets aggregate)
+     * @private
+     */
+    renderFooter() {
+        const tfoot = this.container.querySelector('.qmgrid-foot');
+        if (!tfoot) return;
+
+        tfoot.innerHTML = '';
+        const cells = this.getFooterCells();
+        if (!cells) {
+            this.updateAriaRowCount();
+            return;
         }
-        
-        // Handle nested properties with dot notation (e.g., 'user.name')
-        if (key.includes('.')) {
-            return key.split('.').reduce((obj, prop) => {
-                return obj && obj[prop] !== undefined ? obj[prop] : '';
-            }, row);
+
+        const tr = document.createElement('tr');
+        tr.className = 'qmgrid-footer-row';
+
+        if (this.config.selectable) {
+            const selectCell = document.createElement('td');
+            selectCell.className = 'select-column';
+            tr.appendChild(selectCell);
         }
-        
-        return row[key] !== undefined && row[key] !== null ? row[key] : '';
-    }
 
-    safeRender(renderFn, value, row, index) {
-        try {
-            const result = renderFn(value, row, index);
-            if (typeof result !== 'string' && typeof result !== 'number') {
-                console.warn('Render function should return string or number, got:', typeof result);
-                return String(result || '');
-            }
-            return result;
-        } catch (error) {
-            console.error('Error in custom render function:', error);
-            return String(value || '');
+        if (this.hasDetailRows()) {
+            tr.appendChild(this.createExpanderCell('td'));
         }
+
+        cells.forEach(cell => {
+            const td = document.createElement('td');
+            td.className = 'qmgrid-footer-cell';
+            td.dataset.column = cell.column.key;
+
+            if (cell.type !== null) {
+                if (typeof cell.type === 'string') {
+                    const label = document.createElement('span');
+                    label.className = 'qmgrid-footer-label';
+                    label.textContent = this.config.language.aggregates[cell.type] || cell.type;
+                    td.appendChild(label);
+                }
+                const value = document.createElement('span');
+                value.className = 'qmgrid-footer-value';
+                value.textContent = cell.text;
+                td.appendChild(value);
+            }
+
+            if (cell.column.className) {
+                td.className += ' ' + cell.column.className;
+            }
+            tr.appendChild(td);
+        });
+
+        tfoot.appendChild(tr);
+        this.applyPinnedColumns();
+        this.updateAriaRowCount();
     }
 
-    renderPagination() {
+    /**
+     * Compute the footer aggregate for every column over the configured footerScope
+     * @param {Array<Object>} [columns] - Columns to compute (defaults to the visible columns)
+     * @param {Array<Object>} [rows] - Rows to aggregate instead of the footerScope rows
+     * @returns {Array<{column: Object, type: string|Function|null, value: *, text: string}>|null}
+     *          One entry per column, or null when no column has an aggregate
+     * @private
+     */
+    getFooterCells(columns = this.getVisibleColumns(), rows = null) {
+        if (!columns.some(col => col.aggregate)) return null;
+
+        const scoped = !rows;
+        if (scoped) rows = this.getFooterScopeRows();
+
+        // Server totals cover every filtered row, which the client never has in full
+        const serverValues = scoped && this.config.footerScope === 'filtered' && this.config.serverSide && this.serverAggregates
+            ? this.serverAggregates
+            : null;
+
+        return columns.map(column => {
+            const type = column.aggregate || null;
+            if (!type) {
+                return { column, type: null, value: null, text: '' };
+            }
+
+            const value = serverValues && serverValues[column.key] !== undefined
+                ? serverValues[column.key]
+                : this.computeAggregate(rows, column, type);
+            return { column, type, value, text: this.formatAggregate(value, column, type) };
+        });
+    }
+
+    /**
+     * Get the rows the footer aggregates cover under config.footerScope
+     * @returns {Array<Object>} Selected rows, the current page's rows or every filtered row
+     * @private
+     */
+    getFooterScopeRows() {
+        const scope = this.config.footerScope;
+        if (scope === 'selected') {
+            return this.getSelectedRows();
+        }
+        if (scope === 'page') {
+            const items = this.getGroupKeys().length > 0 ? this.getGroupedPageItems() : this.getPageItems();
+            return items.filter(item => item.type === 'row').map(item => item.row);
+        }
+        return this.filteredData;
+    }
+
+    /**
+     * Change which rows the footer aggregates cover
+     * @param {string} scope - 'page', 'filtered' or 'selected'
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    setFooterScope(scope) {
+        if (!['page', 'filtered', 'selected'].includes(scope)) {
+            console.warn('Footer scope must be "page", "filtered" or "selected"');
+            return this;
+        }
+
+        this.config.footerScope = scope;
+        this.renderFooter();
+        return this;
+    }
+
+    /**
+     * Format a raw value for display according to column.type
+     * @param {*} value - Raw cell value
+     * @param {Object} column - Column configuration
+     * @returns {*} Display value
+     * @private
+     */
+    formatCellValue(value, column) {
+        if (column.type === 'date' && value) {
+            try {
+                return new Date(value).toLocaleDateString();
+            } catch (error) {
+                console.warn('Invalid date value:', value);
+                return String(value);
+            }
+        }
+
+        if (column.type === 'currency' && value !== null && value !== undefined) {
+            try {
+                const numValue = parseFloat(value);
+                if (isNaN(numValue)) {
+                    return String(value);
+                }
+                return new Intl.NumberFormat('en-US', {
+                    style: 'currency',
+                    currency: 'GHS'
+                }).format(numValue);
+            } catch (error) {
+                console.warn('Invalid currency value:', value);
+                return String(value);
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Build the header row for a group: caret, group value, row count and aggregates
+     * @param {Object} item - Group item
+     * @returns {HTMLTableRowElement} Row element
+     * @private
+     */
+    createGroupRowElement(item) {
+        const node = item.node;
+        const column = this.config.columns.find(col => col.key === node.key) || { key: node.key, title: node.key };
+        const language = this.config.language.group;
+
+        const tr = document.createElement('tr');
+        tr.className = `qmgrid-group-row qmgrid-group-level-${node.level}`;
+        tr.dataset.groupPath = node.path;
+        tr.setAttribute('aria-expanded', String(!item.collapsed));
+        if (item.collapsed) tr.classList.add('collapsed');
+        if (item.continued) tr.classList.add('continued');
+
+        const td = document.createElement('td');
+        td.className = 'qmgrid-group-cell';
+        td.colSpan = this.getColumnCount();
+        td.style.paddingLeft = `${12 + node.level * 20}px`;
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'qmgrid-group-toggle';
+        toggle.tabIndex = -1;
+        toggle.setAttribute('aria-label', item.collapsed ? language.expand : language.collapse);
+        td.appendChild(toggle);
+
+        const title = document.createElement('span');
+        title.className = 'qmgrid-group-title';
+        title.textContent = `${column.title}: `;
+        td.appendChild(title);
+
+        const value = document.createElement('span');
+        value.className = 'qmgrid-group-value';
+        value.textContent = this.getGroupValueText(node);
+        td.appendChild(value);
+
+        const count = document.createElement('span');
+        count.className = 'qmgrid-group-count';
+        count.textContent = `(${node.rows.length})`;
+        td.appendChild(count);
+
+        const aggregates = this.getGroupAggregates(node);
+        if (aggregates.length > 0) {
+            const container = document.createElement('span');
+            container.className = 'qmgrid-group-aggregates';
+            aggregates.forEach(aggregate => {
+                const span = document.createElement('span');
+                span.className = 'qmgrid-group-aggregate';
+                span.dataset.column = aggregate.key;
+                span.textContent = aggregate.label;
+                container.appendChild(span);
+            });
+            td.appendChild(container);
+        }
+
+        tr.appendChild(td);
+        return tr;
+    }
+
+    /**
+     * Create the cell for the detail expander column
+     * @param {string} tag - 'th' or 'td'
+     * @returns {HTMLTableCellElement} Expander cell
+     * @private
+     */
+    createExpanderCell(tag) {
+        const cell = document.createElement(tag);
+        cell.className = 'expander-column';
+        return cell;
+    }
+
+    /**
+     * Build the full-width detail row shown under an expanded row
+     * @param {Object} item - Detail item ({ type: 'detail', row, index })
+     * @returns {HTMLTableRowElement} Detail row
+     * @private
+     */
+    createDetailRowElement(item) {
+        const id = this.getRowId(item.row);
+        const tr = document.createElement('tr');
+        tr.className = 'qmgrid-detail-row';
+        tr.dataset.rowId = String(id);
+
+        const td = document.createElement('td');
+        td.className = 'qmgrid-detail-cell';
+        td.colSpan = this.getColumnCount();
+        tr.appendChild(td);
+
+        // detailRenderer only runs the first time a row is shown expanded
+        if (!this.detailCache.has(id)) {
+            this.loadRowDetail(item.row);
+        }
+        this.fillDetailCell(td, this.detailCache.get(id));
+        return tr;
+    }
+
+    /**
+     * Run detailRenderer for a row and cache the result, updating the
+     * detail row in place when a promise settles
+     * @param {Object} row - Row data
+     * @private
+     */
+    loadRowDetail(row) {
+        const id = this.getRowId(row);
+        let content;
+        try {
+            content = this.config.detailRenderer(row);
+        } catch (error) {
+            console.error('Error in detail renderer:', error);
+            this.detailCache.set(id, { status: 'error', content: null });
+            return;
+        }
+
+        if (!content || typeof content.then !== 'function') {
+            this.detailCache.set(id, { status: 'ready', content });
+            return;
+        }
+
+        const entry = { status: 'loading', content: null };
+        this.detailCache.set(id, entry);
+        content.then(result => {
+            entry.status = 'ready';
+            entry.content = result;
+        }, error => {
+            console.error('Failed to load row details:', error);
+            entry.status = 'error';
+        }).then(() => {
+            // Skip rows that were collapsed or reloaded while loading
+            if (this.detailCache.get(id) !== entry) return;
+
+            if (this.config.virtualScroll && this.virtualRows) {
+                // Re-render the window so the new row height is measured
+                this.virtualWindow = null;
+                this.renderVirtualWindow();
+                return;
+            }
+            const tr = Array.from(this.container.querySelectorAll('.qmgrid-detail-row'))
+                .find(detailRow => detailRow.dataset.rowId === String(id));
+            if (tr) this.fillDetailCell(tr.firstChild, entry);
+        });
+    }
+
+    /**
+     * Put cached detail content into a detail cell
+     * @param {HTMLTableCellElement} td - Detail cell
+     * @param {{status: string, content: *}} entry - Cached detail content
+     * @private
+     */
+    fillDetailCell(td, entry) {
+        const labels = this.config.language.detail;
+        td.innerHTML = '';
+        td.classList.toggle('loading', entry.status === 'loading');
+        td.classList.toggle('error', entry.status === 'error');
+
+        if (entry.status === 'loading') {
+            td.textContent = labels.loading;
+        } else if (entry.status === 'error') {
+            td.textContent = labels.error;
+        } else if (entry.content instanceof Node) {
+            td.appendChild(entry.content);
+        } else if (entry.content !== null && entry.content !== undefined) {
+            td.innerHTML = String(entry.content);
+        }
+    }
+
+    /**
+     * Render the rows currently inside the virtual scroll viewport, with spacer
+     * rows standing in for everything above and below so the scrollbar stays accurate
+     * @param {boolean} [restoreFocus=false] - Focus the active cell even if focus already left the body
+     * @private
+     */
+    renderVirtualWindow(restoreFocus = false) {
+        const state = this.virtualRows;
+        const wrapper = this.container.querySelector('.qmgrid-wrapper');
+        const tbody = this.container.querySelector('.qmgrid-body');
+        if (!state || !wrapper || !tbody) return;
+
+        const count = state.items.length;
+        const offsets = this.getVirtualOffsets();
+        const thead = this.container.querySelector('.qmgrid-head');
+        const headerHeight = thead ? thead.offsetHeight : 0;
+        const viewHeight = Math.max((wrapper.clientHeight || parseInt(this.config.scrollHeight) || 400) - headerHeight, 0);
+        const buffer = this.config.virtualBuffer;
+
+        // The header is sticky, so scrollTop maps straight onto row offsets
+        let first = Math.max(this.findVirtualIndex(offsets, wrapper.scrollTop) - buffer, 0);
+        const last = Math.min(this.findVirtualIndex(offsets, wrapper.scrollTop + viewHeight) + buffer, count - 1);
+
+        // Start on an even row so striping does not flicker while scrolling
+        first -= first % 2;
+
+        if (this.virtualWindow && this.virtualWindow.first === first && this.virtualWindow.last === last) {
+            return;
+        }
+
+        // Scrolling the edited row out of the window saves it, as leaving the cell would. An edit that
+        // fails validation or waits on a server save keeps its row rendered, so the input survives.
+        // A failed server save is only retried by the user, not by every scroll.
+        const active = this.activeEditor;
+        const kept = active ? state.items.findIndex(item => item.type === 'row' && item.row === active.row) : -1;
+        const commit = kept !== -1 && !active.saving && !active.saveFailed;
+        if (commit && (kept < first || kept > last) && this.commitEdit()) {
+            // A client-side commit re-renders the body; a server-side one leaves the editor saving
+            if (!this.activeEditor) return;
+        }
+        this.virtualWindow = { first, last };
+        if (kept === -1) this.discardEditor();
+
+        // The edited row stays in the document so its input keeps focus and value
+        const keptRow = kept !== -1 && tbody.contains(active.td) ? active.td.closest('tr') : null;
+        const indexes = [];
+        for (let i = first; i <= last; i++) indexes.push(i);
+        if (kept !== -1 && kept < first) indexes.unshift(kept);
+        if (kept > last) indexes.push(kept);
+
+        const hadFocus = restoreFocus || tbody.contains(document.activeElement);
+        const editorFocused = Boolean(keptRow) && active.wrapper.contains(document.activeElement);
+        Array.from(tbody.children).forEach(tr => {
+            if (tr !== keptRow) tr.remove();
+        });
+
+        // Spacers reserve the height of every gap between rendered rows
+        const spacers = [];
+        const rows = {};
+        let fragment = document.createDocumentFragment();
+        const addSpacer = (from, to) => {
+            const spacer = this.createVirtualSpacer(offsets[to] - offsets[from]);
+            spacers.push({ spacer, from, to });
+            fragment.appendChild(spacer);
+        };
+        indexes.forEach((index, n) => {
+            const previous = n === 0 ? 0 : indexes[n - 1] + 1;
+            if (n === 0 || index > previous) addSpacer(previous, index);
+            if (keptRow && index === kept) {
+                tbody.insertBefore(fragment, keptRow);
+                fragment = document.createDocumentFragment();
+                rows[index] = keptRow;
+            } else {
+                rows[index] = this.createItemElement(state.items[index]);
+                fragment.appendChild(rows[index]);
+            }
+        });
+        addSpacer(indexes[indexes.length - 1] + 1, count);
+        tbody.appendChild(fragment);
+
+        // Cache measured heights so variable-height rows are positioned correctly next time
+        let firstChanged = -1;
+        indexes.forEach(i => {
+            const height = rows[i].getBoundingClientRect().height;
+            if (height > 0 && this.virtualHeights[i] !== height) {
+                this.rowHeights.set(this.getItemKey(state.items[i]), height);
+                this.virtualHeights[i] = height;
+                if (firstChanged === -1 || i < firstChanged) firstChanged = i;
+            }
+        });
+
+        if (firstChanged !== -1) {
+            const measured = this.shiftVirtualOffsets(firstChanged);
+            spacers.forEach(({ spacer, from, to }) => {
+                spacer.firstChild.style.height = `${measured[to] - measured[from]}px`;
+            });
+        }
+        this.applyPinnedColumns();
+        this.applyRovingTabindex(hadFocus && !editorFocused);
+        if (this.config.cellSelection) this.paintCellRange();
+        this.restoreSavingEditor();
+    }
+
+    /**
+     * Create a spacer row that reserves scroll height for rows not rendered
+     * @param {number} height - Spacer height in pixels
+     * @returns {HTMLTableRowElement} Spacer row
+     * @private
+     */
+    createVirtualSpacer(height) {
+        const tr = document.createElement('tr');
+        tr.className = 'qmgrid-virtual-spacer';
+        tr.setAttribute('aria-hidden', 'true');
+        const td = document.createElement('td');
+        td.colSpan = this.getColumnCount();
+        td.style.height = `${height}px`;
+        tr.appendChild(td);
+        return tr;
+    }
+
+    /**
+     * Get cumulative row offsets for the virtual rows, rebuilding them when the rows changed
+     * @returns {Float64Array} offsets[i] is the top of row i; offsets[length] is the total height
+     * @private
+     */
+    getVirtualOffsets() {
+        const items = this.virtualRows ? this.virtualRows.items : [];
+        if (!this.virtualDirty && this.virtualOffsets && this.virtualOffsets.length === items.length + 1) {
+            return this.virtualOffsets;
+        }
+
+        // Unmeasured rows are estimated from the rows measured so far
+        let estimate = this.config.rowHeight || DEFAULTS.ROW_HEIGHT;
+        if (this.rowHeights.size > 0) {
+            let sum = 0;
+            this.rowHeights.forEach(height => { sum += height; });
+            estimate = sum / this.rowHeights.size;
+        }
+
+        const heights = new Float64Array(items.length);
+        const offsets = new Float64Array(items.length + 1);
+        for (let i = 0; i < items.length; i++) {
+            heights[i] = this.rowHeights.get(this.getItemKey(items[i])) || estimate;
+            offsets[i + 1] = offsets[i] + heights[i];
+        }
+
+        this.virtualHeights = heights;
+        this.virtualOffsets = offsets;
+        this.virtualDirty = false;
+        return offsets;
+    }
+
+    /**
+     * Recompute the virtual row offsets after a row's height changed. Rows before it keep their
+     * offsets, so only the rest is summed again, from the per-row heights without any row lookups.
+     * @param {number} from - Index of the first row whose height changed
+     * @returns {Float64Array} Updated offsets
+     * @private
+     */
+    shiftVirtualOffsets(from) {
+        const heights = this.virtualHeights;
+        const offsets = this.virtualOffsets;
+        for (let i = from; i < heights.length; i++) {
+            offsets[i + 1] = offsets[i] + heights[i];
+        }
+        return offsets;
+    }
+
+    /**
+     * Get the key a display item's measured height is cached under
+     * @param {Object} item - Row or group item
+     * @returns {*} Row ID, or a group path key
+     * @private
+     */
+    getItemKey(item) {
+        if (item.type === 'group') return `group:${item.node.path}`;
+        if (item.type === 'detail') return `detail:${this.getRowId(item.row)}`;
+        return this.getRowId(item.row);
+    }
+
+    /**
+     * Binary search for the row at a vertical offset
+     * @param {Float64Array} offsets - Cumulative row offsets
+     * @param {number} y - Offset in pixels
+     * @returns {number} Row index
+     * @private
+     */
+    findVirtualIndex(offsets, y) {
+        let low = 0;
+        let high = offsets.length - 2;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (offsets[mid] <= y) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return Math.max(low, 0);
+    }
+
+    /**
+     * Count the columns rendered in each row, including the selection column
+     * @returns {number} Number of cells per row
+     * @private
+     */
+    getColumnCount() {
+        const headerRow = this.container.querySelector('.qmgrid-head tr');
+        return headerRow
+            ? headerRow.cells.length
+            : this.getVisibleColumns().length + (this.config.selectable ? 1 : 0) + (this.hasDetailRows() ? 1 : 0);
+    }
+
+    /**
+     * Number the display items for assistive technology. Rows on other pages (or
+     * still on the server) count towards aria-rowcount, so every row keeps its
+     * absolute position while paging.
+     * @param {Array<Object>} items - Display items of the current page
+     * @private
+     */
+    setAriaRowIndexes(items) {
+        const headerRows = this.hasFilterRow() ? 2 : 1;
+        let total = items.length;
+        let position = (item, i) => i;
+
+        if (this.config.serverSide) {
+            // Group headers, detail rows and loaded tree children come on top of the server's records
+            const offset = this.isAccumulatingPages() ? 0 : (this.currentPage - 1) * this.config.pageSize;
+            const extra = items.filter(item => item.type !== 'row' || (item.tree && item.tree.level > 0)).length;
+            total = Math.max(this.totalRecords, offset + items.length - extra) + extra;
+            position = (item, i) => offset + i;
+        } else if (this.config.pagination && items.length > 0) {
+            const positions = this.getDisplayPositions();
+            total = positions.size;
+            position = (item, i) => {
+                const found = positions.get(this.getItemKey(item));
+                return found === undefined ? i : found;
+            };
+        }
+
+        items.forEach((item, i) => {
+            item.ariaRowIndex = headerRows + position(item, i) + 1;
+        });
+        this.ariaRowTotal = headerRows + total;
+        this.updateAriaRowCount();
+    }
+
+    /**
+     * Get the position of every display item across all client-side pages.
+     * Repeated group headers share the position of the original header.
+     * @returns {Map<*, number>} Item key (see getItemKey) -> zero-based position
+     * @private
+     */
+    getDisplayPositions() {
+        let items;
+        if (this.isTreeMode()) {
+            items = this.getVisibleTreeItems();
+        } else if (this.getGroupKeys().length > 0) {
+            items = this.getGroupedItems();
+        } else {
+            items = this.filteredData.map(row => ({ type: 'row', row }));
+        }
+
+        const withDetails = this.hasDetailRows() && this.expandedRows.size > 0;
+        const positions = new Map();
+        items.forEach(item => {
+            positions.set(this.getItemKey(item), positions.size);
+            if (withDetails && item.type === 'row' && this.expandedRows.has(this.getRowId(item.row))) {
+                positions.set(this.getItemKey({ type: 'detail', row: item.row }), positions.size);
+            }
+        });
+        return positions;
+    }
+
+    /**
+     * Update aria-rowcount on the table, counting the footer row when there is one
+     * @private
+     */
+    updateAriaRowCount() {
+        const table = this.container.querySelector('.qmgrid-table');
+        if (!table) return;
+
+        let count = this.ariaRowTotal;
+        const footerRow = table.tFoot && table.tFoot.rows[0];
+        if (footerRow) {
+            footerRow.setAttribute('aria-rowindex', String(++count));
+        }
+        table.setAttribute('aria-rowcount', String(count));
+    }
+
+    /**
+     * Count the body rows keyboard navigation can reach on the current page
+     * @returns {number} Number of rows (including rows outside the virtual window)
+     * @private
+     */
+    getBodyRowCount() {
+        const tbody = this.container.querySelector('.qmgrid-table').tBodies[0];
+        if (!tbody || tbody.rows.length === 0) return 0;
+        return this.config.virtualScroll && this.virtualRows ? this.virtualRows.items.length : tbody.rows.length;
+    }
+
+    /**
+     * Get the rendered body row at a navigation position
+     * @param {number} position - Row position within the current page
+     * @param {boolean} [reveal=false] - Scroll a virtual row into the rendered window first
+     * @returns {HTMLTableRowElement|null} Row element, or null when not rendered
+     * @private
+     */
+    getBodyRowElement(position, reveal = false) {
+        const tbody = this.container.querySelector('.qmgrid-table').tBodies[0];
+        if (!this.config.virtualScroll) return tbody.rows[position] || null;
+        if (!this.virtualRows) return null;
+
+        if (reveal) {
+            const wrapper = this.container.querySelector('.qmgrid-wrapper');
+            const thead = this.container.querySelector('.qmgrid-head');
+            const offsets = this.getVirtualOffsets();
+            const viewHeight = Math.max((wrapper.clientHeight || parseInt(this.config.scrollHeight) || 400) -
+                (thead ? thead.offsetHeight : 0), 0);
+            if (offsets[position] < wrapper.scrollTop) {
+                wrapper.scrollTop = offsets[position];
+            } else if (offsets[position + 1] > wrapper.scrollTop + viewHeight) {
+                wrapper.scrollTop = offsets[position + 1] - viewHeight;
+            }
+            this.renderVirtualWindow();
+        }
+
+        // Rendered rows sit between the two spacer rows
+        const range = this.virtualWindow;
+        if (!range || position < range.first || position > range.last) return null;
+        return tbody.rows[position - range.first + 1] || null;
+    }
+
+    /**
+     * Get the navigation position of a rendered body row
+     * @param {HTMLTableRowElement} tr - Body row element
+     * @returns {number} Row position within the current page
+     * @private
+     */
+    getBodyRowPosition(tr) {
+        if (!this.config.virtualScroll) return tr.sectionRowIndex;
+        return this.virtualWindow ? this.virtualWindow.first + tr.sectionRowIndex - 1 : -1;
+    }
+
+    /**
+     * Give the active grid cell the only tab stop, optionally moving focus to it
+     * @param {boolean} [focus=false] - Focus the active cell
+     * @param {boolean} [reveal=false] - Scroll the active row into view first when virtual scrolling
+     * @private
+     */
+    applyRovingTabindex(focus = false, reveal = false) {
+        const table = this.container.querySelector('.qmgrid-table');
+        const headerRow = table && table.tHead ? table.tHead.rows[0] : null;
+        if (!headerRow) return;
+
+        const row = Math.max(-1, Math.min(this.activeCell.row, this.getBodyRowCount() - 1));
+        const activeRow = row === -1 ? headerRow : this.getBodyRowElement(row, reveal);
+
+        [headerRow, ...Array.from(table.tBodies[0].rows)].forEach(tr => {
+            if (tr.classList.contains('qmgrid-virtual-spacer')) return;
+            Array.from(tr.cells).forEach(cell => { cell.tabIndex = -1; });
+        });
+
+        // A virtual row scrolled out of the window leaves the tab stop on the header
+        const tr = activeRow || headerRow;
+        const cell = tr.cells[Math.min(this.activeCell.col, tr.cells.length - 1)];
+        if (!cell) return;
+        cell.tabIndex = 0;
+        if (focus && activeRow) {
+            cell.focus({ preventScroll: Boolean(this.config.virtualScroll) });
+        }
+    }
+
+    /**
+     * Move keyboard focus to a grid cell on the current page
+     * @param {number} row - Row position (-1 for the header row)
+     * @param {number} col - Cell index within the row
+     * @private
+     */
+    focusGridCell(row, col) {
+        this.activeCell = { row, col };
+        this.applyRovingTabindex(true, true);
+    }
+
+    /**
+     * Switch page and focus a row on it once it has rendered
+     * @param {number} page - Page number
+     * @param {number} row - Row position on the new page (Infinity for the last row)
+     * @param {number} col - Cell index within the row
+     * @private
+     */
+    focusGridPage(page, row, col) {
+        this.activeCell = { row, col };
+        this.goToPage(page);
+    }
+
+    /**
+     * Get the number of pages in 'pages' pagination mode
+     * @returns {number} Total pages
+     * @private
+     */
+    getTotalPages() {
+        const total = this.config.serverSide ? this.totalRecords : this.getDisplayRowCount();
+        return Math.ceil(total / this.config.pageSize);
+    }
+
+    /**
+     * Announce a message through the polite live region
+     * @param {string} message - Text for screen readers
+     * @private
+     */
+    announce(message) {
+        const region = this.container.querySelector('.qmgrid-live');
+        if (!region || !message) return;
+
+        // Clearing first makes screen readers repeat a message that did not change
+        region.textContent = '';
+        clearTimeout(this.announceTimeout);
+        this.announceTimeout = setTimeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+
+    /**
+     * Announce the active sort order
+     * @private
+     */
+    announceSort() {
+        const language = this.config.language.announce;
+        if (this.sortModel.length === 0) {
+            this.announce(language.unsorted);
+            return;
+        }
+
+        const parts = this.sortModel.map(item => {
+            const column = this.config.columns.find(col => col.key === item.key);
+            const template = item.dir === 'desc' ? language.descending : language.ascending;
+            return template.replace('_COLUMN_', column.title || column.key);
+        });
+        this.announce(language.sorted.replace('_SORT_', parts.join(', ')));
+    }
+
+    /**
+     * Announce how many rows match the search and filters. Server-side, the
+     * count is announced when the filtered data arrives.
+     * @private
+     */
+    announceResults() {
+        if (this.config.serverSide) {
+            this.announceOnLoad = true;
+            return;
+        }
+        this.announce(this.config.language.announce.results.replace('_TOTAL_', this.filteredData.length));
+    }
+
+    /**
+     * Scroll a row into view, switching page first when needed
+     * @param {*} id - Row ID
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    scrollToRow(id) {
+        const index = this.filteredData.findIndex(row => {
+            const rowId = this.getRowId(row);
+            return rowId === id || String(rowId) === String(id);
+        });
+        if (index === -1) {
+            console.warn(`Row '${id}' is not in the current data`);
+            return this;
+        }
+
+        let page = Math.floor(index / this.config.pageSize) + 1;
+        if (this.isTreeMode()) {
+            // Reveal the row if it sits under collapsed nodes
+            const parents = this.getTreeParents();
+            const seen = new Set();
+            let expanded = false;
+            let parentId = parents.get(this.getRowId(this.filteredData[index]));
+            while (parentId !== null && parentId !== undefined && !seen.has(parentId)) {
+                seen.add(parentId);
+                if (!this.isNodeExpanded(parentId)) {
+                    this.expandedNodes.add(parentId);
+                    expanded = true;
+                }
+                parentId = parents.get(parentId);
+            }
+            const position = this.getVisibleTreeItems().findIndex(item => item.index === index);
+            page = Math.floor(Math.max(position, 0) / this.config.pageSize) + 1;
+            if (expanded) this.render();
+        }
+
+        const keys = this.getGroupKeys();
+        if (keys.length > 0) {
+            // Reveal the row if it sits inside a collapsed group
+            const values = keys.map(key => this.getCellValue(this.filteredData[index], key));
+            let expanded = false;
+            values.forEach((value, level) => {
+                if (this.collapsedGroups.delete(this.getGroupPath(values.slice(0, level + 1)))) {
+                    expanded = true;
+                }
+            });
+            const item = this.getGroupedItems().find(entry => entry.type === 'row' && entry.index === index);
+            page = item ? item.page : 1;
+            if (expanded) this.render();
+        }
+
+        if (this.config.pagination && !this.config.serverSide) {
+            if (page !== this.currentPage) this.goToPage(page);
+        }
+
+        if (this.config.virtualScroll && this.virtualRows) {
+            const wrapper = this.container.querySelector('.qmgrid-wrapper');
+            const localIndex = this.virtualRows.items.findIndex(item => item.type === 'row' && item.index === index);
+            if (localIndex !== -1) {
+                wrapper.scrollTop = this.getVirtualOffsets()[localIndex];
+                this.renderVirtualWindow();
+            }
+        }
+
+        const tr = this.container.querySelector(`.qmgrid-row[data-index="${index}"]`);
+        if (tr && tr.scrollIntoView) {
+            tr.scrollIntoView({ block: 'nearest' });
+        }
+        return this;
+    }
+
+    getCellValue(row, key) {
+        if (!row || typeof row !== 'object') {
+            return '';
+        }
+        
+        if (!key) {
+            return '';
+        }
+        
+        // Handle nested properties with dot notation (e.g., 'user.name')
+        if (key.includes('.')) {
+            return key.split('.').reduce((obj, prop) => {
+                return obj && obj[prop] !== undefined ? obj[prop] : '';
+            }, row);
+        }
+        
+        return row[key] !== undefined && row[key] !== null ? row[key] : '';
+    }
+
+    safeRender(renderFn, value, row, index) {
+        try {
+            const result = renderFn(value, row, index);
+            if (typeof result !== 'string' && typeof result !== 'number') {
+                console.warn('Render function should return string or number, got:', typeof result);
+                return String(result || '');
+            }
+            return result;
+        } catch (error) {
+            console.error('Error in custom render function:', error);
+            return String(value || '');
+        }
+    }
+
+    renderPagination() {
+        if (this.isAccumulatingPages()) {
+            this.renderLoadMore();
+            return;
+        }
+
         const totalPages = this.config.serverSide 
             ? Math.ceil(this.totalRecords / this.config.pageSize)
-            : Math.ceil(this.filteredData.length / this.config.pageSize);
+            : Math.ceil(this.getDisplayRowCount() / this.config.pageSize);
+            
+        const paginationContainer = this.container.querySelector('.qmgrid-pagination');
+        
+        if (!paginationContainer) return;
+        
+        const pageNumbers = paginationContainer.querySelector('.page-numbers');
+        const firstBtn = paginationContainer.querySelector('.first-page');
+        const prevBtn = paginationContainer.querySelector('.prev-page');
+        const nextBtn = paginationContainer.querySelector('.next-page');
+        const lastBtn = paginationContainer.querySelector('.last-page');
+
+        // Update button states
+        if (firstBtn) firstBtn.disabled = this.currentPage === 1;
+        if (prevBtn) prevBtn.disabled = this.currentPage === 1;
+        if (nextBtn) nextBtn.disabled = this.currentPage === totalPages || totalPages === 0;
+        if (lastBtn) lastBtn.disabled = this.currentPage === totalPages || totalPages === 0;
+
+        // Render page numbers
+        if (pageNumbers) {
+            pageNumbers.innerHTML = '';
+            
+            if (totalPages <= DEFAULTS.MAX_VISIBLE_PAGES) {
+                // Show all pages
+                for (let i = 1; i <= totalPages; i++) {
+                    pageNumbers.appendChild(this.createPageButton(i));
+                }
+            } else {
+                // Show first page
+                pageNumbers.appendChild(this.createPageButton(1));
+                
+                if (this.currentPage > 4) {
+                    pageNumbers.appendChild(this.createEllipsis());
+                }
+                
+                // Show pages around current page
+                const start = Math.max(2, this.currentPage - DEFAULTS.PAGINATION_DELTA);
+                const end = Math.min(totalPages - 1, this.currentPage + DEFAULTS.PAGINATION_DELTA);
+                
+                for (let i = start; i <= end; i++) {
+                    pageNumbers.appendChild(this.createPageButton(i));
+                }
+                
+                if (this.currentPage < totalPages - 3) {
+                    pageNumbers.appendChild(this.createEllipsis());
+                }
+                
+                // Show last page
+                if (totalPages > 1) {
+                    pageNumbers.appendChild(this.createPageButton(totalPages));
+                }
+            }
+        }
+    }
+
+    /**
+     * Check whether pages are appended (infinite / load more) instead of replaced
+     * @returns {boolean} True for server-side 'infinite' and 'loadMore' modes
+     * @private
+     */
+    isAccumulatingPages() {
+        return Boolean(this.config.serverSide) &&
+            (this.config.paginationMode === 'infinite' || this.config.paginationMode === 'loadMore');
+    }
+
+    /**
+     * Update the load more button and re-arm the infinite scroll sentinel
+     * @private
+     */
+    renderLoadMore() {
+        const button = this.container.querySelector('.load-more-btn');
+        if (button) {
+            button.style.display = this.hasMore ? '' : 'none';
+        }
+
+        // Re-observing fires a fresh callback, so a sentinel that is still
+        // visible after a short page keeps loading until the view is filled
+        const sentinel = this.container.querySelector('.qmgrid-sentinel');
+        if (this.infiniteObserver && sentinel) {
+            this.infiniteObserver.unobserve(sentinel);
+            if (this.hasMore) this.infiniteObserver.observe(sentinel);
+        }
+    }
+
+    /**
+     * Append the next server page in 'infinite' and 'loadMore' modes
+     * @returns {Promise<QMGrid>} Returns this for method chaining
+     * @public
+     */
+    async loadMore() {
+        if (!this.isAccumulatingPages()) {
+            console.warn("loadMore() requires serverSide with paginationMode 'infinite' or 'loadMore'");
+            return this;
+        }
+        if (!this.hasMore || this.isLoading) {
+            return this;
+        }
+
+        this.currentPage++;
+        this.emit(EVENTS.PAGE_CHANGE, { page: this.currentPage, append: true });
+        await this.loadServerData({ append: true });
+        return this;
+    }
+
+    createPageButton(pageNum) {
+        const button = document.createElement('button');
+        button.className = 'page-btn page-number';
+        button.textContent = pageNum;
+        button.dataset.page = pageNum;
+        
+        if (pageNum === this.currentPage) {
+            button.classList.add('active');
+        }
+        
+        return button;
+    }
+
+    createEllipsis() {
+        const span = document.createElement('span');
+        span.className = 'page-ellipsis';
+        span.textContent = '...';
+        return span;
+    }
+
+    renderInfo() {
+        const infoContainer = this.container.querySelector('.qmgrid-info');
+        if (!infoContainer) return;
+        
+        if (this.config.serverSide) {
+            // Appended pages always start from the first record
+            const accumulating = this.isAccumulatingPages();
+            const start = this.totalRecords === 0 ? 0 : accumulating ? 1 : (this.currentPage - 1) * this.config.pageSize + 1;
+            const end = accumulating
+                ? this.originalData.length
+                : Math.min(this.currentPage * this.config.pageSize, this.totalRecords);
+            const total = this.totalRecords;
+
+            let infoText;
+            if (total === 0) {
+                infoText = this.config.language.infoEmpty;
+            } else {
+                infoText = this.config.language.info
+                    .replace('_START_', start)
+                    .replace('_END_', end)
+                    .replace('_TOTAL_', total);
+                
+                if (this.searchTerm || this.columnFilters.size > 0) {
+                    infoText += ' ' + this.config.language.infoFiltered.replace('_MAX_', total);
+                }
+            }
+
+            infoContainer.textContent = infoText;
+        } else {
+            // Client-side info rendering; rows in collapsed groups do not take up page slots
+            const start = this.getDisplayRowCount() === 0 ? 0 : (this.currentPage - 1) * this.config.pageSize + 1;
+            const end = Math.min(this.currentPage * this.config.pageSize, this.getDisplayRowCount());
+            const total = this.filteredData.length;
+            const max = this.originalData.length;
+
+            let infoText;
+            if (total === 0) {
+                infoText = this.config.language.infoEmpty;
+            } else {
+                infoText = this.config.language.info
+                    .replace('_START_', start)
+                    .replace('_END_', end)
+                    .replace('_TOTAL_', total);
+                
+                if (total !== max) {
+                    infoText += ' ' + this.config.language.infoFiltered.replace('_MAX_', max);
+                }
+            }
+
+            infoContainer.textContent = infoText;
+        }
+    }
+
+    attachEvents() {
+        // Search functionality with debouncing
+        if (this.config.searchable) {
+            const searchInput = this.container.querySelector('.search-input');
+            if (searchInput) {
+                const debouncedSearch = this.debounce((e) => {
+                    this.search(e.target.value);
+                }, DEFAULTS.SEARCH_DEBOUNCE_DELAY);
+                
+                searchInput.addEventListener('input', debouncedSearch);
+                this.eventListeners.set('search-input', { element: searchInput, event: 'input', handler: debouncedSearch });
+            }
+        }
+
+        // Per-column filters, debounced separately from the global search
+        if (this.config.filterable) {
+            const filterHandler = (e) => {
+                const input = e.target;
+                if (!input.classList || !input.classList.contains('qmgrid-filter-input')) return;
+
+                // Selects report through 'change', typed inputs through 'input'
+                const isSelect = input.tagName === 'SELECT';
+                if ((e.type === 'change') !== isSelect) return;
+
+                this.pendingFilters.add(input.dataset.filterColumn);
+                clearTimeout(this.filterTimeout);
+                this.filterTimeout = setTimeout(() => {
+                    // Read every column typed into before the first one rebuilds the filter row
+                    const specs = Array.from(this.pendingFilters, key => [key, this.readFilterInputs(key)]);
+                    this.pendingFilters.clear();
+                    specs.forEach(([key, spec]) => this.setColumnFilter(key, spec));
+                }, isSelect ? 0 : DEFAULTS.SEARCH_DEBOUNCE_DELAY);
+            };
+            this.container.addEventListener('input', filterHandler);
+            this.container.addEventListener('change', filterHandler);
+            this.eventListeners.set('filter-input', { element: this.container, event: 'input', handler: filterHandler });
+            this.eventListeners.set('filter-change', { element: this.container, event: 'change', handler: filterHandler });
+        }
+
+        // Inline cell editing (columns can become editable at runtime)
+        const openEditor = (td) => {
+            const tr = td.closest('.qmgrid-row');
+            const index = tr ? parseInt(tr.dataset.index) : NaN;
+            if (!isNaN(index)) this.editCell(index, td.dataset.column);
+        };
+        const editDblClickHandler = (e) => {
+            const td = e.target.closest('.qmgrid-cell.editable');
+            if (td && !td.classList.contains('editing')) openEditor(td);
+        };
+        const editKeyHandler = (e) => {
+            if ((e.key === 'Enter' || e.key === 'F2') && e.target.matches('.qmgrid-cell.editable:not(.editing)')) {
+                e.preventDefault();
+                openEditor(e.target);
+            }
+        };
+        this.container.addEventListener('dblclick', editDblClickHandler);
+        this.container.addEventListener('keydown', editKeyHandler);
+        this.eventListeners.set('edit-dblclick', { element: this.container, event: 'dblclick', handler: editDblClickHandler });
+        this.eventListeners.set('edit-keydown', { element: this.container, event: 'keydown', handler: editKeyHandler });
+
+        // Infinite scroll and load more
+        if (this.isAccumulatingPages()) {
+            const loadMoreButton = this.container.querySelector('.load-more-btn');
+            if (loadMoreButton) {
+                const loadMoreHandler = () => this.loadMore();
+                loadMoreButton.addEventListener('click', loadMoreHandler);
+                this.eventListeners.set('load-more', { element: loadMoreButton, event: 'click', handler: loadMoreHandler });
+            }
+
+            const sentinel = this.container.querySelector('.qmgrid-sentinel');
+            if (sentinel && typeof IntersectionObserver !== 'undefined') {
+                this.infiniteObserver = new IntersectionObserver((entries) => {
+                    if (entries.some(entry => entry.isIntersecting)) {
+                        this.loadMore();
+                    }
+                }, {
+                    // A virtual scroll wrapper is its own viewport
+                    root: this.config.virtualScroll ? this.container.querySelector('.qmgrid-wrapper') : null,
+                    rootMargin: '200px'
+                });
+            }
+        }
+
+        // Virtual scrolling re-renders the visible window once per frame
+        if (this.config.virtualScroll) {
+            const wrapper = this.container.querySelector('.qmgrid-wrapper');
+            const scrollHandler = () => {
+                if (this.virtualFrame) return;
+                this.virtualFrame = window.requestAnimationFrame(() => {
+                    this.virtualFrame = null;
+                    this.renderVirtualWindow();
+                });
+            };
+            wrapper.addEventListener('scroll', scrollHandler);
+            this.eventListeners.set('virtual-scroll', { element: wrapper, event: 'scroll', handler: scrollHandler });
+        }
+
+        // Group headers expand and collapse on click
+        const groupToggleHandler = (e) => {
+            const tr = e.target.closest('.qmgrid-group-row');
+            if (!tr || !this.container.contains(tr)) return;
+
+            const path = tr.dataset.groupPath;
+            const refocus = e.target.classList.contains('qmgrid-group-toggle');
+            this.toggleGroup(JSON.parse(path));
+
+            // The header row was rebuilt, so move focus to its replacement
+            if (refocus) {
+                const row = Array.from(this.container.querySelectorAll('.qmgrid-group-row'))
+                    .find(groupRow => groupRow.dataset.groupPath === path);
+                const toggle = row && row.querySelector('.qmgrid-group-toggle');
+                if (toggle) toggle.focus();
+            }
+        };
+        this.container.addEventListener('click', groupToggleHandler);
+        this.eventListeners.set('group-toggle', { element: this.container, event: 'click', handler: groupToggleHandler });
+
+        // Row expanders show and hide detail rows
+        const rowExpandHandler = (e) => {
+            const toggle = e.target.closest('.qmgrid-row-expander');
+            // Detail rows can hold nested grids, whose expanders are not ours
+            if (!toggle || toggle.closest('.qmgrid-container') !== this.container) return;
+
+            const id = toggle.closest('.qmgrid-row').dataset.rowId;
+            const row = this.getRowById(id);
+            if (!row) return;
+
+            const rowId = this.getRowId(row);
+            this.setRowExpanded(rowId, !this.expandedRows.has(rowId));
+
+            // The row was rebuilt, so move focus to its new expander
+            const tr = Array.from(this.container.querySelectorAll('.qmgrid-row'))
+                .find(rowEl => rowEl.dataset.rowId === String(rowId));
+            const newToggle = tr && tr.querySelector('.qmgrid-row-expander');
+            if (newToggle) newToggle.focus();
+        };
+        this.container.addEventListener('click', rowExpandHandler);
+        this.eventListeners.set('row-expand', { element: this.container, event: 'click', handler: rowExpandHandler });
+
+        // Tree carets expand and collapse nodes
+        const treeToggleHandler = (e) => {
+            const toggle = e.target.closest('.qmgrid-tree-toggle');
+            if (!toggle || toggle.closest('.qmgrid-container') !== this.container) return;
+
+            const row = this.getRowById(toggle.closest('.qmgrid-row').dataset.rowId);
+            if (!row) return;
+
+            const rowId = this.getRowId(row);
+            this.toggleNode(rowId);
+
+            // The row was rebuilt, so move focus to its new caret
+            const tr = Array.from(this.container.querySelectorAll('.qmgrid-row'))
+                .find(rowEl => rowEl.dataset.rowId === String(rowId));
+            const newToggle = tr && tr.querySelector('.qmgrid-tree-toggle');
+            if (newToggle) newToggle.focus();
+        };
+        this.container.addEventListener('click', treeToggleHandler);
+        this.eventListeners.set('tree-toggle', { element: this.container, event: 'click', handler: treeToggleHandler });
+
+        // Grid keyboard navigation: one tab stop that arrow keys move between cells
+        const gridCellFrom = (target) => {
+            const cell = target.closest ? target.closest('th, td') : null;
+            const table = this.container.querySelector('.qmgrid-table');
+            if (!cell || !table) return null;
+
+            const tr = cell.parentElement;
+            if (tr === table.tHead.rows[0]) return { cell, row: -1 };
+            if (tr.parentElement === table.tBodies[0] && !tr.classList.contains('qmgrid-virtual-spacer')) {
+                return { cell, row: this.getBodyRowPosition(tr) };
+            }
+            return null;
+        };
+        const gridFocusHandler = (e) => {
+            const target = gridCellFrom(e.target);
+            if (!target) return;
+
+            // Single-cell rows (groups, details) keep the column the user came from
+            const { cell, row } = target;
+            const col = Math.min(this.activeCell.col, cell.parentElement.cells.length - 1);
+            if (row !== this.activeCell.row || cell.cellIndex !== col) {
+                this.activeCell = { row, col: cell.cellIndex };
+            }
+            if (cell.tabIndex !== 0) this.applyRovingTabindex();
+
+            // Moving focus to another cell starts a new cell range there
+            if (this.config.cellSelection && !this.rangeDrag && cell.classList.contains('qmgrid-cell') &&
+                cell.parentElement.classList.contains('qmgrid-row')) {
+                const focused = { row: parseInt(cell.parentElement.dataset.index), column: cell.dataset.column };
+                const anchor = this.cellRange && this.cellRange.anchor;
+                if (!anchor || anchor.row !== focused.row || anchor.column !== focused.column) {
+                    this.updateCellRange(focused, focused, true);
+                }
+            }
+        };
+        const gridKeyHandler = (e) => {
+            const target = gridCellFrom(e.target);
+            if (!target || e.altKey) return;
+
+            // Keys typed into custom cell content or an open editor are left alone
+            const { cell, row } = target;
+            const ownControl = '.row-select-checkbox, .select-all-checkbox, .qmgrid-tree-toggle, .qmgrid-row-expander, .qmgrid-group-toggle';
+            if ((e.target !== cell && !e.target.matches(ownControl)) || cell.classList.contains('editing')) return;
+
+            // Shift+arrows grow the cell range while focus stays on its anchor
+            if (this.config.cellSelection && e.shiftKey && e.key.startsWith('Arrow') &&
+                e.target === cell && cell.classList.contains('qmgrid-cell') && row >= 0) {
+                e.preventDefault();
+                this.extendCellRange(cell, e.key);
+                return;
+            }
+
+            const tr = cell.parentElement;
+            const singleCell = tr.cells.length === 1;
+            const col = singleCell ? this.activeCell.col : cell.cellIndex;
+            const lastCol = this.getColumnCount() - 1;
+            const count = this.getBodyRowCount();
+            const paged = this.config.pagination && !this.isAccumulatingPages();
+            const totalPages = paged ? this.getTotalPages() : 1;
+            const ctrl = e.ctrlKey || e.metaKey;
+
+            switch (e.key) {
+                case 'ArrowRight':
+                case 'ArrowLeft':
+                    if (singleCell) return;
+                    this.focusGridCell(row, Math.max(0, Math.min(col + (e.key === 'ArrowRight' ? 1 : -1), lastCol)));
+                    break;
+                case 'ArrowDown':
+                    if (row < count - 1) {
+                        this.focusGridCell(row + 1, col);
+                    } else if (paged && this.currentPage < totalPages) {
+                        this.focusGridPage(this.currentPage + 1, 0, col);
+                    } else if (this.isAccumulatingPages() && this.hasMore && count > 0) {
+                        // The first appended row takes focus once it arrives
+                        this.activeCell = { row: count, col };
+                        this.loadMore();
+                    }
+                    break;
+                case 'ArrowUp':
+                    if (row === 0 && paged && this.currentPage > 1) {
+                        this.focusGridPage(this.currentPage - 1, Infinity, col);
+                    } else if (row > -1) {
+                        this.focusGridCell(row - 1, col);
+                    }
+                    break;
+                case 'PageDown':
+                    if (paged && this.currentPage < totalPages) {
+                        this.focusGridPage(this.currentPage + 1, Math.max(row, 0), col);
+                    } else if (count > 0) {
+                        this.focusGridCell(paged ? count - 1 : Math.min(row + this.config.pageSize, count - 1), col);
+                    }
+                    break;
+                case 'PageUp':
+                    if (paged && this.currentPage > 1) {
+                        this.focusGridPage(this.currentPage - 1, Math.max(row, 0), col);
+                    } else if (row > 0) {
+                        this.focusGridCell(paged ? 0 : Math.max(row - this.config.pageSize, 0), col);
+                    }
+                    break;
+                case 'Home':
+                    if (ctrl && paged && this.currentPage > 1) {
+                        this.focusGridPage(1, -1, 0);
+                    } else {
+                        this.focusGridCell(ctrl ? -1 : row, 0);
+                    }
+                    break;
+                case 'End':
+                    if (ctrl && paged && this.currentPage < totalPages) {
+                        this.focusGridPage(totalPages, Infinity, lastCol);
+                    } else {
+                        this.focusGridCell(ctrl ? count - 1 : row, lastCol);
+                    }
+                    break;
+                case 'Enter':
+                    if (e.target !== cell) return;
+                    if (row === -1 && cell.classList.contains('sortable')) {
+                        // Shift+Enter builds a multi-column sort, like Shift+click
+                        if (e.shiftKey) {
+                            this.cycleSortColumn(cell.dataset.column);
+                        } else {
+                            this.sort(cell.dataset.column);
+                        }
+                    } else if (!cell.classList.contains('editable')) {
+                        // Cells holding one of the grid's controls (checkbox, caret) activate it
+                        const control = cell.querySelector(ownControl);
+                        if (!control || control.closest('.qmgrid-container') !== this.container) return;
+                        control.click();
+                    } else {
+                        return;
+                    }
+                    break;
+                case ' ':
+                    if (e.target !== cell) return;
+                    if (row === -1) {
+                        const selectAll = cell.querySelector('.select-all-checkbox');
+                        if (!selectAll) return;
+                        selectAll.click();
+                    } else if (this.config.selectable && tr.classList.contains('qmgrid-row')) {
+                        const rowData = this.filteredData[parseInt(tr.dataset.index)];
+                        if (!rowData) return;
+                        const id = this.getRowId(rowData);
+                        this.selectRow(id, !this.selectedRows.has(id));
+                    } else {
+                        return;
+                    }
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        };
+        this.container.addEventListener('focusin', gridFocusHandler);
+        this.container.addEventListener('keydown', gridKeyHandler);
+        this.eventListeners.set('grid-focus', { element: this.container, event: 'focusin', handler: gridFocusHandler });
+        this.eventListeners.set('grid-keydown', { element: this.container, event: 'keydown', handler: gridKeyHandler });
+
+        // Cell range selection: drag or Shift+click over body cells, Ctrl+C copies the block
+        if (this.config.cellSelection) {
+            const rangeCellFrom = (target) => {
+                const td = target.closest ? target.closest('.qmgrid-cell') : null;
+                const tr = td && td.parentElement;
+                if (!tr || !tr.classList.contains('qmgrid-row') || tr.parentElement !== this.container.querySelector('.qmgrid-body')) {
+                    return null;
+                }
+                return { td, cell: { row: parseInt(tr.dataset.index), column: td.dataset.column } };
+            };
+            const rangeStartHandler = (e) => {
+                const target = e.button === 0 ? rangeCellFrom(e.target) : null;
+                // Controls inside cells and open editors keep their own mouse handling
+                if (!target || target.td.classList.contains('editing') || e.target.closest('input, select, textarea, button, a')) return;
+                // Stops the browser selecting text while dragging
+                e.preventDefault();
+
+                if (e.shiftKey && this.cellRange) {
+                    this.updateCellRange(this.cellRange.anchor, target.cell, true);
+                    return;
+                }
+                this.rangeDrag = { start: this.cellRange };
+                this.updateCellRange(target.cell, target.cell, false);
+                target.td.focus();
+            };
+            const rangeMoveHandler = (e) => {
+                if (!this.rangeDrag) return;
+                const target = rangeCellFrom(e.target);
+                if (target) this.updateCellRange(this.cellRange.anchor, target.cell, false);
+            };
+            const rangeEndHandler = () => {
+                const drag = this.rangeDrag;
+                if (!drag) return;
+                this.rangeDrag = null;
+                if (!this.isSameCellRange(drag.start, this.cellRange)) {
+                    this.emit(EVENTS.RANGE_SELECT, { range: this.getSelectedRange() });
+                }
+            };
+            const copyHandler = (e) => {
+                const active = document.activeElement;
+                // Copies from inputs, open editors and nested grids go through as usual
+                if (!this.cellRange || !e.clipboardData || !active || active.closest('.qmgrid-container') !== this.container ||
+                    !active.closest('.qmgrid-body') || active.matches('input, select, textarea')) return;
+
+                const content = this.getRangeClipboard();
+                if (!content) return;
+                e.clipboardData.setData('text/plain', content.text);
+                e.clipboardData.setData('text/html', content.html);
+                e.preventDefault();
+            };
+
+            this.container.addEventListener('mousedown', rangeStartHandler);
+            this.container.addEventListener('mouseover', rangeMoveHandler);
+            document.addEventListener('mouseup', rangeEndHandler);
+            document.addEventListener('copy', copyHandler);
+            this.eventListeners.set('range-start', { element: this.container, event: 'mousedown', handler: rangeStartHandler });
+            this.eventListeners.set('range-move', { element: this.container, event: 'mouseover', handler: rangeMoveHandler });
+            this.eventListeners.set('range-end', { element: document, event: 'mouseup', handler: rangeEndHandler });
+            this.eventListeners.set('range-copy', { element: document, event: 'copy', handler: copyHandler });
+        }
+
+        // Pasting spreadsheet cells onto a focused body cell
+        if (this.config.pasteable) {
+            const pasteHandler = (e) => {
+                const active = document.activeElement;
+                // Pastes into open editors and nested grids go through as usual
+                if (!e.clipboardData || !active || active.closest('.qmgrid-container') !== this.container ||
+                    !active.matches('.qmgrid-row > .qmgrid-cell')) return;
+
+                // HTML tables keep cells holding tabs or line breaks intact
+                const html = e.clipboardData.getData('text/html');
+                const values = (html && this.parseClipboardHtml(html)) || this.parseCSV(e.clipboardData.getData('text/plain') || '', '\t');
+                if (values.length === 0) return;
+                e.preventDefault();
+                this.pasteData(values);
+            };
+            document.addEventListener('paste', pasteHandler);
+            this.eventListeners.set('paste', { element: document, event: 'paste', handler: pasteHandler });
+        }
+
+        // Page size change
+        const pageSizeSelect = this.container.querySelector('.page-size-select');
+        if (pageSizeSelect) {
+            const pageSizeHandler = (e) => {
+                this.setPageSize(parseInt(e.target.value));
+            };
+            pageSizeSelect.addEventListener('change', pageSizeHandler);
+            this.eventListeners.set('page-size', { element: pageSizeSelect, event: 'change', handler: pageSizeHandler });
+        }
+
+        // Sorting
+        if (this.config.sortable) {
+            const sortHandler = (e) => {
+                // Releasing a resize drag over the header must not also sort it
+                if (this.columnResize || e.target.closest('.qmgrid-resize-handle')) return;
+                const headerCell = e.target.closest('.sortable');
+                if (headerCell) {
+                    const column = headerCell.dataset.column;
+                    // Shift+click builds a multi-column sort
+                    if (e.shiftKey) {
+                        this.cycleSortColumn(column);
+                    } else {
+                        this.sort(column);
+                    }
+                }
+            };
+            this.container.addEventListener('click', sortHandler);
+            this.eventListeners.set('sort', { element: this.container, event: 'click', handler: sortHandler });
+        }
+
+        // Row selection
+        if (this.config.selectable) {
+            const selectionHandler = (e) => {
+                if (e.target.classList.contains('select-all-checkbox')) {
+                    this.selectAll(e.target.checked);
+                } else if (e.target.classList.contains('row-select-checkbox')) {
+                    const tr = e.target.closest('tr');
+                    const row = tr ? this.filteredData[parseInt(tr.dataset.index)] : null;
+                    if (row) {
+                        this.selectRow(this.getRowId(row), e.target.checked);
+                    }
+                }
+            };
+            this.container.addEventListener('change', selectionHandler);
+            this.eventListeners.set('selection', { element: this.container, event: 'change', handler: selectionHandler });
+        }
+
+        // Pagination
+        if (this.config.pagination) {
+            const paginationHandler = (e) => {
+                const totalPages = this.config.serverSide 
+                    ? Math.ceil(this.totalRecords / this.config.pageSize)
+                    : Math.ceil(this.getDisplayRowCount() / this.config.pageSize);
+                
+                // Debug logging for server-side
+                if (this.config.serverSide && e.target.classList.contains('page-number')) {
+                    console.log('Server-side pagination:', {
+                        totalRecords: this.totalRecords,
+                        pageSize: this.config.pageSize,
+                        totalPages: totalPages,
+                        clickedPage: parseInt(e.target.dataset.page)
+                    });
+                }
+                
+                if (e.target.classList.contains('first-page')) {
+                    this.goToPage(1);
+                } else if (e.target.classList.contains('prev-page')) {
+                    this.goToPage(Math.max(1, this.currentPage - 1));
+                } else if (e.target.classList.contains('next-page')) {
+                    this.goToPage(Math.min(totalPages, this.currentPage + 1));
+                } else if (e.target.classList.contains('last-page')) {
+                    this.goToPage(totalPages);
+                } else if (e.target.classList.contains('page-number')) {
+                    const page = parseInt(e.target.dataset.page);
+                    if (!isNaN(page) && page >= 1 && page <= totalPages) {
+                        this.goToPage(page);
+                    } else {
+                        console.warn('Invalid page number:', page, 'Total pages:', totalPages);
+                    }
+                }
+            };
+            this.container.addEventListener('click', paginationHandler);
+            this.eventListeners.set('pagination', { element: this.container, event: 'click', handler: paginationHandler });
+        }
+
+        // Column visibility dropdown
+        if (this.config.columnMenu) {
+            const setMenuOpen = (open) => {
+                const menu = this.container.querySelector('.columns-menu');
+                const button = this.container.querySelector('.columns-btn');
+                if (menu) menu.classList.toggle('show', open);
+                if (button) button.setAttribute('aria-expanded', String(open));
+            };
+
+            const columnMenuHandler = (e) => {
+                if (e.target.closest('.columns-btn')) {
+                    e.preventDefault();
+                    const menu = this.container.querySelector('.columns-menu');
+                    setMenuOpen(!menu.classList.contains('show'));
+                }
+            };
+            const columnToggleHandler = (e) => {
+                if (e.target.classList.contains('column-toggle-checkbox')) {
+                    this.setColumnVisibility(e.target.dataset.columnKey, e.target.checked);
+                }
+            };
+            const columnMenuKeyHandler = (e) => {
+                if (e.key === 'Escape' && e.target.closest('.columns-dropdown')) {
+                    setMenuOpen(false);
+                    this.container.querySelector('.columns-btn').focus();
+                }
+            };
+            const columnMenuOutsideHandler = (e) => {
+                if (this.container && !e.target.closest('.columns-dropdown')) {
+                    setMenuOpen(false);
+                }
+            };
+
+            this.container.addEventListener('click', columnMenuHandler);
+            this.container.addEventListener('change', columnToggleHandler);
+            this.container.addEventListener('keydown', columnMenuKeyHandler);
+            document.addEventListener('click', columnMenuOutsideHandler);
+            this.eventListeners.set('column-menu', { element: this.container, event: 'click', handler: columnMenuHandler });
+            this.eventListeners.set('column-toggle', { element: this.container, event: 'change', handler: columnToggleHandler });
+            this.eventListeners.set('column-menu-keydown', { element: this.container, event: 'keydown', handler: columnMenuKeyHandler });
+            this.eventListeners.set('column-menu-outside', { element: document, event: 'click', handler: columnMenuOutsideHandler });
+        }
+
+        // Column reordering by dragging headers, or Alt+Left/Right on a focused header
+        if (this.config.reorderable) {
+            const headerCellFrom = (target) => {
+                const th = target.closest ? target.closest('.qmgrid-header-cell') : null;
+                return th && this.container.contains(th) ? th : null;
+            };
+            const clearDropIndicator = () => {
+                this.container.querySelectorAll('.qmgrid-header-cell.drop-before, .qmgrid-header-cell.drop-after')
+                    .forEach(th => th.classList.remove('drop-before', 'drop-after'));
+            };
+            // Columns can only be dropped within their own pinned (or unpinned) section
+            const canDrop = (th) => {
+                const find = key => this.config.columns.find(col => col.key === key);
+                const dragged = find(this.dragColumn);
+                const target = find(th.dataset.column);
+                return Boolean(dragged && target) && this.getPinSide(dragged) === this.getPinSide(target);
+            };
+            // Dropping on the right half of a header places the column after it
+            const isAfter = (th, e) => {
+                const rect = th.getBoundingClientRect();
+                return e.clientX > rect.left + rect.width / 2;
+            };
+
+            const dragStartHandler = (e) => {
+                const th = headerCellFrom(e.target);
+                if (!th || this.columnResize) return;
+                this.dragColumn = th.dataset.column;
+                th.classList.add('dragging');
+                if (e.dataTransfer) {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', this.dragColumn);
+                }
+            };
+            const dragOverHandler = (e) => {
+                const th = headerCellFrom(e.target);
+                if (!th || !this.dragColumn || !canDrop(th)) return;
+                e.preventDefault();
+                if (e.dataTransfer) e.dataTransfer.dropEffect = 'move';
+
+                clearDropIndicator();
+                if (th.dataset.column !== this.dragColumn) {
+                    th.classList.add(isAfter(th, e) ? 'drop-after' : 'drop-before');
+                }
+            };
+            const dropHandler = (e) => {
+                const th = headerCellFrom(e.target);
+                if (!th || !this.dragColumn || !canDrop(th)) return;
+                e.preventDefault();
+
+                const key = this.dragColumn;
+                const columns = this.config.columns;
+                const fromIndex = columns.findIndex(col => col.key === key);
+                let toIndex = columns.findIndex(col => col.key === th.dataset.column) + (isAfter(th, e) ? 1 : 0);
+                // The dragged column no longer takes up a slot before the drop point
+                if (fromIndex < toIndex) toIndex--;
+
+                clearDropIndicator();
+                this.dragColumn = null;
+                if (th.dataset.column !== key) this.moveColumn(key, toIndex);
+            };
+            const dragEndHandler = () => {
+                clearDropIndicator();
+                this.container.querySelectorAll('.qmgrid-header-cell.dragging')
+                    .forEach(th => th.classList.remove('dragging'));
+                this.dragColumn = null;
+            };
+            const reorderKeyHandler = (e) => {
+                if (!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+                const th = headerCellFrom(e.target);
+                if (!th || e.target !== th) return;
+
+                e.preventDefault();
+                const key = th.dataset.column;
+                this.shiftColumn(key, e.key === 'ArrowLeft' ? -1 : 1);
+
+                // The header was rebuilt, so focus the moved column again
+                const moved = Array.from(this.container.querySelectorAll('.qmgrid-header-cell'))
+                    .find(cell => cell.dataset.column === key);
+                if (moved) moved.focus();
+            };
+
+            this.container.addEventListener('dragstart', dragStartHandler);
+            this.container.addEventListener('dragover', dragOverHandler);
+            this.container.addEventListener('drop', dropHandler);
+            this.container.addEventListener('dragend', dragEndHandler);
+            this.container.addEventListener('keydown', reorderKeyHandler);
+            this.eventListeners.set('column-dragstart', { element: this.container, event: 'dragstart', handler: dragStartHandler });
+            this.eventListeners.set('column-dragover', { element: this.container, event: 'dragover', handler: dragOverHandler });
+            this.eventListeners.set('column-drop', { element: this.container, event: 'drop', handler: dropHandler });
+            this.eventListeners.set('column-dragend', { element: this.container, event: 'dragend', handler: dragEndHandler });
+            this.eventListeners.set('column-reorder-keydown', { element: this.container, event: 'keydown', handler: reorderKeyHandler });
+        }
+
+        // Column resizing
+        if (this.config.resizable) {
+            const columnFromHandle = (target) => {
+                const handle = target.closest && target.closest('.qmgrid-resize-handle');
+                const th = handle && handle.closest('.qmgrid-header-cell');
+                return th ? this.config.columns.find(col => col.key === th.dataset.column) : null;
+            };
+
+            const resizeStartHandler = (e) => {
+                const column = columnFromHandle(e.target);
+                if (!column || e.button !== 0) return;
+                // Stops the draggable header from starting a column move
+                e.preventDefault();
+
+                this.freezeColumnWidths();
+                const startWidth = this.getColumnPixelWidth(column);
+                this.columnResize = { column, startX: e.clientX, startWidth, width: startWidth, done: false };
+                this.container.classList.add('qmgrid-resizing');
+            };
+            const resizeMoveHandler = (e) => {
+                const state = this.columnResize;
+                if (!state || state.done) return;
+                state.width = this.clampColumnWidth(state.column, state.startWidth + e.clientX - state.startX);
+                this.resizeColumn(state.column, state.width);
+            };
+            const resizeEndHandler = () => {
+                const state = this.columnResize;
+                if (!state || state.done) return;
+                state.done = true;
+                this.container.classList.remove('qmgrid-resizing');
+
+                if (state.width !== state.startWidth) {
+                    this.refreshRowHeights();
+                    this.emit(EVENTS.COLUMN_RESIZE, { key: state.column.key, width: state.width });
+                }
+                // Keep the state until the click that follows mouseup has been ignored
+                setTimeout(() => {
+                    if (this.columnResize === state) this.columnResize = null;
+                }, 0);
+            };
+            const autoFitHandler = (e) => {
+                const column = columnFromHandle(e.target);
+                if (!column) return;
+                e.preventDefault();
+                this.autoFitColumn(column.key);
+            };
+
+            this.container.addEventListener('mousedown', resizeStartHandler);
+            document.addEventListener('mousemove', resizeMoveHandler);
+            document.addEventListener('mouseup', resizeEndHandler);
+            this.container.addEventListener('dblclick', autoFitHandler);
+            this.eventListeners.set('column-resize-start', { element: this.container, event: 'mousedown', handler: resizeStartHandler });
+            this.eventListeners.set('column-resize-move', { element: document, event: 'mousemove', handler: resizeMoveHandler });
+            this.eventListeners.set('column-resize-end', { element: document, event: 'mouseup', handler: resizeEndHandler });
+            this.eventListeners.set('column-autofit', { element: this.container, event: 'dblclick', handler: autoFitHandler });
+        }
+
+        // Pinned offsets follow the rendered widths, which change with the viewport
+        const pinResizeHandler = () => this.applyPinnedColumns();
+        window.addEventListener('resize', pinResizeHandler);
+        this.eventListeners.set('pin-resize', { element: window, event: 'resize', handler: pinResizeHandler });
+
+        // Back and forward buttons walk through the views mirrored in the URL
+        if (this.urlSync) {
+            const popStateHandler = () => {
+                this.urlRestoring = true;
+                try {
+                    this.setState(this.readUrlState() || this.urlDefaults);
+                } finally {
+                    this.urlRestoring = false;
+                }
+            };
+            window.addEventListener('popstate', popStateHandler);
+            this.eventListeners.set('url-popstate', { element: window, event: 'popstate', handler: popStateHandler });
+        }
+
+        // Export functionality
+        if (this.config.exportable) {
+            const exportHandler = (e) => {
+                if (e.target.classList.contains('export-btn')) {
+                    e.preventDefault();
+                    const dropdown = e.target.nextElementSibling;
+                    dropdown.classList.toggle('show');
+                } else if (e.target.classList.contains('export-option')) {
+                    e.preventDefault();
+                    const format = e.target.dataset.format;
+                    this.exportData(format);
+                    
+                    // Hide dropdown
+                    const dropdown = e.target.closest('.export-menu');
+                    dropdown.classList.remove('show');
+                }
+            };
+            this.container.addEventListener('click', exportHandler);
+            this.eventListeners.set('export', { element: this.container, event: 'click', handler: exportHandler });
+
+            // Close dropdown when clicking outside
+            const outsideClickHandler = (e) => {
+                if (!e.target.closest('.export-dropdown')) {
+                    const dropdowns = this.container.querySelectorAll('.export-menu');
+                    dropdowns.forEach(dropdown => dropdown.classList.remove('show'));
+                }
+            };
+            document.addEventListener('click', outsideClickHandler);
+            this.eventListeners.set('export-outside', { element: document, event: 'click', handler: outsideClickHandler });
+        }
+
+        // Import button opens the file picker; the chosen file goes through the preview dialog
+        if (this.config.importable) {
+            const importClickHandler = (e) => {
+                if (!e.target.closest('.import-btn')) return;
+                e.preventDefault();
+                const input = this.container.querySelector('.import-file-input');
+                input.value = '';
+                input.click();
+            };
+            const importFileHandler = (e) => {
+                if (!e.target.classList.contains('import-file-input') || !e.target.files.length) return;
+                this.importData(e.target.files[0], { preview: true });
+            };
+            this.container.addEventListener('click', importClickHandler);
+            this.container.addEventListener('change', importFileHandler);
+            this.eventListeners.set('import', { element: this.container, event: 'click', handler: importClickHandler });
+            this.eventListeners.set('import-file', { element: this.container, event: 'change', handler: importFileHandler });
+        }
+    }
+
+    debounce(func, wait) {
+        return (...args) => {
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => func.apply(this, args), wait);
+        };
+    }
+
+    search(term) {
+        if (typeof term !== 'string') {
+            term = String(term || '');
+        }
+        
+        this.searchTerm = term.toLowerCase();
+        this.clearCellRange();
+        
+        if (this.config.serverSide) {
+            this.currentPage = 1; // Reset to first page on search
+            this.loadServerData();
+        } else {
+            this.applyFilters();
+            this.currentPage = 1;
+            this.render();
+        }
+        
+        this.announceResults();
+        this.emit(EVENTS.SEARCH, { term });
+        return this;
+    }
+
+    applyFilters() {
+        const filters = this.getColumnFilters();
+        this.treeParents = null;
+        this.searchExpandedNodes.clear();
+
+        this.filteredData = this.originalData.filter(row => {
+            // Column filters narrow the rows first, the global search applies on top
+            const passesFilters = filters.every(filter => {
+                const column = this.config.columns.find(col => col.key === filter.key);
+                return !column || this.matchesColumnFilter(this.getCellValue(row, filter.key), column, filter);
+            });
+            if (!passesFilters) return false;
+
+            if (!this.searchTerm) return true;
+
+            // Hidden columns are not searched
+            return this.getVisibleColumns().some(column => {
+                const value = this.getCellValue(row, column.key);
+                return value && value.toString().toLowerCase().includes(this.searchTerm);
+            });
+        });
+
+        // Matching tree rows keep their ancestors, opened up until the search and filters change
+        if (this.isTreeMode() && (filters.length > 0 || this.searchTerm)) {
+            this.filteredData = this.includeTreeAncestors(this.filteredData);
+        }
+
+        // Keep the active sort order after re-filtering
+        this.applySort();
+    }
+
+    /**
+     * Test a cell value against a column filter
+     * @param {*} value - Raw cell value
+     * @param {Object} column - Column configuration
+     * @param {ColumnFilter} filter - Filter specification
+     * @returns {boolean} True when the value passes the filter
+     * @private
+     */
+    matchesColumnFilter(value, column, filter) {
+        switch (filter.operator) {
+            case 'range': {
+                if (value === '' || value === null || value === undefined) return false;
+
+                if (this.getFilterType(column) === 'date') {
+                    // Compare whole days so a 'to' date includes everything on that day
+                    const day = this.formatDateForExport(value, 'YYYY-MM-DD');
+                    const min = this.hasFilterValue(filter.min) ? this.formatDateForExport(filter.min, 'YYYY-MM-DD') : null;
+                    const max = this.hasFilterValue(filter.max) ? this.formatDateForExport(filter.max, 'YYYY-MM-DD') : null;
+                    return (min === null || day >= min) && (max === null || day <= max);
+                }
+
+                const number = parseFloat(value);
+                if (isNaN(number)) return false;
+                return (!this.hasFilterValue(filter.min) || number >= parseFloat(filter.min)) &&
+                    (!this.hasFilterValue(filter.max) || number <= parseFloat(filter.max));
+            }
+            case 'equals':
+                return String(value).toLowerCase() === String(filter.value).toLowerCase();
+            case 'contains':
+            default:
+                return String(value).toLowerCase().includes(String(filter.value).toLowerCase());
+        }
+    }
+
+    /**
+     * Check whether a filter part holds a usable value
+     * @param {*} value - Filter value
+     * @returns {boolean} True when the value is not empty
+     * @private
+     */
+    hasFilterValue(value) {
+        return value !== undefined && value !== null && value !== '';
+    }
+
+    /**
+     * Read the current filter specification for a column from the filter row
+     * @param {string} key - Column key
+     * @returns {ColumnFilter|null} Filter specification or null when empty
+     * @private
+     */
+    readFilterInputs(key) {
+        const column = this.config.columns.find(col => col.key === key);
+        if (!column) return null;
+
+        const parts = {};
+        this.container.querySelectorAll('.qmgrid-filter-input').forEach(input => {
+            if (input.dataset.filterColumn === key) {
+                parts[input.dataset.filterPart] = input.value;
+            }
+        });
+
+        switch (this.getFilterType(column)) {
+            case 'number':
+            case 'date':
+                return { operator: 'range', min: parts.min, max: parts.max };
+            case 'select':
+                return { operator: 'equals', value: parts.value };
+            default:
+                return { operator: parts.operator || 'contains', value: parts.value };
+        }
+    }
+
+    /**
+     * Set or clear the filter for a single column
+     * @param {string} key - Column key
+     * @param {ColumnFilter|string|null} spec - Filter specification, a plain value, or null to clear
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    setColumnFilter(key, spec) {
+        const column = this.config.columns.find(col => col.key === key);
+        if (!column) {
+            console.warn(`Column '${key}' does not exist`);
+            return this;
+        }
+
+        // Accept a bare value as shorthand for the column's default operator
+        if (spec !== null && spec !== undefined && typeof spec !== 'object') {
+            spec = { value: spec };
+        }
+
+        let filter = null;
+        if (spec) {
+            const operator = spec.operator || this.getDefaultFilterOperator(column);
+
+            if (!['contains', 'equals', 'range'].includes(operator)) {
+                console.warn('Filter operator must be "contains", "equals" or "range"');
+                return this;
+            }
+
+            filter = operator === 'range'
+                ? { operator, min: spec.min, max: spec.max }
+                : { operator, value: spec.value };
+
+            const isEmpty = operator === 'range'
+                ? !this.hasFilterValue(filter.min) && !this.hasFilterValue(filter.max)
+                : !this.hasFilterValue(filter.value);
+            if (isEmpty) filter = null;
+        }
+
+        if (filter) {
+            this.columnFilters.set(key, filter);
+        } else {
+            this.columnFilters.delete(key);
+        }
+
+        this.currentPage = 1;
+        this.clearCellRange();
+        if (this.config.serverSide) {
+            this.loadServerData();
+        } else {
+            this.applyFilters();
+            this.render();
+        }
+
+        this.announceResults();
+        this.emit(EVENTS.FILTER, { column: key, filter, filters: this.getColumnFilters() });
+        return this;
+    }
+
+    /**
+     * Get the active column filters
+     * @returns {Array<ColumnFilter>} Active filters, each with its column key
+     * @public
+     */
+    getColumnFilters() {
+        return Array.from(this.columnFilters.entries()).map(([key, filter]) => ({ key, ...filter }));
+    }
+
+    /**
+     * Remove all column filters
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    clearFilters() {
+        clearTimeout(this.filterTimeout);
+        this.pendingFilters.clear();
+        this.columnFilters.clear();
+        this.currentPage = 1;
+        this.clearCellRange();
+
+        if (this.config.serverSide) {
+            this.loadServerData();
+        } else {
+            this.applyFilters();
+            this.render();
+        }
+
+        this.announceResults();
+        this.emit(EVENTS.FILTER, { column: null, filter: null, filters: [] });
+        return this;
+    }
+
+    /**
+     * Get the columns that are currently shown, in display order
+     * @returns {Array<Object>} Column configurations that are not hidden
+     * @public
+     */
+    getVisibleColumns() {
+        const visible = this.config.columns.filter(column => !this.isColumnHidden(column));
+        // Pinned columns sit at the edge they are pinned to, keeping their relative order
+        return [
+            ...visible.filter(column => this.getPinSide(column) === 'left'),
+            ...visible.filter(column => this.getPinSide(column) === null),
+            ...visible.filter(column => this.getPinSide(column) === 'right')
+        ];
+    }
+
+    /**
+     * Check whether a column is hidden: by showColumn()/hideColumn() or saved state, else by column.hidden
+     * @param {Object} column - Column configuration
+     * @returns {boolean} True when the column is hidden
+     * @private
+     */
+    isColumnHidden(column) {
+        return this.columnVisibility.has(column.key)
+            ? !this.columnVisibility.get(column.key)
+            : Boolean(column.hidden);
+    }
+
+    /**
+     * Show a hidden column
+     * @param {string} key - Column key
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    showColumn(key) {
+        return this.setColumnVisibility(key, true);
+    }
+
+    /**
+     * Hide a column from the table, search and default exports
+     * @param {string} key - Column key
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    hideColumn(key) {
+        return this.setColumnVisibility(key, false);
+    }
+
+    /**
+     * Show or hide a column
+     * @param {string} key - Column key
+     * @param {boolean} visible - Whether the column is shown
+     * @returns {QMGrid} Returns this for method chaining
+     * @private
+     */
+    setColumnVisibility(key, visible) {
+        const column = this.config.columns.find(col => col.key === key);
+        if (!column) {
+            console.warn(`Column '${key}' does not exist`);
+            return this;
+        }
+        if (this.isColumnHidden(column) === !visible) {
+            return this;
+        }
+
+        if (!visible && column.hideable === false) {
+            console.warn(`Column '${key}' cannot be hidden`);
+            this.renderColumnMenu();
+            return this;
+        }
+        if (!visible && this.getVisibleColumns().length === 1) {
+            console.warn('At least one column must stay visible');
+            this.renderColumnMenu();
+            return this;
+        }
+
+        this.columnVisibility.set(key, visible);
+        this.refreshColumns();
+
+        this.emit(EVENTS.COLUMN_VISIBILITY, {
+            key,
+            visible,
+            visibleColumns: this.getVisibleColumns().map(col => col.key)
+        });
+        return this;
+    }
+
+    /**
+     * Replace all column definitions
+     * @param {Array<Object>} columns - Column configurations
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    setColumns(columns) {
+        if (!Array.isArray(columns)) {
+            console.warn('Columns must be an array');
+            return this;
+        }
+
+        this.config.columns = columns.filter(column => {
+            if (!column || !column.key) {
+                console.warn('Column definitions need a key:', column);
+                return false;
+            }
+            return true;
+        });
+        // New definitions bring their own column.hidden and column.width settings
+        this.columnVisibility.clear();
+        this.columnWidths.clear();
+        this.pruneColumnState();
+        this.refreshColumns();
+
+        this.emit(EVENTS.COLUMNS_CHANGE, { columns: this.config.columns.map(col => col.key) });
+        return this;
+    }
+
+    /**
+     * Add a column definition
+     * @param {Object} column - Column configuration
+     * @param {number} [position] - Index to insert at among all columns (defaults to the end)
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    addColumn(column, position) {
+        if (!column || typeof column.key !== 'string' || !column.key) {
+            console.warn('Column definitions need a key:', column);
+            return this;
+        }
+        if (this.config.columns.some(col => col.key === column.key)) {
+            console.warn(`Column '${column.key}' already exists`);
+            return this;
+        }
+
+        const columns = [...this.config.columns];
+        const index = typeof position === 'number'
+            ? Math.max(0, Math.min(Math.floor(position), columns.length))
+            : columns.length;
+        columns.splice(index, 0, column);
+        this.config.columns = columns;
+        this.refreshColumns();
+
+        this.emit(EVENTS.COLUMNS_CHANGE, { columns: columns.map(col => col.key), added: column.key });
+        return this;
+    }
+
+    /**
+     * Remove a column definition
+     * @param {string} key - Column key
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    removeColumn(key) {
+        if (!this.config.columns.some(col => col.key === key)) {
+            console.warn(`Column '${key}' does not exist`);
+            return this;
+        }
+
+        this.config.columns = this.config.columns.filter(col => col.key !== key);
+        this.pruneColumnState();
+        this.refreshColumns();
+
+        this.emit(EVENTS.COLUMNS_CHANGE, { columns: this.config.columns.map(col => col.key), removed: key });
+        return this;
+    }
+
+    /**
+     * Move a column to a new position
+     * @param {string} key - Column key
+     * @param {number} toIndex - Target index among all columns, hidden ones included
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    moveColumn(key, toIndex) {
+        const fromIndex = this.config.columns.findIndex(col => col.key === key);
+        if (fromIndex === -1) {
+            console.warn(`Column '${key}' does not exist`);
+            return this;
+        }
+        if (typeof toIndex !== 'number' || isNaN(toIndex)) {
+            console.warn('Column index must be a number');
+            return this;
+        }
+
+        toIndex = Math.max(0, Math.min(Math.floor(toIndex), this.config.columns.length - 1));
+        if (toIndex === fromIndex) return this;
+
+        const columns = [...this.config.columns];
+        const [column] = columns.splice(fromIndex, 1);
+        columns.splice(toIndex, 0, column);
+        this.config.columns = columns;
+
+        this.renderColumnMenu();
+        this.render();
+
+        this.emit(EVENTS.COLUMN_MOVE, {
+            key,
+            fromIndex,
+            toIndex,
+            columns: columns.map(col => col.key)
+        });
+        return this;
+    }
+
+    /**
+     * Move a column one place left or right among the visible columns
+     * @param {string} key - Column key
+     * @param {number} direction - -1 for left, 1 for right
+     * @private
+     */
+    shiftColumn(key, direction) {
+        const visible = this.getVisibleColumns();
+        const index = visible.findIndex(col => col.key === key);
+        const neighbour = visible[index + direction];
+        // Columns only move within their own pinned (or unpinned) section
+        if (!neighbour || this.getPinSide(neighbour) !== this.getPinSide(visible[index])) return;
+
+        // Taking the neighbour's slot steps over any hidden columns in between
+        this.moveColumn(key, this.config.columns.indexOf(neighbour));
+    }
+
+    /**
+     * Pin a column to the left or right edge so it stays visible while scrolling horizontally
+     * @param {string} key - Column key
+     * @param {string|null} side - 'left', 'right', or null to unpin
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    pinColumn(key, side) {
+        const column = this.config.columns.find(col => col.key === key);
+        if (!column) {
+            console.warn(`Column '${key}' does not exist`);
+            return this;
+        }
+        if (side && side !== 'left' && side !== 'right') {
+            console.warn('Pinned side must be "left", "right" or null');
+            return this;
+        }
+
+        column.pinned = side || null;
+        this.render();
+
+        this.emit(EVENTS.COLUMN_PIN, { key, side: column.pinned });
+        return this;
+    }
+
+    /**
+     * Get the side a column is pinned to
+     * @param {Object} column - Column configuration
+     * @returns {string|null} 'left', 'right' or null when not pinned
+     * @private
+     */
+    getPinSide(column) {
+        return column.pinned === 'left' || column.pinned === 'right' ? column.pinned : null;
+    }
+
+    /**
+     * Give pinned cells their sticky offsets, measured from the rendered header widths.
+     * The selection and expander columns pin left whenever any column is pinned left.
+     * @private
+     */
+    applyPinnedColumns() {
+        const table = this.container.querySelector('.qmgrid-table');
+        if (!table) return;
+
+        const columns = this.getVisibleColumns();
+        const left = columns.filter(column => this.getPinSide(column) === 'left');
+        const right = columns.filter(column => this.getPinSide(column) === 'right');
+        const hasPinned = left.length > 0 || right.length > 0;
+        if (!hasPinned && !table.classList.contains('qmgrid-has-pinned')) return;
+        table.classList.toggle('qmgrid-has-pinned', hasPinned);
+
+        const headerRow = table.querySelector('.qmgrid-head tr:first-child');
+        const headerCells = headerRow ? Array.from(headerRow.children) : [];
+        const widthOf = (column) => {
+            const th = headerCells.find(cell => cell.dataset.column === column.key);
+            return th && th.offsetWidth > 0 ? th.offsetWidth : this.getColumnPixelWidth(column);
+        };
+        const utilityWidthOf = (className, fallback) => {
+            const th = headerCells.find(cell => cell.classList.contains(className));
+            return th && th.offsetWidth > 0 ? th.offsetWidth : fallback || DEFAULTS.MIN_COLUMN_WIDTH;
+        };
+
+        // Column key -> { side, offset, edge }, plus class name -> pin for the utility columns
+        const pins = new Map();
+        const utilityPins = new Map();
+        let offset = 0;
+        if (left.length > 0) {
+            if (this.config.selectable) {
+                utilityPins.set('select-column', { side: 'left', offset, edge: false });
+                offset += utilityWidthOf('select-column', this.selectColumnWidth);
+            }
+            if (this.hasDetailRows()) {
+                utilityPins.set('expander-column', { side: 'left', offset, edge: false });
+                offset += utilityWidthOf('expander-column', this.expanderColumnWidth);
+            }
+        }
+        left.forEach((column, i) => {
+            pins.set(column.key, { side: 'left', offset, edge: i === left.length - 1 });
+            offset += widthOf(column);
+        });
+        offset = 0;
+        right.slice().reverse().forEach((column, i) => {
+            pins.set(column.key, { side: 'right', offset, edge: i === right.length - 1 });
+            offset += widthOf(column);
+        });
+
+        table.querySelectorAll('th[data-column], td[data-column], .select-column, .expander-column').forEach(cell => {
+            const utility = ['select-column', 'expander-column'].find(name => cell.classList.contains(name));
+            const pin = utility ? utilityPins.get(utility) : pins.get(cell.dataset.column);
+            cell.classList.toggle('qmgrid-pinned-left', Boolean(pin && pin.side === 'left'));
+            cell.classList.toggle('qmgrid-pinned-right', Boolean(pin && pin.side === 'right'));
+            cell.classList.toggle('qmgrid-pinned-edge', Boolean(pin && pin.edge));
+            cell.style.left = pin && pin.side === 'left' ? `${pin.offset}px` : '';
+            cell.style.right = pin && pin.side === 'right' ? `${pin.offset}px` : '';
+        });
+    }
+
+    /**
+     * Set a column's width in pixels, clamped to its minWidth/maxWidth
+     * @param {string} key - Column key
+     * @param {number} width - Width in pixels
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    setColumnWidth(key, width) {
+        const column = this.config.columns.find(col => col.key === key);
+        if (!column) {
+            console.warn(`Column '${key}' does not exist`);
+            return this;
+        }
+        width = parseFloat(width);
+        if (isNaN(width)) {
+            console.warn('Column width must be a number');
+            return this;
+        }
+
+        this.freezeColumnWidths();
+        width = this.clampColumnWidth(column, width);
+        this.resizeColumn(column, width);
+        this.refreshRowHeights();
+
+        this.emit(EVENTS.COLUMN_RESIZE, { key, width });
+        return this;
+    }
+
+    /**
+     * Size a column to fit its widest rendered cell
+     * @param {string} key - Column key
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    autoFitColumn(key) {
+        const column = this.getVisibleColumns().find(col => col.key === key);
+        if (!column) {
+            console.warn(`Column '${key}' is not visible`);
+            return this;
+        }
+
+        const cells = Array.from(this.container.querySelectorAll(
+            '.qmgrid-head tr:first-child .qmgrid-header-cell, .qmgrid-body .qmgrid-row > .qmgrid-cell, .qmgrid-foot .qmgrid-footer-cell'
+        )).filter(cell => cell.dataset.column === key);
+
+        // Measure content off-screen without wrapping, using each cell's own font and padding
+        const probe = document.createElement('div');
+        probe.style.cssText = 'position: absolute; left: -9999px; top: 0; visibility: hidden; white-space: nowrap;';
+        this.container.appendChild(probe);
+
+        let width = 0;
+        cells.forEach(cell => {
+            const style = window.getComputedStyle(cell);
+            probe.style.fontFamily = style.fontFamily;
+            probe.style.fontSize = style.fontSize;
+            probe.style.fontWeight = style.fontWeight;
+
+            let extra = (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+            if (cell.tagName === 'TH') {
+                const title = cell.querySelector('.column-title');
+                probe.textContent = title ? title.textContent : cell.textContent;
+                // Leave room for the sort indicator and priority badge
+                Array.from(cell.querySelectorAll('.sort-indicator, .sort-priority'))
+                    .forEach(el => { extra += el.offsetWidth + (parseFloat(window.getComputedStyle(el).marginLeft) || 0); });
+            } else {
+                probe.innerHTML = cell.innerHTML;
+            }
+            width = Math.max(width, probe.offsetWidth + extra);
+        });
+        probe.remove();
+
+        // Borders are not part of the measured content
+        return this.setColumnWidth(key, Math.ceil(width) + 2);
+    }
+
+    /**
+     * Check whether a column can be resized
+     * @param {Object} column - Column configuration
+     * @returns {boolean} True when resize handles should be shown
+     * @private
+     */
+    isColumnResizable(column) {
+        return Boolean(this.config.resizable) && column.resizable !== false;
+    }
+
+    /**
+     * Read a pixel width from a column width setting
+     * @param {number|string} width - Width as a number or CSS length
+     * @returns {number|null} Width in pixels, or null for relative/unset widths
+     * @private
+     */
+    parseColumnWidth(width) {
+        if (typeof width === 'number') return width;
+        if (typeof width === 'string' && /^\s*\d+(\.\d+)?(px)?\s*$/.test(width)) return parseFloat(width);
+        return null;
+    }
+
+    /**
+     * Get a column's width: as resized or restored from saved state, else column.width
+     * @param {Object} column - Column configuration
+     * @returns {number|string|undefined} Width as a number or CSS length
+     * @private
+     */
+    getColumnWidth(column) {
+        return this.columnWidths.has(column.key) ? this.columnWidths.get(column.key) : column.width;
+    }
+
+    /**
+     * Get a column's width in pixels, falling back to the default width
+     * @param {Object} column - Column configuration
+     * @returns {number} Width in pixels
+     * @private
+     */
+    getColumnPixelWidth(column) {
+        return this.parseColumnWidth(this.getColumnWidth(column)) || DEFAULTS.COLUMN_WIDTH;
+    }
+
+    /**
+     * Clamp a width to a column's minWidth and maxWidth
+     * @param {Object} column - Column configuration
+     * @param {number} width - Width in pixels
+     * @returns {number} Clamped width, rounded to whole pixels
+     * @private
+     */
+    clampColumnWidth(column, width) {
+        const min = this.parseColumnWidth(column.minWidth) || DEFAULTS.MIN_COLUMN_WIDTH;
+        const max = this.parseColumnWidth(column.maxWidth) || Infinity;
+        return Math.round(Math.min(Math.max(width, min), Math.max(max, min)));
+    }
+
+    /**
+     * Switch to a fixed table layout, pinning every visible column at its
+     * current rendered width so resizing one column leaves the others alone
+     * @private
+     */
+    freezeColumnWidths() {
+        if (this.fixedLayout) return;
+
+        const headerRow = this.container.querySelector('.qmgrid-head tr:first-child');
+        const cells = headerRow ? Array.from(headerRow.querySelectorAll('.qmgrid-header-cell')) : [];
+        const selectCell = headerRow && headerRow.querySelector('.select-column');
+        const expanderCell = headerRow && headerRow.querySelector('.expander-column');
+        const columnFor = th => this.config.columns.find(col => col.key === th.dataset.column);
+
+        // Measure every cell before touching any width, since each change reflows the rest
+        cells.forEach(th => {
+            const column = columnFor(th);
+            if (column && th.offsetWidth > 0) this.columnWidths.set(column.key, `${th.offsetWidth}px`);
+        });
+        this.selectColumnWidth = selectCell && selectCell.offsetWidth > 0 ? selectCell.offsetWidth : DEFAULTS.MIN_COLUMN_WIDTH;
+        this.expanderColumnWidth = expanderCell && expanderCell.offsetWidth > 0 ? expanderCell.offsetWidth : DEFAULTS.MIN_COLUMN_WIDTH;
+        this.fixedLayout = true;
+
+        cells.forEach(th => {
+            const column = columnFor(th);
+            if (column) th.style.width = `${this.getColumnPixelWidth(column)}px`;
+        });
+        if (selectCell) selectCell.style.width = `${this.selectColumnWidth}px`;
+        if (expanderCell) expanderCell.style.width = `${this.expanderColumnWidth}px`;
+        this.applyColumnLayout();
+    }
+
+    /**
+     * Apply a new width to a column and its header cell without re-rendering
+     * @param {Object} column - Column configuration
+     * @param {number} width - Width in pixels
+     * @private
+     */
+    resizeColumn(column, width) {
+        this.columnWidths.set(column.key, `${width}px`);
+
+        const th = Array.from(this.container.querySelectorAll('.qmgrid-head tr:first-child .qmgrid-header-cell'))
+            .find(cell => cell.dataset.column === column.key);
+        if (th) th.style.width = `${width}px`;
+        this.applyColumnLayout();
+        this.applyPinnedColumns();
+    }
+
+    /**
+     * Size the table to the sum of its column widths once the layout is fixed
+     * @private
+     */
+    applyColumnLayout() {
+        const table = this.container.querySelector('.qmgrid-table');
+        if (!table || !this.fixedLayout) return;
+
+        const total = this.getVisibleColumns().reduce(
+            (sum, column) => sum + this.getColumnPixelWidth(column),
+            (this.config.selectable ? this.selectColumnWidth : 0) + (this.hasDetailRows() ? this.expanderColumnWidth || DEFAULTS.MIN_COLUMN_WIDTH : 0)
+        );
+        table.classList.add('qmgrid-fixed-layout');
+        table.style.width = `${total}px`;
+    }
+
+    /**
+     * Forget measured row heights after a width change, since cell text may now wrap differently
+     * @private
+     */
+    refreshRowHeights() {
+        this.rowHeights.clear();
+        this.virtualDirty = true;
+        if (this.config.virtualScroll && this.virtualRows) {
+            this.virtualWindow = null;
+            this.renderVirtualWindow();
+        }
+    }
+
+    /**
+     * Drop sort, filter, visibility, width and group state that refers to columns that no longer exist
+     * @private
+     */
+    pruneColumnState() {
+        const exists = key => this.config.columns.some(col => col.key === key);
+
+        this.sortModel = this.sortModel.filter(item => exists(item.key));
+        const primary = this.sortModel[0];
+        this.sortColumn = primary ? primary.key : null;
+        this.sortDirection = primary ? primary.dir : 'asc';
+
+        Array.from(this.columnFilters.keys()).forEach(key => {
+            if (!exists(key)) this.columnFilters.delete(key);
+        });
+        Array.from(this.columnVisibility.keys()).forEach(key => {
+            if (!exists(key)) this.columnVisibility.delete(key);
+        });
+        Array.from(this.columnWidths.keys()).forEach(key => {
+            if (!exists(key)) this.columnWidths.delete(key);
+        });
+
+        if (Array.isArray(this.config.groupBy)) {
+            this.config.groupBy = this.config.groupBy.filter(exists);
+        }
+    }
+
+    /**
+     * Re-render after the column set or visibility changed
+     * @private
+     */
+    refreshColumns() {
+        // Row heights depend on which columns are shown
+        this.rowHeights.clear();
+        this.virtualDirty = true;
+        this.renderColumnMenu();
+
+        if (this.config.serverSide) {
+            // The server searches the visible columns, so a live search has to be re-run
+            if (this.searchTerm) {
+                this.loadServerData();
+            } else {
+                this.render();
+            }
+        } else {
+            this.applyFilters();
+            this.render();
+        }
+    }
+
+    /**
+     * Rebuild the checkboxes in the "Columns" dropdown
+     * @private
+     */
+    renderColumnMenu() {
+        const menu = this.container.querySelector('.columns-menu');
+        if (!menu) return;
+
+        // Keep keyboard focus on the same checkbox across the rebuild
+        const active = document.activeElement;
+        const focusedKey = active && menu.contains(active) ? active.dataset.columnKey : null;
+
+        menu.innerHTML = '';
+        this.config.columns.forEach(column => {
+            const label = document.createElement('label');
+            label.className = 'column-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'column-toggle-checkbox';
+            checkbox.dataset.columnKey = column.key;
+            checkbox.checked = !this.isColumnHidden(column);
+            checkbox.disabled = column.hideable === false;
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(column.title || column.key));
+            menu.appendChild(label);
+        });
+
+        if (focusedKey) {
+            const checkbox = Array.from(menu.querySelectorAll('.column-toggle-checkbox'))
+                .find(input => input.dataset.columnKey === focusedKey);
+            if (checkbox) checkbox.focus();
+        }
+    }
+
+    setData(data) {
+        if (!Array.isArray(data)) {
+            throw new Error('Data must be an array');
+        }
+        
+        if (this.config.serverSide) {
+            console.warn('setData() called with server-side processing enabled. This will switch to client-side mode for this data.');
+            // Temporarily switch to client-side for this data
+            this.config.serverSide = false;
+        }
+
+        if (this.config.childrenKey) {
+            data = this.flattenTree(data);
+        }
+        
+        this.originalData = [...data];
+        this.config.data = data;
+        this.nextAutoRowId = 0;
+        this.autoRowIds = new WeakMap();
+        this.assignRowIds(this.originalData);
+        this.rowHeights.clear();
+        this.applyFilters();
+        this.currentPage = 1;
+        this.selectedRows.clear();
+        this.cellRange = null;
+        this.expandedRows.clear();
+        this.detailCache.clear();
+        this.expandedNodes.clear();
+        this.treeLoading.clear();
+        this.treeLoaded.clear();
+        this.render();
+        this.emit(EVENTS.DATA_CHANGE, { data });
+        return this;
+    }
+
+    addRow(row) {
+        if (!row || typeof row !== 'object') {
+            throw new Error('Row must be an object');
+        }
+        
+        if (this.config.serverSide) {
+            console.warn('addRow() not supported in server-side mode. Use server API to add data.');
+            return this;
+        }
+        
+        // A nested tree row brings its descendants along
+        const rows = this.config.childrenKey ? this.flattenTree([row]) : [row];
+        rows.forEach(newRow => {
+            this.originalData.push(newRow);
+            this.config.data.push(newRow);
+        });
+        this.assignRowIds(rows);
+        this.applyFilters();
+        this.render();
+        this.emit(EVENTS.ROW_ADD, { row, id: this.getRowId(row) });
+        return this;
+    }
+
+    removeRow(id) {
+        if (this.config.serverSide) {
+            console.warn('removeRow() not supported in server-side mode. Use server API to remove data.');
+            return this;
+        }
+
+        const index = this.findRowIndex(id);
+        if (index === -1) {
+            console.warn(`Invalid row ID: ${id}`);
+            return this;
+        }
+
+        // Removing a tree node removes its descendants too
+        const descendants = this.isTreeMode() ? this.getTreeDescendantIds(this.getRowId(this.originalData[index])) : new Set();
+        
+        const removedRow = this.originalData.splice(index, 1)[0];
+        this.config.data.splice(index, 1);
+        this.selectedRows.delete(id);
+        const removedId = this.getRowId(removedRow);
+        this.expandedRows.delete(removedId);
+        this.detailCache.delete(removedId);
+        this.expandedNodes.delete(removedId);
+
+        if (descendants.size > 0) {
+            for (let i = this.originalData.length - 1; i >= 0; i--) {
+                const rowId = this.getRowId(this.originalData[i]);
+                if (!descendants.has(rowId)) continue;
+                this.originalData.splice(i, 1);
+                this.config.data.splice(i, 1);
+                this.selectedRows.delete(rowId);
+                this.expandedRows.delete(rowId);
+                this.detailCache.delete(rowId);
+                this.expandedNodes.delete(rowId);
+            }
+        }
+        
+        this.applyFilters();
+        this.render();
+        this.emit(EVENTS.ROW_REMOVE, { row: removedRow, id, index });
+        return this;
+    }
+
+    updateRow(id, newData) {
+        const index = this.findRowIndex(id);
+        if (index === -1) {
+            console.warn(`Invalid row ID: ${id}`);
+            return this;
+        }
+        
+        if (!newData || typeof newData !== 'object') {
+            throw new Error('New data must be an object');
+        }
+        
+        if (this.config.serverSide) {
+            if (!this.getUpdateRequestConfig()) {
+                console.warn('updateRow() in server-side mode requires ajax.update. Use server API to update data.');
+                return this;
+            }
+            // Failures are reported through the serverError event
+            this.saveServerUpdate(index, newData).catch(() => {});
+            return this;
+        }
+        
+        const updatedRow = this.mergeRowData(index, newData);
+        this.applyFilters();
+        this.render();
+        this.emit(EVENTS.ROW_UPDATE, { row: updatedRow, id: this.getRowId(updatedRow), index });
+        return this;
+    }
+
+    /**
+     * Give rows without an automatic ID one, in the order given. Called as rows are
+     * loaded so automatic IDs follow load order rather than the order rows are first shown.
+     * @param {Array<Object>} rows - Rows in load order
+     * @private
+     */
+    assignRowIds(rows) {
+        if (this.config.rowId) return;
+        rows.forEach(row => this.getRowId(row));
+    }
+
+    /**
+     * Get the stable ID of a row.
+     * Uses config.rowId (key path or function); without it, rows get an
+     * automatic ID in load order (0, 1, 2...) that lives as long as the row object.
+     * @param {Object} row - Row data
+     * @returns {*} Row ID
+     * @public
+     */
+    getRowId(row) {
+        const rowId = this.config.rowId;
+        if (typeof rowId === 'function') return rowId(row);
+        if (rowId) return this.getCellValue(row, rowId);
+
+        if (!this.autoRowIds.has(row)) {
+            this.autoRowIds.set(row, this.nextAutoRowId++);
+        }
+        return this.autoRowIds.get(row);
+    }
+
+    /**
+     * Find a row in the loaded data by its ID
+     * @param {*} id - Row ID
+     * @returns {Object|undefined} Row data
+     * @public
+     */
+    getRowById(id) {
+        const index = this.findRowIndex(id);
+        return index === -1 ? undefined : this.originalData[index];
+    }
+
+    /**
+     * Find the originalData index of a row ID
+     * @param {*} id - Row ID
+     * @returns {number} Index, or -1 when not loaded
+     * @private
+     */
+    findRowIndex(id) {
+        // IDs read back from the DOM are strings, so fall back to string comparison
+        const index = this.originalData.findIndex(row => this.getRowId(row) === id);
+        if (index !== -1 || id === null || id === undefined) return index;
+        return this.originalData.findIndex(row => String(this.getRowId(row)) === String(id));
+    }
+
+    /**
+     * Merge properties into a row and into the matching config.data entry
+     * @param {number} index - originalData index
+     * @param {Object} patch - Properties to merge
+     * @returns {Object} The updated row
+     * @private
+     */
+    mergeRowData(index, patch) {
+        const updatedRow = { ...this.originalData[index], ...patch };
+        this.replaceRow(index, updatedRow);
+        this.config.data[index] = { ...this.config.data[index], ...patch };
+        return updatedRow;
+    }
+
+    /**
+     * Swap in a new version of a row, keeping its ID and selection
+     * @param {number} index - originalData index
+     * @param {Object} newRow - Replacement row data
+     * @private
+     */
+    replaceRow(index, newRow) {
+        const oldRow = this.originalData[index];
+        const id = this.getRowId(oldRow);
+
+        if (!this.config.rowId) {
+            this.autoRowIds.set(newRow, id);
+        }
+        this.originalData[index] = newRow;
+
+        const newId = this.getRowId(newRow);
+        if (this.selectedRows.has(id)) {
+            this.selectedRows.delete(id);
+            this.selectedRows.set(newId, newRow);
+        }
+        // The detail content was rendered from the old data
+        this.detailCache.delete(id);
+        if (this.expandedRows.has(id)) {
+            this.expandedRows.delete(id);
+            this.expandedRows.add(newId);
+        }
+    }
+
+    /**
+     * Resolve the ajax.update setting into request options
+     * @returns {{url: string, method: string}|null} Update request config, or null when not configured
+     * @private
+     */
+    getUpdateRequestConfig() {
+        const update = this.config.ajax && this.config.ajax.update;
+        if (!update) return null;
+        if (typeof update === 'string') return { url: update, method: 'POST' };
+        return update.url ? { method: 'POST', ...update } : null;
+    }
+
+    /**
+     * Send a row update to the ajax.update endpoint and apply it to the current page
+     * @param {number} index - Row index within the current page data
+     * @param {Object} newData - Properties to merge into the row
+     * @returns {Promise<Object>} Resolves with the updated row
+     * @private
+     */
+    async saveServerUpdate(index, newData) {
+        const update = this.getUpdateRequestConfig();
+        const row = this.originalData[index];
+        const payload = { index, changes: newData, row: { ...row, ...newData } };
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.config.ajax.timeout || DEFAULTS.SERVER_TIMEOUT);
+
+        try {
+            const response = await fetch(update.url, {
+                method: update.method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.config.ajax.headers
+                },
+                body: JSON.stringify(update.data ? update.data(payload) : payload),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+            }
+
+            // The server may echo the stored row; otherwise keep the local merge
+            let saved = payload.row;
+            const text = await response.text();
+            if (text) {
+                const result = JSON.parse(text);
+                const error = this.getNestedValue(result, this.config.serverResponse.error);
+                if (error) throw new Error(error);
+                const echoed = this.getNestedValue(result, this.config.serverResponse.data);
+                if (echoed && typeof echoed === 'object' && !Array.isArray(echoed)) {
+                    saved = echoed;
+                }
+            }
+
+            const filteredIndex = this.filteredData.indexOf(row);
+            this.replaceRow(index, saved);
+            if (filteredIndex !== -1) this.filteredData[filteredIndex] = saved;
+
+            this.render();
+            this.emit(EVENTS.ROW_UPDATE, { row: saved, id: this.getRowId(saved), index });
+            return saved;
+        } catch (error) {
+            console.error('Failed to save row update:', error);
+            this.emit(EVENTS.SERVER_ERROR, { error: error.message, page: this.currentPage, update: payload });
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Check whether a column's cells can be edited inline
+     * @param {Object} column - Column configuration
+     * @returns {boolean} True when the column is editable
+     * @private
+     */
+    isCellEditable(column) {
+        if (!column.editable) return false;
+        // Server-side edits need somewhere to go
+        return !this.config.serverSide || Boolean(this.getUpdateRequestConfig());
+    }
+
+    /**
+     * Build a patch object for a (possibly nested) column key
+     * @param {Object} row - Current row data
+     * @param {string} key - Column key, dot notation allowed
+     * @param {*} value - New value
+     * @returns {Object} Patch suitable for updateRow()
+     * @private
+     */
+    buildRowPatch(row, key, value) {
+        const parts = key.split('.');
+        const patch = {};
+        let target = patch;
+        let source = row;
+
+        parts.forEach((part, i) => {
+            if (i === parts.length - 1) {
+                target[part] = value;
+            } else {
+                source = source && typeof source[part] === 'object' ? source[part] : {};
+                target[part] = { ...source };
+                target = target[part];
+            }
+        });
+
+        return patch;
+    }
+
+    /**
+     * Get a select column's options as { value, label } pairs
+     * @param {Object} column - Column configuration
+     * @returns {Array<{value: *, label: *}>} Options from editorOptions, or filterOptions
+     * @private
+     */
+    getEditorOptions(column) {
+        return (column.editorOptions || column.filterOptions || []).map(option =>
+            (option !== null && typeof option === 'object') ? option : { value: option, label: option });
+    }
+
+    /**
+     * Create the input used to edit a cell
+     * @param {Object} column - Column configuration
+     * @param {*} value - Current cell value
+     * @param {Object} row - Row data
+     * @returns {{element: HTMLElement, getValue: Function}} Editor instance
+     * @private
+     */
+    createCellEditor(column, value, row) {
+        let editor = column.editor;
+        if (!editor) {
+            editor = column.type === 'number' || column.type === 'currency' ? 'number'
+                : column.type === 'date' ? 'date' : 'text';
+        }
+
+        // Custom factories may return an element or an { element, getValue } pair
+        if (typeof editor === 'function') {
+            const result = editor(value, row, column);
+            if (result instanceof HTMLElement) {
+                return {
+                    element: result,
+                    getValue: () => result.type === 'checkbox' ? result.checked : result.value
+                };
+            }
+            return result;
+        }
+
+        const empty = value === '' || value === null || value === undefined;
+        let element;
+        let getValue;
+
+        switch (editor) {
+            case 'select': {
+                const options = this.getEditorOptions(column);
+                element = document.createElement('select');
+                options.forEach(option => {
+                    const optionEl = document.createElement('option');
+                    optionEl.value = String(option.value);
+                    optionEl.textContent = String(option.label !== undefined ? option.label : option.value);
+                    optionEl.selected = String(option.value) === String(value);
+                    element.appendChild(optionEl);
+                });
+                // Hand back the option's original value rather than its string form
+                getValue = () => {
+                    const match = options.find(option => String(option.value) === element.value);
+                    return match ? match.value : element.value;
+                };
+                break;
+            }
+            case 'checkbox':
+                element = document.createElement('input');
+                element.type = 'checkbox';
+                element.checked = value === true || value === 'true' || value === 1;
+                getValue = () => element.checked;
+                break;
+            case 'number':
+                element = document.createElement('input');
+                element.type = 'number';
+                element.value = empty ? '' : String(value);
+                getValue = () => element.value === '' ? null : parseFloat(element.value);
+                break;
+            case 'date':
+                element = document.createElement('input');
+                element.type = 'date';
+                element.value = empty ? '' : this.formatDateForExport(value, 'YYYY-MM-DD');
+                getValue = () => element.value || null;
+                break;
+            default:
+                element = document.createElement('input');
+                element.type = 'text';
+                element.value = empty ? '' : String(value);
+                getValue = () => element.value;
+        }
+
+        return { element, getValue };
+    }
+
+    /**
+     * Open the inline editor for a cell
+     * @param {number} rowIndex - Row index within filtered data
+     * @param {string} key - Column key
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    editCell(rowIndex, key) {
+        const column = this.config.columns.find(col => col.key === key);
+        const row = this.filteredData[rowIndex];
+        if (!column || !row || !this.isCellEditable(column)) {
+            console.warn(`Cell '${key}' in row ${rowIndex} is not editable`);
+            return this;
+        }
+
+        // Only one editor at a time; a failed commit or a pending server save keeps the current one open
+        if (this.activeEditor) this.commitEdit();
+        if (this.activeEditor) return this;
+
+        const td = this.getCellElement(rowIndex, key);
+        if (!td) return this;
+
+        const value = this.getCellValue(row, key);
+        const editor = this.createCellEditor(column, value, row);
+        const wrapper = document.createElement('div');
+        wrapper.className = 'qmgrid-cell-editor';
+        wrapper.appendChild(editor.element);
+
+        const errorEl = document.createElement('div');
+        errorEl.className = 'qmgrid-cell-error';
+        errorEl.setAttribute('role', 'alert');
+        wrapper.appendChild(errorEl);
+
+        wrapper.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.commitEdit();
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+                this.commitEdit(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelEdit();
+            }
+            e.stopPropagation();
+        });
+
+        // Clicking away commits, unless focus only moved within a custom editor
+        wrapper.addEventListener('focusout', (e) => {
+            if (this.activeEditor && this.activeEditor.editor === editor && !wrapper.contains(e.relatedTarget)) {
+                this.commitEdit();
+            }
+        });
+
+        td.innerHTML = '';
+        td.classList.add('editing');
+        td.appendChild(wrapper);
+
+        this.activeEditor = { td, row, rowIndex, column, value, editor, wrapper, errorEl };
+
+        const focusTarget = editor.element.matches('input, select, textarea')
+            ? editor.element
+            : editor.element.querySelector('input, select, textarea') || editor.element;
+        if (focusTarget.focus) focusTarget.focus();
+        if (focusTarget.select && focusTarget.type === 'text') focusTarget.select();
+
+        this.emit(EVENTS.CELL_EDIT_START, { row, column: key, value, index: rowIndex });
+        return this;
+    }
+
+    /**
+     * Validate and commit the open cell editor
+     * @param {number} [move=0] - Open the next (1) or previous (-1) editable cell afterwards
+     * @returns {boolean} False when validation blocked the commit. In server-side mode the editor
+     *     stays open and locked until the save finishes, and reopens for another try if it fails.
+     * @private
+     */
+    commitEdit(move = 0) {
+        const active = this.activeEditor;
+        if (!active || active.saving) return false;
+
+        const { row, rowIndex, column, editor, errorEl } = active;
+        const value = editor.getValue();
+        const oldValue = active.value;
+
+        const error = this.validateCellValue(column, value, row);
+        if (error !== null) {
+            errorEl.textContent = error;
+            active.td.classList.add('invalid');
+            return false;
+        }
+
+        const unchanged = String(value === null || value === undefined ? '' : value) ===
+            String(oldValue === null || oldValue === undefined ? '' : oldValue);
+        const patch = this.buildRowPatch(row, column.key, value);
+        const id = this.getRowId(row);
+        const index = this.originalData.indexOf(row);
+
+        const finish = (updatedRow) => {
+            // The edit may have moved the row through sorting or filtering
+            const newIndex = this.filteredData.indexOf(updatedRow);
+            if (!unchanged) {
+                this.emit(EVENTS.CELL_EDIT, { row: updatedRow, column: column.key, value, oldValue, index: newIndex });
+            }
+            if (newIndex === -1) return;
+            if (move) {
+                this.editAdjacentCell(newIndex, column.key, move);
+            } else {
+                this.focusCell(newIndex, column.key);
+            }
+        };
+
+        if (unchanged) {
+            this.activeEditor = null;
+            this.renderBody();
+            finish(row);
+            return true;
+        }
+
+        if (this.config.serverSide) {
+            active.saving = true;
+            active.td.classList.add('saving');
+            this.saveServerUpdate(index, patch).then(updatedRow => {
+                if (this.activeEditor !== active) return;
+                // The saved row has replaced the old one, so the body already shows the new value
+                this.activeEditor = null;
+                finish(updatedRow);
+            }, () => {
+                if (this.activeEditor !== active) return;
+                // Unlock the editor with the typed value, so the user can retry or cancel
+                active.saving = false;
+                active.saveFailed = true;
+                active.td.classList.remove('saving');
+                active.td.classList.add('invalid');
+                errorEl.textContent = this.config.language.edit.saveFailed;
+            });
+            return true;
+        }
+
+        this.activeEditor = null;
+        this.updateRow(id, patch);
+        finish(this.getRowById(id));
+        return true;
+    }
+
+    /**
+     * Run a column's validate function on a value
+     * @param {Object} column - Column configuration
+     * @param {*} value - Value to check
+     * @param {Object} row - Row the value belongs to
+     * @returns {string|null} Error message, or null when the value is valid
+     * @private
+     */
+    validateCellValue(column, value, row) {
+        if (typeof column.validate !== 'function') return null;
+
+        let result;
+        try {
+            result = column.validate(value, row);
+        } catch (error) {
+            result = error.message;
+        }
+        if (result === false) return this.config.language.edit.invalid;
+        return typeof result === 'string' ? result : null;
+    }
+
+    /**
+     * Close the open cell editor without saving
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    cancelEdit() {
+        const active = this.activeEditor;
+        if (!active || active.saving) return this;
+
+        this.activeEditor = null;
+        this.renderBody();
+        this.focusCell(active.rowIndex, active.column.key);
+
+        this.emit(EVENTS.CELL_EDIT_CANCEL, { row: active.row, column: active.column.key, value: active.value, index: active.rowIndex });
+        return this;
+    }
+
+    /**
+     * Drop the open editor before its rows are rebuilt. An editor waiting on a server
+     * save stays active, so no other cell can be edited until the save finishes.
+     * @private
+     */
+    discardEditor() {
+        if (this.activeEditor && !this.activeEditor.saving) this.activeEditor = null;
+    }
+
+    /**
+     * Put an editor that is waiting on a server save back into its re-rendered cell
+     * @private
+     */
+    restoreSavingEditor() {
+        const active = this.activeEditor;
+        if (!active || !active.saving) return;
+
+        const td = this.getCellElement(this.filteredData.indexOf(active.row), active.column.key);
+        if (!td || td.contains(active.wrapper)) return;
+        td.innerHTML = '';
+        td.classList.add('editing', 'saving');
+        td.appendChild(active.wrapper);
+        active.td = td;
+    }
+
+    /**
+     * Move keyboard focus to a rendered body cell
+     * @param {number} rowIndex - Row index within filtered data
+     * @param {string} key - Column key
+     * @private
+     */
+    focusCell(rowIndex, key) {
+        const td = this.getCellElement(rowIndex, key);
+        if (td && td.hasAttribute('tabindex')) td.focus();
+    }
+
+    /**
+     * Find the rendered body cell for a row and column
+     * @param {number} rowIndex - Row index within filtered data
+     * @param {string} key - Column key
+     * @returns {HTMLElement|null} Cell element, or null when not rendered
+     * @private
+     */
+    getCellElement(rowIndex, key) {
+        const tr = this.container.querySelector(`.qmgrid-row[data-index="${rowIndex}"]`);
+        if (!tr) return null;
+        return Array.from(tr.querySelectorAll('.qmgrid-cell')).find(td => td.dataset.column === key) || null;
+    }
+
+    /**
+     * Open the editor on the next or previous editable cell in the same row
+     * @param {number} rowIndex - Row index within filtered data
+     * @param {string} key - Column key to move from
+     * @param {number} direction - 1 for next, -1 for previous
+     * @private
+     */
+    editAdjacentCell(rowIndex, key, direction) {
+        const editable = this.getVisibleColumns().filter(col => this.isCellEditable(col));
+        const next = editable[editable.findIndex(col => col.key === key) + direction];
+        if (next) this.editCell(rowIndex, next.key);
+    }
+
+    sort(column, direction = null) {
+        if (!column || typeof column !== 'string') {
+            console.warn('Sort column must be a non-empty string');
+            return this;
+        }
+        
+        // Validate column exists
+        const columnExists = this.config.columns.some(col => col.key === column);
+        if (!columnExists) {
+            console.warn(`Column '${column}' does not exist`);
+            return this;
+        }
+        
+        if (direction && !['asc', 'desc'].includes(direction)) {
+            console.warn('Sort direction must be "asc" or "desc"');
+            direction = null;
+        }
+
+        // A plain sort replaces the model with a single column
+        if (this.sortColumn === column && direction === null) {
+            direction = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        }
+
+        return this.setSortModel([{ key: column, dir: direction || 'asc' }]);
+    }
+
+    /**
+     * Replace the ordered sort model
+     * @param {Array<SortModelItem>} model - Sort entries in priority order
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    setSortModel(model) {
+        if (!Array.isArray(model)) {
+            console.warn('Sort model must be an array');
+            return this;
+        }
+
+        this.updateSortModel(model);
+        this.clearCellRange();
+
+        if (this.config.serverSide) {
+            this.currentPage = 1; // Reset to first page on sort
+            this.loadServerData();
+        } else {
+            this.applySort();
+            this.render();
+        }
+
+        this.announceSort();
+        this.emit(EVENTS.SORT, {
+            column: this.sortColumn,
+            direction: this.sortDirection,
+            sortModel: this.getSortModel()
+        });
+        return this;
+    }
+
+    /**
+     * Validate and store a sort model without re-sorting or rendering
+     * @param {Array<SortModelItem>} model - Sort entries in priority order
+     * @private
+     */
+    updateSortModel(model) {
+        const seen = new Set();
+        this.sortModel = model.filter(item => {
+            if (!item || !this.config.columns.some(col => col.key === item.key)) {
+                console.warn(`Column '${item && item.key}' does not exist`);
+                return false;
+            }
+            if (seen.has(item.key)) return false;
+            seen.add(item.key);
+            return true;
+        }).map(item => ({ key: item.key, dir: item.dir === 'desc' ? 'desc' : 'asc' }));
+
+        // Keep the single-column state in step with the primary sort
+        const primary = this.sortModel[0];
+        this.sortColumn = primary ? primary.key : null;
+        this.sortDirection = primary ? primary.dir : 'asc';
+    }
+
+    /**
+     * Get the ordered sort model
+     * @returns {Array<SortModelItem>} Copy of the sort entries in priority order
+     * @public
+     */
+    getSortModel() {
+        return this.sortModel.map(item => ({ ...item }));
+    }
+
+    /**
+     * Append a column to the sort model or cycle it asc -> desc -> unsorted
+     * @param {string} column - Column key
+     * @returns {QMGrid} Returns this for method chaining
+     * @private
+     */
+    cycleSortColumn(column) {
+        const model = this.getSortModel();
+        const existing = model.find(item => item.key === column);
+
+        if (!existing) {
+            model.push({ key: column, dir: 'asc' });
+        } else if (existing.dir === 'asc') {
+            existing.dir = 'desc';
+        } else {
+            model.splice(model.indexOf(existing), 1);
+        }
+
+        return this.setSortModel(model);
+    }
+
+    /**
+     * Sort filtered data client-side according to the sort model.
+     * Comparators are chosen from column.type unless column.sortFn is set;
+     * equal keys keep their original order. Group keys sort first so each
+     * group's rows are contiguous, taking their direction from the sort model.
+     * Tree rows are sorted among their siblings.
+     * @private
+     */
+    applySort() {
+        const groupKeys = this.getGroupKeys();
+        if (this.sortModel.length === 0 && groupKeys.length === 0) {
+            if (this.isTreeMode()) this.filteredData = this.linearizeTree(this.filteredData);
+            return;
+        }
+
+        // Default (variant) sensitivity still orders by letter first, but keeps accents and case from tying
+        const collator = new Intl.Collator(this.config.sortLocale || undefined, { numeric: true });
+        const nullsFirst = this.config.sortNulls === 'first';
+        const model = groupKeys.map(key => {
+            const entry = this.sortModel.find(item => item.key === key);
+            return { key, dir: entry ? entry.dir : 'asc', group: true };
+        }).concat(this.sortModel.filter(item => !groupKeys.includes(item.key)));
+
+        const criteria = model.map(({ key, dir, group }) => {
+            const column = this.config.columns.find(col => col.key === key) || { key };
+            return {
+                key,
+                column,
+                group: Boolean(group),
+                sign: dir === 'desc' ? -1 : 1,
+                sortFn: typeof column.sortFn === 'function' ? column.sortFn : null
+            };
+        });
+
+        // Normalise every sort key once instead of on each comparison
+        const entries = this.filteredData.map((row, index) => ({
+            row,
+            index,
+            values: criteria.map(criterion => {
+                const value = this.getCellValue(row, criterion.key);
+                return criterion.sortFn ? value : this.getSortValue(value, criterion.column);
+            }),
+            // Group values must match exactly, not just compare equal
+            groups: criteria.map(criterion => (criterion.group ? String(this.getCellValue(row, criterion.key)) : null))
+        }));
+
+        entries.sort((a, b) => {
+            for (let i = 0; i < criteria.length; i++) {
+                const criterion = criteria[i];
+                const aVal = a.values[i];
+                const bVal = b.values[i];
+                let result;
+
+                if (criterion.sortFn) {
+                    result = (Number(criterion.sortFn(aVal, bVal, a.row, b.row)) || 0) * criterion.sign;
+                } else if (aVal === null || bVal === null) {
+                    // Empty values are placed by sortNulls regardless of direction
+                    result = aVal === bVal ? 0 : (aVal === null ? 1 : -1) * (nullsFirst ? -1 : 1);
+                } else if (typeof aVal === 'string') {
+                    result = collator.compare(aVal, bVal) * criterion.sign;
+                } else {
+                    result = (aVal < bVal ? -1 : aVal > bVal ? 1 : 0) * criterion.sign;
+                }
+
+                if (result === 0 && criterion.group && a.groups[i] !== b.groups[i]) {
+                    result = (a.groups[i] < b.groups[i] ? -1 : 1) * criterion.sign;
+                }
+
+                if (result !== 0) return result;
+            }
+            return a.index - b.index;
+        });
+
+        this.filteredData = entries.map(entry => entry.row);
+
+        // Sorted rows are regrouped under their parents, so siblings sort among themselves
+        if (this.isTreeMode()) {
+            this.filteredData = this.linearizeTree(this.filteredData);
+        }
+    }
+
+    /**
+     * Normalise a cell value into a comparable sort key
+     * @param {*} value - Raw cell value
+     * @param {Object} column - Column configuration
+     * @returns {number|string|null} Sort key, or null for empty/invalid values
+     * @private
+     */
+    getSortValue(value, column) {
+        if (value === '' || value === null || value === undefined) return null;
+
+        switch (column.type) {
+            case 'number':
+            case 'currency': {
+                // Drop separators, currency codes (whose letters could pass for an exponent) and symbols
+                const number = typeof value === 'number'
+                    ? value
+                    : parseFloat(String(value).replace(/[\s,]|[A-Za-z]{2,}/g, '').replace(/[^0-9eE+\-.]/g, ''));
+                return isNaN(number) ? null : number;
+            }
+            case 'date': {
+                const time = (value instanceof Date ? value : new Date(value)).getTime();
+                return isNaN(time) ? null : time;
+            }
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Group rows by one or more columns, outermost first. Pass an empty array to ungroup.
+     * @param {Array<string>|string} keys - Column keys
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    groupBy(keys) {
+        if (this.isTreeMode()) {
+            console.warn('Tree data cannot be grouped');
+            return this;
+        }
+        if (typeof keys === 'string') {
+            keys = [keys];
+        }
+        if (!Array.isArray(keys)) {
+            console.warn('groupBy() expects an array of column keys');
+            return this;
+        }
+
+        this.config.groupBy = keys.filter(key => {
+            if (!this.config.columns.some(col => col.key === key)) {
+                console.warn(`Column '${key}' does not exist`);
+                return false;
+            }
+            return true;
+        });
+        this.collapsedGroups.clear();
+        this.currentPage = 1;
+        this.clearCellRange();
+
+        if (this.config.serverSide) {
+            this.loadServerData();
+        } else {
+            // Re-filter so ungrouping restores the unsorted order
+            this.applyFilters();
+            this.render();
+        }
+
+        this.emit(EVENTS.GROUP, { keys: this.getGroupKeys() });
+        return this;
+    }
+
+    /**
+     * Expand or collapse a group
+     * @param {Array<*>} values - Group values from the outermost group down, e.g. ['Sales', 'active']
+     * @param {boolean} [expanded] - Force a state instead of toggling
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    toggleGroup(values, expanded) {
+        if (!Array.isArray(values)) {
+            values = [values];
+        }
+
+        const path = this.getGroupPath(values);
+        const collapse = typeof expanded === 'boolean' ? !expanded : !this.collapsedGroups.has(path);
+
+        if (collapse) {
+            this.collapsedGroups.add(path);
+        } else {
+            this.collapsedGroups.delete(path);
+        }
+
+        this.render();
+        this.emit(EVENTS.GROUP_TOGGLE, { values, expanded: !collapse });
+        return this;
+    }
+
+    /**
+     * Expand every group
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    expandAllGroups() {
+        this.collapsedGroups.clear();
+        this.render();
+        this.emit(EVENTS.GROUP_TOGGLE, { values: null, expanded: true });
+        return this;
+    }
+
+    /**
+     * Collapse every group
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    collapseAllGroups() {
+        const collect = nodes => nodes.forEach(node => {
+            this.collapsedGroups.add(node.path);
+            collect(node.children);
+        });
+        collect(this.buildGroupTree(this.filteredData, this.getGroupKeys()));
+
+        this.render();
+        this.emit(EVENTS.GROUP_TOGGLE, { values: null, expanded: false });
+        return this;
+    }
+
+    /**
+     * Show the detail row under a row
+     * @param {*} id - Row ID
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    expandRow(id) {
+        return this.setRowExpanded(id, true);
+    }
+
+    /**
+     * Hide the detail row under a row
+     * @param {*} id - Row ID
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    collapseRow(id) {
+        return this.setRowExpanded(id, false);
+    }
+
+    /**
+     * Expand every row that passes the current search and filters
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    expandAll() {
+        if (!this.hasDetailRows()) {
+            console.warn('expandAll() requires a detailRenderer');
+            return this;
+        }
+
+        this.filteredData.forEach(row => this.expandedRows.add(this.getRowId(row)));
+        this.renderBody();
+        this.emit(EVENTS.ROW_EXPAND, { id: null, row: null });
+        return this;
+    }
+
+    /**
+     * Collapse every expanded row
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    collapseAll() {
+        this.expandedRows.clear();
+        this.detailCache.clear();
+        this.renderBody();
+        this.emit(EVENTS.ROW_COLLAPSE, { id: null, row: null });
+        return this;
+    }
+
+    /**
+     * Check whether detail rows are enabled
+     * @returns {boolean} True when a detailRenderer is configured
+     * @private
+     */
+    hasDetailRows() {
+        return typeof this.config.detailRenderer === 'function';
+    }
+
+    /**
+     * Expand or collapse one row's detail section
+     * @param {*} id - Row ID
+     * @param {boolean} expanded - Whether the detail row should be shown
+     * @returns {QMGrid} Returns this for method chaining
+     * @private
+     */
+    setRowExpanded(id, expanded) {
+        if (!this.hasDetailRows()) {
+            console.warn('Expanding rows requires a detailRenderer');
+            return this;
+        }
+
+        const row = this.getRowById(id);
+        if (!row) {
+            console.warn(`Invalid row ID: ${id}`);
+            return this;
+        }
+
+        // Store the row's own ID, since IDs read back from the DOM are strings
+        id = this.getRowId(row);
+        if (this.expandedRows.has(id) === expanded) return this;
+
+        if (expanded) {
+            this.expandedRows.add(id);
+        } else {
+            this.expandedRows.delete(id);
+            // Collapsing drops the content so the next expand renders fresh details
+            this.detailCache.delete(id);
+        }
+        this.renderBody();
+
+        this.emit(expanded ? EVENTS.ROW_EXPAND : EVENTS.ROW_COLLAPSE, { id, row });
+        return this;
+    }
+
+    /**
+     * Expand or collapse a tree node, loading its children first if needed
+     * @param {*} id - Row ID
+     * @param {boolean} [expanded] - Force a state instead of toggling
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    toggleNode(id, expanded) {
+        if (!this.isTreeMode()) {
+            console.warn('toggleNode() requires childrenKey or parentIdKey');
+            return this;
+        }
+
+        const row = this.getRowById(id);
+        if (!row) {
+            console.warn(`Invalid row ID: ${id}`);
+            return this;
+        }
+
+        id = this.getRowId(row);
+        expanded = typeof expanded === 'boolean' ? expanded : !this.isNodeExpanded(id);
+        if (expanded === this.isNodeExpanded(id)) return this;
+
+        if (expanded) {
+            this.expandedNodes.add(id);
+            if (this.canLoadChildren(row)) this.loadTreeChildren(row);
+        } else {
+            this.expandedNodes.delete(id);
+            this.searchExpandedNodes.delete(id);
+        }
+        this.render();
+
+        this.emit(EVENTS.NODE_TOGGLE, { id, row, expanded });
+        return this;
+    }
+
+    /**
+     * Expand every tree node that has children (lazy nodes stay closed until toggled)
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    expandAllNodes() {
+        if (!this.isTreeMode()) {
+            console.warn('expandAllNodes() requires childrenKey or parentIdKey');
+            return this;
+        }
+
+        const parents = this.getTreeParents();
+        parents.forEach(parentId => {
+            if (parentId !== null) this.expandedNodes.add(parentId);
+        });
+        this.render();
+        this.emit(EVENTS.NODE_TOGGLE, { id: null, row: null, expanded: true });
+        return this;
+    }
+
+    /**
+     * Collapse every tree node
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    collapseAllNodes() {
+        this.expandedNodes.clear();
+        this.searchExpandedNodes.clear();
+        this.render();
+        this.emit(EVENTS.NODE_TOGGLE, { id: null, row: null, expanded: false });
+        return this;
+    }
+
+    /**
+     * Check whether a tree node is open, by the user or to show search and filter matches
+     * @param {*} id - Row ID
+     * @returns {boolean} True when the node's children are shown
+     * @private
+     */
+    isNodeExpanded(id) {
+        return this.expandedNodes.has(id) || this.searchExpandedNodes.has(id);
+    }
+
+    /**
+     * Check whether rows form a tree
+     * @returns {boolean} True when childrenKey or parentIdKey is set
+     * @private
+     */
+    isTreeMode() {
+        return Boolean(this.config.childrenKey || this.config.parentIdKey);
+    }
+
+    /**
+     * Get the key of the column that shows tree indentation and toggles
+     * @returns {string|undefined} Column key
+     * @private
+     */
+    getTreeColumnKey() {
+        const columns = this.getVisibleColumns();
+        const column = columns.find(col => col.key === this.config.treeColumn) || columns[0];
+        return column ? column.key : undefined;
+    }
+
+    /**
+     * Flatten nested tree rows depth-first, parents before their children
+     * @param {Array<Object>} rows - Root rows holding children under childrenKey
+     * @returns {Array<Object>} Every node as a row
+     * @private
+     */
+    flattenTree(rows) {
+        const key = this.config.childrenKey;
+        const result = [];
+        const seen = new Set();
+        const visit = list => list.forEach(row => {
+            if (!row || typeof row !== 'object' || seen.has(row)) return;
+            seen.add(row);
+            result.push(row);
+            if (Array.isArray(row[key])) visit(row[key]);
+        });
+        visit(Array.isArray(rows) ? rows : []);
+        return result;
+    }
+
+    /**
+     * Map every loaded row to its parent's ID. The map is built once per
+     * applyFilters() (or server load) and shared until then, so do not modify it.
+     * @returns {Map<*, *>} Row ID -> parent row ID (null for root rows)
+     * @private
+     */
+    getTreeParents() {
+        if (this.treeParents) return this.treeParents;
+
+        const parents = new Map();
+        const ids = new Set(this.originalData.map(row => this.getRowId(row)));
+
+        if (this.config.childrenKey) {
+            ids.forEach(id => parents.set(id, null));
+            this.originalData.forEach(row => {
+                const children = row[this.config.childrenKey];
+                if (!Array.isArray(children)) return;
+                const id = this.getRowId(row);
+                children.forEach(child => {
+                    const childId = this.getRowId(child);
+                    if (ids.has(childId) && childId !== id) parents.set(childId, id);
+                });
+            });
+        } else {
+            this.originalData.forEach(row => {
+                const id = this.getRowId(row);
+                const parentId = this.getCellValue(row, this.config.parentIdKey);
+                parents.set(id, ids.has(parentId) && parentId !== id ? parentId : null);
+            });
+        }
+        this.treeParents = parents;
+        return parents;
+    }
+
+    /**
+     * Collect the IDs of every row below a tree node
+     * @param {*} id - Row ID
+     * @returns {Set<*>} Descendant row IDs
+     * @private
+     */
+    getTreeDescendantIds(id) {
+        const children = new Map();
+        this.getTreeParents().forEach((parentId, childId) => {
+            if (parentId === null) return;
+            if (!children.has(parentId)) children.set(parentId, []);
+            children.get(parentId).push(childId);
+        });
+
+        const descendants = new Set();
+        const visit = parentId => (children.get(parentId) || []).forEach(childId => {
+            if (descendants.has(childId)) return;
+            descendants.add(childId);
+            visit(childId);
+        });
+        visit(id);
+        descendants.delete(id);
+        return descendants;
+    }
+
+    /**
+     * Add the ancestors of matching rows, and open them for this filter pass so the matches are visible
+     * @param {Array<Object>} rows - Rows that matched the search and filters
+     * @returns {Array<Object>} Matches and their ancestors, in data order
+     * @private
+     */
+    includeTreeAncestors(rows) {
+        const parents = this.getTreeParents();
+        const ids = new Set(rows.map(row => this.getRowId(row)));
+
+        rows.forEach(row => {
+            const seen = new Set();
+            let parentId = parents.get(this.getRowId(row));
+            while (parentId !== null && parentId !== undefined && !seen.has(parentId)) {
+                seen.add(parentId);
+                ids.add(parentId);
+                this.searchExpandedNodes.add(parentId);
+                parentId = parents.get(parentId);
+            }
+        });
+        return this.originalData.filter(row => ids.has(this.getRowId(row)));
+    }
+
+    /**
+     * Order rows depth-first so children follow their parent, keeping
+     * the given order among siblings
+     * @param {Array<Object>} rows - Rows in sibling order
+     * @returns {Array<Object>} Rows in tree order
+     * @private
+     */
+    linearizeTree(rows) {
+        const parents = this.getTreeParents();
+        const ids = new Set(rows.map(row => this.getRowId(row)));
+        const children = new Map();
+
+        rows.forEach(row => {
+            let parentId = parents.get(this.getRowId(row));
+            // Rows whose parent is not in the list are shown as roots
+            if (parentId === undefined || !ids.has(parentId)) parentId = null;
+            if (!children.has(parentId)) children.set(parentId, []);
+            children.get(parentId).push(row);
+        });
+
+        const result = [];
+        const visit = parentId => (children.get(parentId) || []).forEach(row => {
+            result.push(row);
+            visit(this.getRowId(row));
+        });
+        visit(null);
+        return result;
+    }
+
+    /**
+     * Get the tree rows outside collapsed nodes, with their depth and toggle state
+     * @returns {Array<Object>} Row items ({ type: 'row', row, index, tree })
+     * @private
+     */
+    getVisibleTreeItems() {
+        const parents = this.getTreeParents();
+        const childCounts = new Map();
+        this.filteredData.forEach(row => {
+            const parentId = parents.get(this.getRowId(row));
+            if (parentId !== null && parentId !== undefined) {
+                childCounts.set(parentId, (childCounts.get(parentId) || 0) + 1);
+            }
+        });
+
+        // filteredData is in tree order, so every parent is seen before its children
+        const nodes = new Map();
+        const items = [];
+        this.filteredData.forEach((row, index) => {
+            const id = this.getRowId(row);
+            const parent = nodes.get(parents.get(id));
+            const level = parent ? parent.level + 1 : 0;
+            const visible = !parent || parent.open;
+            const expanded = this.isNodeExpanded(id);
+            nodes.set(id, { level, open: visible && expanded });
+            if (!visible) return;
+
+            items.push({
+                type: 'row',
+                row,
+                index,
+                tree: {
+                    level,
+                    expanded,
+                    hasChildren: childCounts.has(id) || this.canLoadChildren(row),
+                    loading: this.treeLoading.has(id)
+                }
+            });
+        });
+        return items;
+    }
+
+    /**
+     * Get the tree rows of the current page as display items
+     * @returns {Array<Object>} Row items ({ type: 'row', row, index, renderIndex, tree })
+     * @private
+     */
+    getTreePageItems() {
+        let items = this.getVisibleTreeItems();
+        let startIndex = 0;
+
+        if (this.config.serverSide) {
+            // The server pages root rows; loaded children are shown under them
+            startIndex = this.isAccumulatingPages() ? 0 : (this.currentPage - 1) * this.config.pageSize;
+        } else if (this.config.pagination) {
+            // Collapsing nodes can leave the current page past the end
+            const totalPages = Math.max(1, Math.ceil(items.length / this.config.pageSize));
+            if (this.currentPage > totalPages) this.currentPage = totalPages;
+            startIndex = (this.currentPage - 1) * this.config.pageSize;
+            items = items.slice(startIndex, startIndex + this.config.pageSize);
+        }
+
+        return items.map((item, i) => ({ ...item, renderIndex: startIndex + i }));
+    }
+
+    /**
+     * Check whether a node's children still have to be fetched with loadChildren
+     * @param {Object} row - Row data
+     * @returns {boolean} True when the row is flagged with hasChildrenKey and not loaded yet
+     * @private
+     */
+    canLoadChildren(row) {
+        return typeof this.config.loadChildren === 'function' &&
+            !this.treeLoaded.has(this.getRowId(row)) &&
+            Boolean(this.getCellValue(row, this.config.hasChildrenKey));
+    }
+
+    /**
+     * Fetch a node's children with loadChildren and add them below it
+     * @param {Object} row - Row data
+     * @private
+     */
+    loadTreeChildren(row) {
+        const id = this.getRowId(row);
+        if (this.treeLoading.has(id)) return;
+
+        const request = {};
+        this.treeLoading.set(id, request);
+
+        Promise.resolve()
+            .then(() => this.config.loadChildren(row))
+            .then(children => {
+                // Skip results for data that was replaced while loading
+                if (this.treeLoading.get(id) !== request) return;
+                this.treeLoaded.add(id);
+                this.addTreeChildren(row, Array.isArray(children) ? children : []);
+            }, error => {
+                console.error('Failed to load child rows:', error);
+            })
+            .then(() => {
+                if (this.treeLoading.get(id) !== request) return;
+                this.treeLoading.delete(id);
+                this.refreshTree();
+            });
+    }
+
+    /**
+     * Attach loaded children to a tree node
+     * @param {Object} row - Parent row
+     * @param {Array<Object>} children - Child rows
+     * @private
+     */
+    addTreeChildren(row, children) {
+        const id = this.getRowId(row);
+
+        if (this.config.childrenKey) {
+            row[this.config.childrenKey] = children;
+            children = this.flattenTree(children);
+        } else {
+            children.forEach(child => {
+                const parentId = this.getCellValue(child, this.config.parentIdKey);
+                if (parentId === null || parentId === undefined || parentId === '') {
+                    child[this.config.parentIdKey] = id;
+                }
+            });
+        }
+
+        const loadedIds = new Set(this.originalData.map(loaded => this.getRowId(loaded)));
+        children.forEach(child => {
+            if (loadedIds.has(this.getRowId(child))) return;
+            this.originalData.push(child);
+            if (!this.config.serverSide) this.config.data.push(child);
+        });
+    }
+
+    /**
+     * Rebuild the tree rows after nodes were added
+     * @private
+     */
+    refreshTree() {
+        if (this.config.serverSide) {
+            this.treeParents = null;
+            this.filteredData = this.linearizeTree(this.originalData);
+            this.render();
+        } else {
+            this.applyFilters();
+            this.render();
+        }
+    }
+
+    /**
+     * Get the configured group keys that match a column
+     * @returns {Array<string>} Column keys, outermost first
+     * @private
+     */
+    getGroupKeys() {
+        // Tree data is already hierarchical, so grouping does not apply
+        if (this.isTreeMode()) return [];
+
+        const keys = Array.isArray(this.config.groupBy)
+            ? this.config.groupBy
+            : (this.config.groupBy ? [this.config.groupBy] : []);
+        return keys.filter(key => this.config.columns.some(col => col.key === key));
+    }
+
+    /**
+     * Build the path that identifies a group from its values
+     * @param {Array<*>} values - Group values from the outermost group down
+     * @returns {string} Group path
+     * @private
+     */
+    getGroupPath(values) {
+        return JSON.stringify(values.map(value => String(value)));
+    }
+
+    /**
+     * Build nested groups from rows that are already ordered by the group keys
+     * @param {Array<Object>} rows - Rows in display order
+     * @param {Array<string>} keys - Group keys, outermost first
+     * @returns {Array<Object>} Top-level group nodes
+     * @private
+     */
+    buildGroupTree(rows, keys) {
+        const roots = [];
+        const open = [];
+        if (keys.length === 0) return roots;
+
+        rows.forEach((row, index) => {
+            const values = [];
+            let parent = null;
+
+            keys.forEach((key, level) => {
+                const value = this.getCellValue(row, key);
+                values.push(value);
+
+                let node = open[level];
+                if (!node || node.parent !== parent || String(node.value) !== String(value)) {
+                    node = {
+                        key,
+                        value,
+                        level,
+                        parent,
+                        path: this.getGroupPath(values),
+                        rows: [], // Every leaf row in the group, for counts and aggregates
+                        children: [],
+                        entries: [] // Leaf rows with their filteredData index (innermost level only)
+                    };
+                    (parent ? parent.children : roots).push(node);
+                    open[level] = node;
+                    open.length = level + 1;
+                }
+
+                node.rows.push(row);
+                parent = node;
+            });
+
+            parent.entries.push({ row, index });
+        });
+
+        return roots;
+    }
+
+    /**
+     * Flatten group nodes into header and row items in display order
+     * @param {Array<Object>} nodes - Group nodes
+     * @param {boolean} respectCollapsed - Skip the contents of collapsed groups
+     * @param {Array<Object>} [items=[]] - Accumulator
+     * @returns {Array<Object>} Display items
+     * @private
+     */
+    flattenGroups(nodes, respectCollapsed, items = []) {
+        nodes.forEach(node => {
+            const collapsed = respectCollapsed && this.collapsedGroups.has(node.path);
+            items.push({ type: 'group', node, collapsed });
+            if (collapsed) return;
+
+            if (node.children.length > 0) {
+                this.flattenGroups(node.children, respectCollapsed, items);
+            } else {
+                node.entries.forEach(entry => {
+                    items.push({ type: 'row', row: entry.row, index: entry.index, node });
+                });
+            }
+        });
+        return items;
+    }
+
+    /**
+     * Build every group header and visible leaf row, tagged with the page it falls on.
+     * Pages count leaf rows only; headers go on the page of the row that follows them.
+     * @returns {Array<Object>} Display items
+     * @private
+     */
+    getGroupedItems() {
+        const paged = this.config.pagination && !this.config.serverSide;
+        const pageSize = this.config.pageSize;
+        const renderOffset = this.config.serverSide && !this.isAccumulatingPages()
+            ? (this.currentPage - 1) * pageSize
+            : 0;
+        const items = this.flattenGroups(this.buildGroupTree(this.filteredData, this.getGroupKeys()), true);
+
+        let leafCount = 0;
+        let pending = [];
+        items.forEach(item => {
+            if (item.type === 'row') {
+                item.renderIndex = renderOffset + item.index;
+                item.page = paged ? Math.floor(leafCount / pageSize) + 1 : 1;
+                pending.forEach(header => { header.page = item.page; });
+                pending = [];
+                leafCount++;
+            } else {
+                pending.push(item);
+            }
+        });
+
+        // Trailing collapsed groups have no row after them
+        const lastPage = paged ? Math.max(Math.ceil(leafCount / pageSize), 1) : 1;
+        pending.forEach(header => { header.page = lastPage; });
+
+        this.groupLeafCount = leafCount;
+        return items;
+    }
+
+    /**
+     * Get the display items for the current page. A page that starts inside a
+     * group repeats that group's headers so the rows keep their context.
+     * @returns {Array<Object>} Display items
+     * @private
+     */
+    getGroupedPageItems() {
+        const items = this.getGroupedItems();
+
+        // Collapsing groups can leave the current page past the end
+        if (this.config.pagination && !this.config.serverSide) {
+            const totalPages = Math.max(Math.ceil(this.groupLeafCount / this.config.pageSize), 1);
+            if (this.currentPage > totalPages) this.currentPage = totalPages;
+        }
+
+        const pageItems = items.filter(item => item.page === this.currentPage);
+        const first = pageItems[0];
+        if (!first) return pageItems;
+
+        const continued = [];
+        let node = first.type === 'row' ? first.node : first.node.parent;
+        while (node) {
+            continued.unshift({ type: 'group', node, collapsed: false, continued: true });
+            node = node.parent;
+        }
+        return continued.concat(pageItems);
+    }
+
+    /**
+     * Get the number of rows pagination counts: leaf rows outside collapsed groups,
+     * or tree rows outside collapsed nodes
+     * @returns {number} Row count
+     * @private
+     */
+    getDisplayRowCount() {
+        if (this.isTreeMode()) {
+            return this.getVisibleTreeItems().length;
+        }
+        if (this.getGroupKeys().length > 0 && this.groupLeafCount !== null) {
+            return this.groupLeafCount;
+        }
+        return this.filteredData.length;
+    }
+
+    /**
+     * Get the filteredData index of every row a user can see across all pages, in display order.
+     * Rows inside collapsed groups or collapsed tree nodes are left out.
+     * @returns {Array<number>} filteredData indexes
+     * @private
+     */
+    getDisplayRowIndexes() {
+        if (this.isTreeMode()) {
+            return this.getVisibleTreeItems().map(item => item.index);
+        }
+        if (this.getGroupKeys().length > 0) {
+            return this.getGroupedItems().filter(item => item.type === 'row').map(item => item.index);
+        }
+        return this.filteredData.map((row, index) => index);
+    }
+
+    /**
+     * Get the display text for a group's value
+     * @param {Object} node - Group node
+     * @returns {string} Formatted value
+     * @private
+     */
+    getGroupValueText(node) {
+        if (node.value === '' || node.value === null || node.value === undefined) {
+            return this.config.language.group.empty;
+        }
+        const column = this.config.columns.find(col => col.key === node.key) || {};
+        return String(this.formatCellValue(node.value, column));
+    }
+
+    /**
+     * Compute the configured aggregates for a group
+     * @param {Object} node - Group node
+     * @returns {Array<{key: string, type: string|Function, value: *, label: string}>} Aggregates
+     * @private
+     */
+    getGroupAggregates(node) {
+        const config = this.config.groupAggregates || {};
+        const aggregates = [];
+
+        Object.keys(config).forEach(key => {
+            const column = this.config.columns.find(col => col.key === key);
+            if (!column) return;
+
+            const types = Array.isArray(config[key]) ? config[key] : [config[key]];
+            types.forEach(type => {
+                const value = this.computeAggregate(node.rows, column, type);
+                const text = this.formatAggregate(value, column, type);
+                const name = typeof type === 'function' ? '' : `${this.config.language.aggregates[type] || type} `;
+                aggregates.push({ key, type, value, label: `${name}${column.title}: ${text}` });
+            });
+        });
+
+        return aggregates;
+    }
+
+    /**
+     * Aggregate a column over a set of rows
+     * @param {Array<Object>} rows - Rows to aggregate
+     * @param {Object} column - Column configuration
+     * @param {string|Function} type - 'sum', 'avg', 'min', 'max', 'count' or fn(values, rows, column)
+     * @returns {*} Aggregate value, or null when there is nothing to aggregate
+     * @private
+     */
+    computeAggregate(rows, column, type) {
+        if (typeof type === 'function') {
+            try {
+                return type(rows.map(row => this.getCellValue(row, column.key)), rows, column);
+            } catch (error) {
+                console.error('Error in custom aggregate function:', error);
+                return null;
+            }
+        }
+
+        if (type === 'count') {
+            return rows.length;
+        }
+
+        // Dates aggregate as timestamps, everything else as numbers
+        const keyColumn = { type: column.type === 'date' ? 'date' : 'number' };
+        const values = [];
+        rows.forEach(row => {
+            const value = this.getSortValue(this.getCellValue(row, column.key), keyColumn);
+            if (value !== null) values.push(value);
+        });
+        if (values.length === 0) return null;
+
+        switch (type) {
+            case 'sum':
+                return values.reduce((total, value) => total + value, 0);
+            case 'avg':
+                return values.reduce((total, value) => total + value, 0) / values.length;
+            case 'min':
+                return values.reduce((min, value) => (value < min ? value : min));
+            case 'max':
+                return values.reduce((max, value) => (value > max ? value : max));
+            default:
+                console.warn(`Unknown aggregate '${type}'`);
+                return null;
+        }
+    }
+
+    /**
+     * Format an aggregate value according to column.type
+     * @param {*} value - Aggregate value
+     * @param {Object} column - Column configuration
+     * @param {string|Function} type - Aggregate type
+     * @returns {string} Display text
+     * @private
+     */
+    formatAggregate(value, column, type) {
+        if (value === null || value === undefined) return '';
+        if (type === 'count' || typeof value !== 'number') return String(value);
+
+        if (column.type === 'date') {
+            return String(this.formatCellValue(new Date(value), column));
+        }
+        if (column.type === 'currency') {
+            return String(this.formatCellValue(value, column));
+        }
+        return String(Math.round(value * 100) / 100);
+    }
+
+    goToPage(page) {
+        if (this.config.serverSide) {
+            const totalPages = Math.ceil(this.totalRecords / this.config.pageSize);
+            if (page >= 1 && page <= totalPages) {
+                this.currentPage = page;
+                this.clearCellRange();
+                this.loadServerData();
+                this.announce(this.config.language.announce.page.replace('_PAGE_', page).replace('_PAGES_', totalPages));
+                this.emit(EVENTS.PAGE_CHANGE, { page });
+            }
+        } else {
+            const totalPages = Math.ceil(this.getDisplayRowCount() / this.config.pageSize);
+            if (page >= 1 && page <= totalPages) {
+                this.currentPage = page;
+                this.clearCellRange();
+                this.render();
+                this.announce(this.config.language.announce.page.replace('_PAGE_', page).replace('_PAGES_', totalPages));
+                this.emit(EVENTS.PAGE_CHANGE, { page });
+            }
+        }
+        return this;
+    }
+
+    setPageSize(size) {
+        if (typeof size !== 'number' || size < 1) {
+            console.warn('Page size must be a positive number');
+            return this;
+        }
+        
+        this.config.pageSize = size;
+        this.currentPage = 1;
+        this.clearCellRange();
+        
+        if (this.config.serverSide) {
+            this.loadServerData();
+        } else {
+            this.render();
+        }
+        
+        this.emit('pageSizeChange', { pageSize: size });
+        return this;
+    }
+
+    selectRow(id, selected) {
+        const row = this.getRowById(id);
+        if (row === undefined && selected) {
+            console.warn(`Invalid row ID: ${id}`);
+            return this;
+        }
+        // Keep the caller's ID type consistent with getRowId()
+        const rowId = row === undefined ? id : this.getRowId(row);
+
+        if (!this.config.multiSelect) {
+            this.selectedRows.clear();
+        }
+        
+        if (selected) {
+            this.selectedRows.set(rowId, row);
+        } else {
+            this.selectedRows.delete(rowId);
+        }
+        
+        this.render();
+        this.emit(EVENTS.ROW_SELECT, { id: rowId, row, selected, selectedRows: this.getSelectedIds() });
+        return this;
+    }
+
+    selectAll(selected) {
+        if (selected) {
+            this.filteredData.forEach(row => {
+                this.selectedRows.set(this.getRowId(row), row);
+            });
+        } else {
+            this.selectedRows.clear();
+        }
+        
+        this.render();
+        this.emit('selectAll', { selected, selectedRows: this.getSelectedIds() });
+        return this;
+    }
+
+    /**
+     * Get selected rows, including ones outside the current page or filter
+     * @returns {Array<Object>} Selected row data
+     * @public
+     */
+    getSelectedRows() {
+        const loaded = new Map(this.originalData.map(row => [this.getRowId(row), row]));
+
+        return Array.from(this.selectedRows.entries()).map(([id, row]) => {
+            // Prefer the loaded copy in case the row was updated since it was selected
+            return loaded.has(id) ? loaded.get(id) : row;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Get the IDs of all selected rows
+     * @returns {Array<*>} Selected row IDs
+     * @public
+     */
+    getSelectedIds() {
+        return Array.from(this.selectedRows.keys());
+    }
+
+    clearSelection() {
+        this.selectedRows.clear();
+        this.render();
+        this.emit('selectionClear');
+        return this;
+    }
+
+    /**
+     * Get the block of cells selected with cellSelection
+     * @returns {Object|null} Range ({ start, end, anchor, focus, columns, rows }), or null when no cells are selected
+     * @public
+     */
+    getSelectedRange() {
+        const bounds = this.getRangeBounds();
+        if (!bounds) return null;
+
+        const columns = this.getVisibleColumns().slice(bounds.left, bounds.right + 1);
+        return {
+            start: { row: bounds.top, column: columns[0].key },
+            end: { row: bounds.bottom, column: columns[columns.length - 1].key },
+            anchor: { ...this.cellRange.anchor },
+            focus: { ...this.cellRange.focus },
+            columns: columns.map(col => col.key),
+            rows: bounds.rows.map(index => this.filteredData[index])
+        };
+    }
+
+    /**
+     * Select a block of cells, as dragging from one cell to another would
+     * @param {{row: number, column: string}|null} from - Anchor cell (filteredData index and column key), or null to clear the range
+     * @param {{row: number, column: string}} [to=from] - Opposite corner
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    selectRange(from, to = from) {
+        if (!from) {
+            this.updateCellRange(null, null, true);
+            return this;
+        }
+
+        const keys = this.getVisibleColumns().map(col => col.key);
+        const valid = (cell) => cell && keys.includes(cell.column) &&
+            Number.isInteger(cell.row) && cell.row >= 0 && cell.row < this.filteredData.length;
+        if (!valid(from) || !valid(to)) {
+            console.warn('selectRange() needs { row, column } cells within the filtered rows and visible columns');
+            return this;
+        }
+
+        this.updateCellRange({ row: from.row, column: from.column }, { row: to.row, column: to.column }, true);
+        return this;
+    }
+
+    /**
+     * Change the cell range and repaint its highlight
+     * @param {Object|null} anchor - Cell the range grows from
+     * @param {Object|null} focus - Opposite corner
+     * @param {boolean} emit - Fire rangeSelect when the range changed
+     * @private
+     */
+    updateCellRange(anchor, focus, emit) {
+        const previous = this.cellRange;
+        this.cellRange = anchor ? { anchor, focus } : null;
+        if (this.isSameCellRange(previous, this.cellRange)) return;
+
+        this.paintCellRange();
+        if (emit) this.emit(EVENTS.RANGE_SELECT, { range: this.getSelectedRange() });
+    }
+
+    /**
+     * Drop the cell range, firing rangeSelect, when the rows it addresses move: its cells
+     * are filteredData indexes, which point at other rows after sorting, filtering or paging
+     * @private
+     */
+    clearCellRange() {
+        if (this.cellRange) this.updateCellRange(null, null, true);
+    }
+
+    /**
+     * Compare two cell ranges
+     * @param {Object|null} a - Cell range
+     * @param {Object|null} b - Cell range
+     * @returns {boolean} True when both cover the same cells from the same anchor
+     * @private
+     */
+    isSameCellRange(a, b) {
+        if (!a || !b) return a === b;
+        return a.anchor.row === b.anchor.row && a.anchor.column === b.anchor.column &&
+            a.focus.row === b.focus.row && a.focus.column === b.focus.column;
+    }
+
+    /**
+     * Resolve the cell range into the displayed rows between its corners and visible column positions
+     * @returns {{top: number, bottom: number, rows: Array<number>, left: number, right: number}|null}
+     *     Bounds (top, bottom and rows are filteredData indexes, in display order), or null without a usable range
+     * @private
+     */
+    getRangeBounds() {
+        const range = this.cellRange;
+        if (!range) return null;
+
+        const keys = this.getVisibleColumns().map(col => col.key);
+        const anchorCol = keys.indexOf(range.anchor.column);
+        const focusCol = keys.indexOf(range.focus.column);
+        // Rows inside collapsed groups or tree nodes are not part of the block
+        const order = this.getDisplayRowIndexes();
+        const anchorPos = order.indexOf(range.anchor.row);
+        const focusPos = order.indexOf(range.focus.row);
+        // Columns may have been hidden and rows filtered away or collapsed since the range was made
+        if (anchorCol === -1 || focusCol === -1 || anchorPos === -1 || focusPos === -1) return null;
+
+        const rows = order.slice(Math.min(anchorPos, focusPos), Math.max(anchorPos, focusPos) + 1);
+        return {
+            top: rows[0],
+            bottom: rows[rows.length - 1],
+            rows,
+            left: Math.min(anchorCol, focusCol),
+            right: Math.max(anchorCol, focusCol)
+        };
+    }
+
+    /**
+     * Update the range highlight on the rendered body cells
+     * @private
+     */
+    paintCellRange() {
+        const tbody = this.container.querySelector('.qmgrid-body');
+        if (!tbody) return;
+
+        const bounds = this.getRangeBounds();
+        const rows = bounds ? new Set(bounds.rows) : null;
+        const keys = this.getVisibleColumns().map(col => col.key);
+        Array.from(tbody.rows).forEach(tr => {
+            if (!tr.classList.contains('qmgrid-row')) return;
+            const index = parseInt(tr.dataset.index);
+            Array.from(tr.cells).forEach(td => {
+                if (td.classList.contains('qmgrid-cell')) {
+                    this.markRangeCell(td, index, keys.indexOf(td.dataset.column), bounds, rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Set or clear the range classes of one body cell
+     * @param {HTMLElement} td - Cell element
+     * @param {number} index - Row index within filteredData
+     * @param {number} col - Position of the cell's column among the visible columns
+     * @param {Object|null} bounds - Range bounds from getRangeBounds()
+     * @param {Set<number>|null} rows - bounds.rows as a set
+     * @private
+     */
+    markRangeCell(td, index, col, bounds, rows) {
+        const inRange = Boolean(bounds) && rows.has(index) && col >= bounds.left && col <= bounds.right;
+        td.classList.toggle('in-range', inRange);
+        // Edge classes draw the outline around the whole block
+        td.classList.toggle('range-top', inRange && index === bounds.top);
+        td.classList.toggle('range-bottom', inRange && index === bounds.bottom);
+        td.classList.toggle('range-left', inRange && col === bounds.left);
+        td.classList.toggle('range-right', inRange && col === bounds.right);
+        if (inRange) {
+            td.setAttribute('aria-selected', 'true');
+        } else {
+            td.removeAttribute('aria-selected');
+        }
+    }
+
+    /**
+     * Grow the cell range by one cell with Shift+arrow keys
+     * @param {HTMLElement} cell - Focused body cell
+     * @param {string} key - Arrow key pressed
+     * @private
+     */
+    extendCellRange(cell, key) {
+        const tbody = this.container.querySelector('.qmgrid-body');
+        const rows = Array.from(tbody.rows).filter(tr => tr.classList.contains('qmgrid-row'));
+        const keys = this.getVisibleColumns().map(col => col.key);
+        const here = { row: parseInt(cell.parentElement.dataset.index), column: cell.dataset.column };
+        const range = this.cellRange || { anchor: here, focus: here };
+
+        // The far corner moves; it is only reachable while its row is rendered
+        let rowPos = rows.findIndex(tr => parseInt(tr.dataset.index) === range.focus.row);
+        let colPos = keys.indexOf(range.focus.column);
+        if (rowPos === -1 || colPos === -1) {
+            rowPos = rows.indexOf(cell.parentElement);
+            colPos = keys.indexOf(here.column);
+        }
+
+        if (key === 'ArrowUp') rowPos = Math.max(rowPos - 1, 0);
+        if (key === 'ArrowDown') rowPos = Math.min(rowPos + 1, rows.length - 1);
+        if (key === 'ArrowLeft') colPos = Math.max(colPos - 1, 0);
+        if (key === 'ArrowRight') colPos = Math.min(colPos + 1, keys.length - 1);
+
+        this.updateCellRange(range.anchor, { row: parseInt(rows[rowPos].dataset.index), column: keys[colPos] }, true);
+    }
+
+    /**
+     * Build the clipboard content for the cell range
+     * @returns {{text: string, html: string}|null} TSV and HTML table, or null without a range
+     * @private
+     */
+    getRangeClipboard() {
+        const bounds = this.getRangeBounds();
+        if (!bounds) return null;
+
+        const columns = this.getVisibleColumns().slice(bounds.left, bounds.right + 1);
+        const values = bounds.rows.map(index => columns.map(column => this.getCopyValue(this.filteredData[index], column, index)));
+
+        // Spreadsheets quote fields holding tabs, quotes or line breaks
+        const tsvValue = (value) => (/[\t\r\n"]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+        const text = values.map(row => row.map(tsvValue).join('\t')).join('\r\n');
+        const html = `<table><tbody>${values.map(row =>
+            `<tr>${row.map(value => `<td>${this.escapeHtml(value)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+        return { text, html };
+    }
+
+    /**
+     * Get a cell's text for the clipboard
+     * @param {Object} row - Row data
+     * @param {Object} column - Column configuration
+     * @param {number} index - Row index passed to render functions
+     * @returns {string} The cell text as displayed, or the raw value when copyValues is 'raw'
+     * @private
+     */
+    getCopyValue(row, column, index) {
+        const value = this.getCellValue(row, column.key);
+        if (this.config.copyValues === 'raw') {
+            if (value === null || value === undefined) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+
+        const html = column.render && typeof column.render === 'function'
+            ? this.safeRender(column.render, value, row, index)
+            : this.formatCellValue(value, column);
+        // A template keeps rendered markup inert while its text is read
+        const template = document.createElement('template');
+        template.innerHTML = html === null || html === undefined ? '' : String(html);
+        return template.content.textContent.trim();
+    }
+
+    /**
+     * Write a block of values into the grid, starting at a cell, as pasting from a spreadsheet does.
+     * Only editable columns are written; values are converted by column.type and checked with
+     * column.validate, and cells that fail are left unchanged and reported.
+     * @param {string|Array<Array<*>>} data - Tab-separated text, or rows of cell values
+     * @param {{row: number, column: string}} [start] - Top-left cell (filteredData index and column key); defaults to the focused cell or cell range
+     * @returns {Object|null} Change set ({ start, changes, added, errors }), or null when nothing could be pasted
+     * @public
+     */
+    pasteData(data, start) {
+        const values = typeof data === 'string' ? this.parseCSV(data, '\t') : data;
+        if (!Array.isArray(values) || values.length === 0) return null;
+
+        const origin = start || this.getPasteOrigin();
+        const columns = this.getVisibleColumns();
+        const startCol = origin ? columns.findIndex(col => col.key === origin.column) : -1;
+        // Pasted lines go to the rows below as displayed, skipping collapsed groups and tree nodes
+        const order = this.getDisplayRowIndexes();
+        const startPos = origin ? order.indexOf(origin.row) : -1;
+        if (startCol === -1 || startPos === -1) {
+            console.warn('pasteData() needs a start cell ({ row, column }) on a displayed row, or a focused body cell');
+            return null;
+        }
+
+        // Rows past the end are only added on request, and never to server-side pages
+        const canAppend = this.config.pasteAppendRows && !this.config.serverSide;
+        const changes = [];
+        const errors = [];
+        const updates = [];
+        const added = [];
+        const asText = value => String(value === null || value === undefined ? '' : value);
+
+        values.forEach((line, i) => {
+            const pos = startPos + i;
+            const existing = pos < order.length ? this.filteredData[order[pos]] : null;
+            if (!existing && !canAppend) return;
+            // New rows are numbered after the filtered rows
+            const index = existing ? order[pos] : this.filteredData.length + pos - order.length;
+
+            const base = existing || {};
+            let patch = {};
+            (Array.isArray(line) ? line : [line]).forEach((raw, j) => {
+                const column = columns[startCol + j];
+                if (!column || !this.isCellEditable(column)) return;
+
+                const { value, error } = this.coerceCellValue(raw, column);
+                const cellPatch = this.buildRowPatch({ ...base, ...patch }, column.key, value);
+                const message = error || this.validateCellValue(column, value, { ...base, ...patch, ...cellPatch });
+                if (message !== null) {
+                    errors.push({ row: index, column: column.key, message });
+                    return;
+                }
+
+                const oldValue = existing ? this.getCellValue(existing, column.key) : null;
+                if (existing && asText(value) === asText(oldValue)) return;
+
+                patch = { ...patch, ...cellPatch };
+                if (existing) {
+                    changes.push({ id: this.getRowId(existing), index, column: column.key, value, oldValue });
+                }
+            });
+
+            if (Object.keys(patch).length === 0) return;
+            if (existing) {
+                updates.push({ id: this.getRowId(existing), patch });
+            } else {
+                added.push(patch);
+            }
+        });
+
+        if (this.config.serverSide) {
+            // Each row is saved through ajax.update and re-rendered when the server answers
+            updates.forEach(({ id, patch }) => this.updateRow(id, patch));
+        } else if (updates.length > 0 || added.length > 0) {
+            // Rows were resolved before any change, since changes can re-sort the filtered rows
+            const updated = updates.map(({ id, patch }) => {
+                const index = this.findRowIndex(id);
+                const row = this.mergeRowData(index, patch);
+                return { row, id: this.getRowId(row), index };
+            });
+            added.forEach(row => {
+                this.originalData.push(row);
+                this.config.data.push(row);
+            });
+            this.assignRowIds(added);
+
+            // One render for the whole paste; listeners still hear about every row
+            this.applyFilters();
+            this.render();
+            updated.forEach(change => this.emit(EVENTS.ROW_UPDATE, change));
+            added.forEach(row => this.emit(EVENTS.ROW_ADD, { row, id: this.getRowId(row) }));
+        }
+
+        const result = { start: { row: origin.row, column: origin.column }, changes, added, errors };
+        this.emit(EVENTS.PASTE, result);
+        return result;
+    }
+
+    /**
+     * Find the cell a paste starts at: the top-left of the cell range, or the focused body cell
+     * @returns {{row: number, column: string}|null} Start cell, or null when no body cell is focused
+     * @private
+     */
+    getPasteOrigin() {
+        const range = this.config.cellSelection ? this.getSelectedRange() : null;
+        if (range) return { ...range.start };
+
+        const active = document.activeElement;
+        const td = active && active.closest ? active.closest('.qmgrid-cell') : null;
+        const tr = td && td.parentElement;
+        if (!tr || !tr.classList.contains('qmgrid-row') || tr.parentElement !== this.container.querySelector('.qmgrid-body')) {
+            return null;
+        }
+        return { row: parseInt(tr.dataset.index), column: td.dataset.column };
+    }
+
+    /**
+     * Read the cells of the first table in clipboard HTML
+     * @param {string} html - Clipboard HTML
+     * @returns {Array<Array<string>>|null} Rows of cell text, or null when there is no table
+     * @private
+     */
+    parseClipboardHtml(html) {
+        // A template keeps pasted markup inert while it is read
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const table = template.content.querySelector('table');
+        if (!table) return null;
+
+        return Array.from(table.rows).map(tr =>
+            Array.from(tr.cells).map(td => td.textContent.replace(/\u00a0/g, ' ').trim()));
+    }
+
+    /**
+     * Get the view state: page, page size, sort, search, filters, columns and selection
+     * @returns {GridState} Plain object that can be stored as JSON and passed to setState()
+     * @public
+     */
+    getState() {
+        return {
+            version: DEFAULTS.STATE_VERSION,
+            currentPage: this.currentPage,
+            pageSize: this.config.pageSize,
+            sort: this.getSortModel(),
+            searchTerm: this.searchTerm,
+            filters: this.getColumnFilters(),
+            columns: this.config.columns.map(column => {
+                const width = this.getColumnWidth(column);
+                return {
+                    key: column.key,
+                    hidden: this.isColumnHidden(column),
+                    width: width !== undefined ? width : null,
+                    pinned: this.getPinSide(column)
+                };
+            }),
+            fixedLayout: this.fixedLayout,
+            selected: this.getSelectedIds()
+        };
+    }
+
+    /**
+     * Restore a view state returned by getState(). Properties left out keep their current value.
+     * @param {GridState} state - View state
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    setState(state) {
+        const migrated = this.migrateState(state);
+        if (!migrated) return this;
+
+        this.applyState(migrated);
+        this.syncStateControls();
+        this.clearCellRange();
+        this.rowHeights.clear();
+        this.virtualDirty = true;
+        this.renderColumnMenu();
+
+        if (this.config.serverSide) {
+            this.loadServerData();
+        } else {
+            this.applyFilters();
+            this.currentPage = Math.min(this.currentPage, Math.max(this.getTotalPages(), 1));
+            this.render();
+        }
+
+        if (this.config.stateSave) this.saveState();
+        this.emit(EVENTS.STATE_RESTORE, { state: this.getState() });
+        return this;
+    }
+
+    /**
+     * Copy a view state onto the grid without rendering
+     * @param {GridState} state - Current-version view state
+     * @private
+     */
+    applyState(state) {
+        if (Array.isArray(state.columns)) {
+            const saved = new Map();
+            state.columns.forEach((entry, position) => {
+                if (entry && entry.key !== undefined) saved.set(entry.key, { ...entry, position });
+            });
+
+            // Saved columns take their saved order; columns added since then go after them
+            const rank = new Map(this.config.columns.map((column, index) => [
+                column.key,
+                saved.has(column.key) ? saved.get(column.key).position : saved.size + index
+            ]));
+            this.config.columns.sort((a, b) => rank.get(a.key) - rank.get(b.key));
+
+            this.config.columns.forEach(column => {
+                const entry = saved.get(column.key);
+                if (!entry) return;
+                if (entry.hidden !== undefined && column.hideable !== false) this.columnVisibility.set(column.key, !entry.hidden);
+                if (entry.width === null) {
+                    this.columnWidths.set(column.key, undefined);
+                } else if (entry.width !== undefined) {
+                    this.columnWidths.set(column.key, entry.width);
+                }
+                if (entry.pinned !== undefined) column.pinned = this.getPinSide(entry);
+            });
+        }
+
+        if (state.fixedLayout === true && !this.fixedLayout) {
+            // Saved widths are in pixels; the selection and expander columns get the narrowest width
+            this.fixedLayout = true;
+            this.selectColumnWidth = this.selectColumnWidth || DEFAULTS.MIN_COLUMN_WIDTH;
+            this.expanderColumnWidth = this.expanderColumnWidth || DEFAULTS.MIN_COLUMN_WIDTH;
+        } else if (state.fixedLayout === false && this.fixedLayout) {
+            this.fixedLayout = false;
+            const table = this.container.querySelector('.qmgrid-table');
+            if (table) {
+                table.classList.remove('qmgrid-fixed-layout');
+                table.style.width = '';
+            }
+        }
+
+        if (typeof state.pageSize === 'number' && state.pageSize >= 1) {
+            this.config.pageSize = state.pageSize;
+        }
+        if (Array.isArray(state.sort)) {
+            this.updateSortModel(state.sort);
+        }
+        if (typeof state.searchTerm === 'string') {
+            this.searchTerm = state.searchTerm.toLowerCase();
+        }
+
+        if (Array.isArray(state.filters)) {
+            this.columnFilters.clear();
+            state.filters.forEach(filter => {
+                if (!filter || !this.config.columns.some(col => col.key === filter.key)) return;
+                if (filter.operator === 'range') {
+                    this.columnFilters.set(filter.key, { operator: 'range', min: filter.min, max: filter.max });
+                } else if (filter.operator === 'contains' || filter.operator === 'equals') {
+                    this.columnFilters.set(filter.key, { operator: filter.operator, value: filter.value });
+                }
+            });
+        }
+
+        if (Array.isArray(state.selected) && this.config.selectable) {
+            this.selectedRows.clear();
+            const ids = this.config.multiSelect ? state.selected : state.selected.slice(0, 1);
+            ids.forEach(id => {
+                const row = this.getRowById(id);
+                if (row !== undefined) {
+                    this.selectedRows.set(this.getRowId(row), row);
+                } else if (this.config.serverSide) {
+                    // Rows on other server pages are filled in as they load
+                    this.selectedRows.set(id, null);
+                }
+            });
+        }
+
+        // Appended pages always start again from the first one
+        if (typeof state.currentPage === 'number' && state.currentPage >= 1 && !this.isAccumulatingPages()) {
+            this.currentPage = Math.floor(state.currentPage);
+        }
+    }
+
+    /**
+     * Bring a view state up to the current version. States from other versions
+     * go through stateSave.migrate(state, version); unversioned states are
+     * taken as current.
+     * @param {GridState} state - View state, possibly saved by an older version
+     * @returns {GridState|null} Current-version state, or null when it cannot be used
+     * @private
+     */
+    migrateState(state) {
+        if (!state || typeof state !== 'object') {
+            console.warn('Grid state must be an object');
+            return null;
+        }
+
+        const version = state.version === undefined ? DEFAULTS.STATE_VERSION : state.version;
+        if (version === DEFAULTS.STATE_VERSION) return state;
+
+        const migrate = this.config.stateSave && this.config.stateSave.migrate;
+        if (typeof migrate === 'function') {
+            try {
+                const migrated = migrate(state, version);
+                if (migrated && typeof migrated === 'object') {
+                    return { ...migrated, version: DEFAULTS.STATE_VERSION };
+                }
+            } catch (error) {
+                console.error('Grid state migration failed:', error);
+            }
+        }
+
+        console.warn(`Ignoring grid state saved with version ${version}`);
+        return null;
+    }
+
+    /**
+     * Resolve the storage stateSave writes to
+     * @returns {{getItem: Function, setItem: Function}|null} Storage, or null when unavailable
+     * @private
+     */
+    getStateStorage() {
+        const options = this.config.stateSave;
+        if (!options) return null;
+
+        const storage = options.storage || 'local';
+        if (typeof storage === 'object' && typeof storage.getItem === 'function' && typeof storage.setItem === 'function') {
+            return storage;
+        }
+
+        try {
+            if (storage === 'local') return window.localStorage;
+            if (storage === 'session') return window.sessionStorage;
+        } catch (error) {
+            // Reading window.localStorage throws when the browser blocks storage
+            return null;
+        }
+
+        console.warn("stateSave.storage must be 'local', 'session' or an object with getItem and setItem");
+        return null;
+    }
+
+    /**
+     * Get the storage key stateSave uses
+     * @returns {string} Storage key
+     * @private
+     */
+    getStateKey() {
+        return this.config.stateSave.key || `qmgrid-state-${this.container.id || 'default'}`;
+    }
+
+    /**
+     * Read and migrate the state stateSave stored last time
+     * @returns {GridState|null} Saved state, or null when there is none
+     * @private
+     */
+    loadSavedState() {
+        const storage = this.getStateStorage();
+        if (!storage) return null;
+
+        let state;
+        try {
+            const saved = storage.getItem(this.getStateKey());
+            if (saved === null || saved === undefined) return null;
+            state = typeof saved === 'string' ? JSON.parse(saved) : saved;
+        } catch (error) {
+            console.warn('Could not read the saved grid state:', error);
+            return null;
+        }
+        return this.migrateState(state);
+    }
+
+    /**
+     * Write the current view state to the stateSave storage
+     * @private
+     */
+    saveState() {
+        const storage = this.getStateStorage();
+        if (!storage) return;
+
+        try {
+            storage.setItem(this.getStateKey(), JSON.stringify(this.getState()));
+        } catch (error) {
+            // A full or read-only storage must not break the grid
+            console.warn('Could not save the grid state:', error);
+        }
+    }
+
+    /**
+     * Show the restored search term and page size in the toolbar controls
+     * @private
+     */
+    syncStateControls() {
+        const searchInput = this.container.querySelector('.search-input');
+        if (searchInput) searchInput.value = this.searchTerm;
+
+        const pageSizeSelect = this.container.querySelector('.page-size-select');
+        if (pageSizeSelect) pageSizeSelect.value = String(this.config.pageSize);
+    }
+
+    /**
+     * Resolve the urlSync option, filling in the defaults
+     * @returns {{mode: string, history: string, prefix: string}|null} URL sync options, or null when off
+     * @private
+     */
+    resolveUrlSync() {
+        const option = this.config.urlSync;
+        if (!option) return null;
+
+        const options = { mode: 'search', history: 'push', prefix: '', ...(typeof option === 'object' ? option : {}) };
+        if (!['search', 'hash'].includes(options.mode)) {
+            console.warn("urlSync.mode must be 'search' or 'hash'");
+            options.mode = 'search';
+        }
+        if (!['push', 'replace'].includes(options.history)) {
+            console.warn("urlSync.history must be 'push' or 'replace'");
+            options.history = 'push';
+        }
+        options.prefix = options.prefix ? String(options.prefix) : '';
+        return options;
+    }
+
+    /**
+     * Check whether a URL parameter belongs to this grid
+     * @param {string} name - Parameter name
+     * @returns {boolean} True for the search, sort, page, page size and filter parameters
+     * @private
+     */
+    isUrlSyncParam(name) {
+        const prefix = this.urlSync.prefix;
+        return ['q', 'sort', 'page', 'pageSize'].some(param => name === prefix + param) ||
+            name.startsWith(`${prefix}filter.`);
+    }
+
+    /**
+     * Get the parameters of the URL part urlSync writes to
+     * @returns {URLSearchParams} Parameters from location.search or location.hash
+     * @private
+     */
+    getUrlParams() {
+        const { search, hash } = window.location;
+        return new URLSearchParams(this.urlSync.mode === 'hash' ? hash.slice(1) : search);
+    }
+
+    /**
+     * Read the view state mirrored in the URL
+     * @returns {GridState|null} Search, sort, page, page size and filters, or null when the URL has none of them
+     * @private
+     */
+    readUrlState() {
+        const prefix = this.urlSync.prefix;
+        const params = this.getUrlParams();
+        if (!Array.from(params.keys()).some(name => this.isUrlSyncParam(name))) return null;
+
+        // Parameters left out of the URL stand for their default
+        const state = { ...this.urlDefaults, filters: [] };
+
+        if (params.has(`${prefix}q`)) {
+            state.searchTerm = params.get(`${prefix}q`);
+        }
+        if (params.has(`${prefix}sort`)) {
+            state.sort = params.get(`${prefix}sort`).split(',').filter(Boolean).map(part => {
+                const colon = part.lastIndexOf(':');
+                const dir = colon === -1 ? '' : part.slice(colon + 1);
+                return dir === 'asc' || dir === 'desc'
+                    ? { key: part.slice(0, colon), dir }
+                    : { key: part, dir: 'asc' };
+            });
+        }
+
+        const page = parseInt(params.get(`${prefix}page`), 10);
+        if (page >= 1) state.currentPage = page;
+        const pageSize = parseInt(params.get(`${prefix}pageSize`), 10);
+        if (pageSize >= 1) state.pageSize = pageSize;
+
+        params.forEach((value, name) => {
+            if (!name.startsWith(`${prefix}filter.`)) return;
+            const filter = this.parseUrlFilter(name.slice(`${prefix}filter.`.length), value);
+            if (filter) state.filters.push(filter);
+        });
+
+        return state;
+    }
+
+    /**
+     * Parse a filter URL parameter. Values use the column's default operator unless
+     * prefixed with 'contains:', 'equals:' or 'range:'; ranges are written 'min..max'.
+     * @param {string} key - Column key
+     * @param {string} value - Parameter value
+     * @returns {ColumnFilter|null} Filter with its column key, or null when unusable
+     * @private
+     */
+    parseUrlFilter(key, value) {
+        const column = this.config.columns.find(col => col.key === key);
+        if (!column) return null;
+
+        const match = /^(contains|equals|range):/.exec(value);
+        const operator = match ? match[1] : this.getDefaultFilterOperator(column);
+        const text = match ? value.slice(match[0].length) : value;
+
+        if (operator === 'range') {
+            const dots = text.indexOf('..');
+            const min = dots === -1 ? text : text.slice(0, dots);
+            const max = dots === -1 ? '' : text.slice(dots + 2);
+            return this.hasFilterValue(min) || this.hasFilterValue(max) ? { key, operator, min, max } : null;
+        }
+        return this.hasFilterValue(text) ? { key, operator, value: text } : null;
+    }
+
+    /**
+     * Format a column filter as a URL parameter value
+     * @param {string} key - Column key
+     * @param {ColumnFilter} filter - Active filter
+     * @returns {string} Parameter value readable by parseUrlFilter()
+     * @private
+     */
+    formatUrlFilter(key, filter) {
+        const column = this.config.columns.find(col => col.key === key);
+        const text = filter.operator === 'range'
+            ? `${this.hasFilterValue(filter.min) ? filter.min : ''}..${this.hasFilterValue(filter.max) ? filter.max : ''}`
+            : String(filter.value);
+
+        // Spell the operator out when it is not the column's default, or the value would read as one
+        const implicit = column && filter.operator === this.getDefaultFilterOperator(column) &&
+            !/^(contains|equals|range):/.test(text);
+        return implicit ? text : `${filter.operator}:${text}`;
+    }
+
+    /**
+     * Mirror the search, sort, page, page size and filters in the URL. Parameters
+     * that belong to other grids or the page are kept.
+     * @param {boolean} [replace=false] - Replace the history entry even when urlSync.history is 'push'
+     * @private
+     */
+    writeUrlState(replace = false) {
+        const prefix = this.urlSync.prefix;
+        const params = this.getUrlParams();
+        Array.from(params.keys()).forEach(name => {
+            if (this.isUrlSyncParam(name)) params.delete(name);
+        });
+
+        if (this.searchTerm) {
+            params.set(`${prefix}q`, this.searchTerm);
+        }
+        if (this.sortModel.length > 0) {
+            params.set(`${prefix}sort`, this.sortModel.map(item => `${item.key}:${item.dir}`).join(','));
+        }
+        if (this.config.pagination && !this.isAccumulatingPages()) {
+            if (this.currentPage > 1) params.set(`${prefix}page`, String(this.currentPage));
+            if (this.config.pageSize !== this.urlDefaults.pageSize) params.set(`${prefix}pageSize`, String(this.config.pageSize));
+        }
+        this.columnFilters.forEach((filter, key) => {
+            params.set(`${prefix}filter.${key}`, this.formatUrlFilter(key, filter));
+        });
+
+        // Keep ':' and ',' readable in sort and filter values
+        const encode = text => encodeURIComponent(text).replace(/%3A/gi, ':').replace(/%2C/gi, ',').replace(/%20/g, '+');
+        const query = Array.from(params)
+            .map(([name, value]) => (value === '' ? encode(name) : `${encode(name)}=${encode(value)}`))
+            .join('&');
+
+        const { pathname, search, hash } = window.location;
+        const url = this.urlSync.mode === 'hash'
+            ? `${pathname}${search}${query ? `#${query}` : ''}`
+            : `${pathname}${query ? `?${query}` : ''}${hash}`;
+        if (url === `${pathname}${search}${hash}`) return;
+
+        if (replace || this.urlRestoring || this.urlSync.history === 'replace') {
+            window.history.replaceState(window.history.state, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+    }
+
+    showLoading() {
+        const loadingDiv = this.container.querySelector('.qmgrid-loading');
+        const wrapper = this.container.querySelector('.qmgrid-wrapper table');
+        if (loadingDiv) loadingDiv.style.display = 'flex';
+        if (wrapper) wrapper.style.opacity = '0.5';
+        return this;
+    }
+
+    hideLoading() {
+        const loadingDiv = this.container.querySelector('.qmgrid-loading');
+        const wrapper = this.container.querySelector('.qmgrid-wrapper table');
+        if (loadingDiv) loadingDiv.style.display = 'none';
+        if (wrapper) wrapper.style.opacity = '1';
+        return this;
+    }
+
+    /**
+     * Load data from server
+     * @returns {Promise<void>}
+     * @private
+     */
+    async loadServerData(options = {}) {
+        if (!this.config.ajax.url) {
+            console.error('Server-side processing enabled but no URL provided');
+            return;
+        }
+
+        // Appending the next page keeps the rows already loaded
+        const append = Boolean(options.append);
+
+        // A newer request supersedes the one in flight
+        if (this.currentRequest) {
+            this.currentRequest.abort();
+            this.currentRequest = null;
+        } else if (this.isLoading) {
+            // Prevent concurrent requests
+            return;
+        }
+
+        const requestId = ++this.requestId;
+        // Set once the rows arrive or a retry takes over; an appended page that never
+        // arrives is handed back so the next loadMore() requests it again
+        let settled = false;
+        let timedOut = false;
+
+        this.isLoading = true;
+        this.showLoading();
+        this.emit(EVENTS.SERVER_REQUEST_START, { 
+            page: this.currentPage,
+            search: this.searchTerm,
+            sort: this.sortColumn,
+            direction: this.sortDirection
+        });
+
+        try {
+            const params = {
+                page: this.currentPage,
+                pageSize: this.config.pageSize,
+                ...this.getServerQuery(),
+                draw: requestId // Request identifier for tracking
+            };
+
+            // Allow custom data transformation
+            const requestData = this.config.ajax.data 
+                ? this.config.ajax.data(params) 
+                : params;
+
+            // Call beforeSend callback if provided
+            if (this.config.ajax.beforeSend && typeof this.config.ajax.beforeSend === 'function') {
+                const shouldContinue = this.config.ajax.beforeSend(requestData, params);
+                if (shouldContinue === false) {
+                    this.isLoading = false;
+                    this.hideLoading();
+                    return;
+                }
+            }
+
+            const controller = new AbortController();
+            this.currentRequest = controller;
+
+            const requestOptions = {
+                method: this.config.ajax.method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.config.ajax.headers
+                },
+                signal: controller.signal
+            };
+
+            // Set timeout
+            const timeoutId = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, this.config.ajax.timeout);
+
+            if (this.config.ajax.method !== 'GET') {
+                requestOptions.body = JSON.stringify(requestData);
+            }
+
+            const url = this.config.ajax.method === 'GET' 
+                ? `${this.config.ajax.url}?${new URLSearchParams(this.flattenObject(requestData))}`
+                : this.config.ajax.url;
+
+            const response = await fetch(url, requestOptions);
+            clearTimeout(timeoutId);
             
-        const paginationContainer = this.container.querySelector('.qmgrid-pagination');
-        
-        if (!paginationContainer) return;
-        
-        const pageNumbers = paginationContainer.querySelector('.page-numbers');
-        const firstBtn = paginationContainer.querySelector('.first-page');
-        const prevBtn = paginationContainer.querySelector('.prev-page');
-        const nextBtn = paginationContainer.querySelector('.next-page');
-        const lastBtn = paginationContainer.querySelector('.last-page');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+            }
+
+            const result = await response.json();
+
+            // A newer request was started while this one was in flight
+            if (requestId !== this.requestId) {
+                return;
+            }
+
+            // Validate response draw/request ID if provided
+            const responseDraw = this.getNestedValue(result, this.config.serverResponse.draw);
+            if (responseDraw && responseDraw !== requestId) {
+                console.warn('Response draw ID mismatch, ignoring stale response');
+                return;
+            }
+
+            // Handle server response structure
+            const data = this.getNestedValue(result, this.config.serverResponse.data);
+            const total = this.getNestedValue(result, this.config.serverResponse.totalRecords);
+            const error = this.getNestedValue(result, this.config.serverResponse.error);
+
+            if (error) {
+                throw new Error(error);
+            }
+
+            if (!Array.isArray(data)) {
+                throw new Error('Server response data is not an array');
+            }
+
+            // Nested tree rows are flattened so every node is a row
+            const rows = this.config.childrenKey ? this.flattenTree(data) : data;
+
+            // Update internal state
+            if (append) {
+                // Skip rows that were already loaded (pages can shift as data changes). This needs
+                // rowId: automatic IDs are unique to each row object, so a reloaded row never matches.
+                const loadedIds = this.config.rowId ? new Set(this.originalData.map(row => this.getRowId(row))) : null;
+                this.originalData = this.originalData.concat(loadedIds ? rows.filter(row => !loadedIds.has(this.getRowId(row))) : rows);
+            } else {
+                this.originalData = [...rows];
+                // The range addressed the previous rows
+                this.clearCellRange();
+                // Lazily loaded children belonged to the previous rows
+                this.treeLoading.clear();
+                this.treeLoaded.clear();
+            }
+            this.assignRowIds(this.originalData);
+            this.treeParents = null;
+            this.filteredData = this.isTreeMode() ? this.linearizeTree(this.originalData) : [...this.originalData];
+            this.totalRecords = typeof total === 'number' ? total : this.originalData.length;
+
+            const aggregates = this.config.serverResponse.aggregates
+                ? this.getNestedValue(result, this.config.serverResponse.aggregates)
+                : null;
+            this.serverAggregates = aggregates && typeof aggregates === 'object' ? aggregates : null;
+
+            const hasMore = this.getNestedValue(result, this.config.serverResponse.hasMore);
+            this.hasMore = typeof hasMore === 'boolean'
+                ? hasMore
+                : data.length > 0 && this.originalData.length < this.totalRecords;
+            this.retryCount = 0; // Reset retry count on success
+            settled = true;
+            
+            // Debug logging for server-side data loading
+            console.log('Server data loaded:', {
+                dataLength: data.length,
+                totalRecords: this.totalRecords,
+                currentPage: this.currentPage,
+                pageSize: this.config.pageSize
+            });
+            
+            this.render();
+
+            if (this.announceOnLoad) {
+                this.announceOnLoad = false;
+                this.announce(this.config.language.announce.results.replace('_TOTAL_', this.totalRecords));
+            }
+
+            // Nodes that stay expanded across reloads fetch their children again
+            if (this.isTreeMode()) {
+                this.originalData
+                    .filter(row => this.expandedNodes.has(this.getRowId(row)) && this.canLoadChildren(row))
+                    .forEach(row => this.loadTreeChildren(row));
+            }
+
+            this.emit(EVENTS.SERVER_DATA_LOADED, { 
+                data, 
+                total: this.totalRecords,
+                page: this.currentPage,
+                search: this.searchTerm,
+                sort: this.sortColumn,
+                direction: this.sortDirection
+            });
+
+        } catch (caught) {
+            // Timeouts abort the request too, but they are failures rather than cancellations
+            if (caught.name === 'AbortError' && !timedOut) {
+                console.log('Request was cancelled');
+                return;
+            }
+            const error = timedOut ? new Error(`Request timed out after ${this.config.ajax.timeout} ms`) : caught;
+
+            console.error('Failed to load server data:', error);
+            
+            // Retry logic
+            if (this.retryCount < this.config.ajax.retryAttempts) {
+                this.retryCount++;
+                console.log(`Retrying request (${this.retryCount}/${this.config.ajax.retryAttempts})...`);
+                settled = true;
+                
+                setTimeout(() => {
+                    this.loadServerData(options);
+                }, this.config.ajax.retryDelay * this.retryCount);
+                return;
+            }
+
+            // The next page never arrived, so stay on the last loaded one
+            if (append) {
+                this.currentPage--;
+                settled = true;
+            }
+
+            // Call error callback if provided
+            if (this.config.ajax.error && typeof this.config.ajax.error === 'function') {
+                this.config.ajax.error(error, this.currentPage, this.searchTerm);
+            }
+
+            this.emit(EVENTS.SERVER_ERROR, { 
+                error: error.message,
+                page: this.currentPage,
+                search: this.searchTerm,
+                sort: this.sortColumn,
+                direction: this.sortDirection
+            });
 
-        // Update button states
-        if (firstBtn) firstBtn.disabled = this.currentPage === 1;
-        if (prevBtn) prevBtn.disabled = this.currentPage === 1;
-        if (nextBtn) nextBtn.disabled = this.currentPage === totalPages || totalPages === 0;
-        if (lastBtn) lastBtn.disabled = this.currentPage === totalPages || totalPages === 0;
+        } finally {
+            // A superseding request owns the loading state now
+            if (requestId !== this.requestId) {
+                return;
+            }
 
-        // Render page numbers
-        if (pageNumbers) {
-            pageNumbers.innerHTML = '';
+            // Cancelled by beforeSend or a stale response: the next loadMore() asks for this page again
+            if (append && !settled) {
+                this.currentPage--;
+            }
+
+            this.isLoading = false;
+            this.hideLoading();
+            this.currentRequest = null;
             
-            if (totalPages <= DEFAULTS.MAX_VISIBLE_PAGES) {
-                // Show all pages
-                for (let i = 1; i <= totalPages; i++) {
-                    pageNumbers.appendChild(this.createPageButton(i));
-                }
-            } else {
-                // Show first page
-                pageNumbers.appendChild(this.createPageButton(1));
-                
-                if (this.currentPage > 4) {
-                    pageNumbers.appendChild(this.createEllipsis());
-                }
-                
-                // Show pages around current page
-                const start = Math.max(2, this.currentPage - DEFAULTS.PAGINATION_DELTA);
-                const end = Math.min(totalPages - 1, this.currentPage + DEFAULTS.PAGINATION_DELTA);
-                
-                for (let i = start; i <= end; i++) {
-                    pageNumbers.appendChild(this.createPageButton(i));
-                }
-                
-                if (this.currentPage < totalPages - 3) {
-                    pageNumbers.appendChild(this.createEllipsis());
-                }
-                
-                // Show last page
-                if (totalPages > 1) {
-                    pageNumbers.appendChild(this.createPageButton(totalPages));
-                }
+            // Call complete callback if provided
+            if (this.config.ajax.complete && typeof this.config.ajax.complete === 'function') {
+                this.config.ajax.complete();
             }
+            
+            this.emit(EVENTS.SERVER_REQUEST_END, {
+                page: this.currentPage,
+                search: this.searchTerm,
+                sort: this.sortColumn,
+                direction: this.sortDirection
+            });
         }
     }
 
-    createPageButton(pageNum) {
-        const button = document.createElement('button');
-        button.className = 'page-btn page-number';
-        button.textContent = pageNum;
-        button.dataset.page = pageNum;
-        
-        if (pageNum === this.currentPage) {
-            button.classList.add('active');
-        }
-        
-        return button;
+    /**
+     * Get the search, sort and filter parameters sent with server requests
+     * @returns {Object} Request parameters, without paging
+     * @private
+     */
+    getServerQuery() {
+        return {
+            search: this.searchTerm,
+            sortBy: this.sortColumn,
+            sortDir: this.sortDirection,
+            sorts: this.getSortModel(),
+            filters: this.getColumnFilters(),
+            groupBy: this.getGroupKeys(), // Rows should come back ordered by these keys first
+            columns: this.getVisibleColumns().map(col => col.key) // Search only these columns
+        };
     }
 
-    createEllipsis() {
-        const span = document.createElement('span');
-        span.className = 'page-ellipsis';
-        span.textContent = '...';
-        return span;
+    /**
+     * Helper method to get nested values from server response
+     * @param {Object} obj - Object to search in
+     * @param {string} path - Dot-separated path to value
+     * @returns {*} Value at path or null
+     * @private
+     */
+    getNestedValue(obj, path) {
+        if (!path || !obj) return obj;
+        return path.split('.').reduce((current, key) => {
+            return current && current[key] !== undefined ? current[key] : null;
+        }, obj);
     }
 
-    renderInfo() {
-        const infoContainer = this.container.querySelector('.qmgrid-info');
-        if (!infoContainer) return;
-        
-        if (this.config.serverSide) {
-            const start = this.totalRecords === 0 ? 0 : (this.currentPage - 1) * this.config.pageSize + 1;
-            const end = Math.min(this.currentPage * this.config.pageSize, this.totalRecords);
-            const total = this.totalRecords;
+    /**
+     * Set a value at a dot-notation path, creating intermediate objects
+     * @param {Object} obj - Object to write to
+     * @param {string} path - Dot notation path
+     * @param {*} value - Value to set
+     * @private
+     */
+    setNestedValue(obj, path, value) {
+        const parts = path.split('.');
+        let target = obj;
+        parts.slice(0, -1).forEach(part => {
+            if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+            target = target[part];
+        });
+        target[parts[parts.length - 1]] = value;
+    }
 
-            let infoText;
-            if (total === 0) {
-                infoText = this.config.language.infoEmpty;
-            } else {
-                infoText = this.config.language.info
-                    .replace('_START_', start)
-                    .replace('_END_', end)
-                    .replace('_TOTAL_', total);
+    /**
+     * Helper method to flatten nested objects for URL parameters
+     * @param {Object} obj - Object to flatten
+     * @param {string} prefix - Prefix for keys
+     * @returns {Object} Flattened object
+     * @private
+     */
+    flattenObject(obj, prefix = '') {
+        const flattened = {};
+        
+        for (const key in obj) {
+            if (obj.hasOwnProperty(key)) {
+                const value = obj[key];
+                const newKey = prefix ? `${prefix}.${key}` : key;
                 
-                if (this.searchTerm) {
-                    infoText += ' ' + this.config.language.infoFiltered.replace('_MAX_', total);
+                if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                    Object.assign(flattened, this.flattenObject(value, newKey));
+                } else if (Array.isArray(value) && value.some(item => item !== null && typeof item === 'object')) {
+                    // Arrays of objects (e.g. filters) cannot be flattened into a query string
+                    flattened[newKey] = JSON.stringify(value);
+                } else {
+                    flattened[newKey] = value;
                 }
             }
+        }
+        
+        return flattened;
+    }
 
-            infoContainer.textContent = infoText;
+    /**
+     * Refresh server data (reload current page with current filters)
+     * @returns {Promise<QMGrid>} Returns this for method chaining
+     */
+    async refresh() {
+        if (this.config.serverSide) {
+            await this.loadServerData();
         } else {
-            // Client-side info rendering (existing logic)
-            const start = this.filteredData.length === 0 ? 0 : (this.currentPage - 1) * this.config.pageSize + 1;
-            const end = Math.min(this.currentPage * this.config.pageSize, this.filteredData.length);
-            const total = this.filteredData.length;
-            const max = this.originalData.length;
+            this.applyFilters();
+            this.render();
+        }
+        return this;
+    }
 
-            let infoText;
-            if (total === 0) {
-                infoText = this.config.language.infoEmpty;
-            } else {
-                infoText = this.config.language.info
-                    .replace('_START_', start)
-                    .replace('_END_', end)
-                    .replace('_TOTAL_', total);
-                
-                if (total !== max) {
-                    infoText += ' ' + this.config.language.infoFiltered.replace('_MAX_', max);
-                }
-            }
+    // Import functionality
+    /**
+     * Import rows from a CSV, TSV, JSON or NDJSON file or string.
+     * Values are converted by column.type and checked with column.validate;
+     * rows with errors are skipped and listed in the result.
+     * @param {File|Blob|string} source - File, Blob or text to import
+     * @param {Object} [options={}] - Import options
+     * @param {string} [options.format] - 'csv', 'tsv', 'json' or 'ndjson' (detected from the file name or content when omitted)
+     * @param {Object} [options.mapping] - File header -> column key, null skipping the header; other headers match column keys and titles
+     * @param {string} [options.mode='append'] - 'append', 'replace' or 'upsert' (upsert matches rows by config.rowId)
+     * @param {boolean} [options.preview=false] - Show the preview dialog before applying
+     * @param {boolean} [options.headers=true] - CSV and TSV: the first line holds headers (otherwise fields map to the visible columns in order)
+     * @param {string} [options.separator] - CSV field separator (defaults to exportOptions.csvSeparator)
+     * @returns {Promise<Object|null>} Import summary, or null when the import was cancelled or failed
+     * @public
+     */
+    async importData(source, options = {}) {
+        const settings = { format: null, mapping: null, mode: 'append', preview: false, headers: true, separator: null, ...options };
 
-            infoContainer.textContent = infoText;
+        if (this.config.serverSide) {
+            console.warn('importData() not supported in server-side mode. Use server API to add data.');
+            return null;
+        }
+        if (!['append', 'replace', 'upsert'].includes(settings.mode)) {
+            console.warn(`Unsupported import mode: ${settings.mode}`);
+            return null;
+        }
+        if (settings.mode === 'upsert' && !this.config.rowId) {
+            console.warn("Import mode 'upsert' requires config.rowId to match rows");
+            return null;
         }
-    }
 
-    attachEvents() {
-        // Search functionality with debouncing
-        if (this.config.searchable) {
-            const searchInput = this.container.querySelector('.search-input');
-            if (searchInput) {
-                const debouncedSearch = this.debounce((e) => {
-                    this.search(e.target.value);
-                }, DEFAULTS.SEARCH_DEBOUNCE_DELAY);
-                
-                searchInput.addEventListener('input', debouncedSearch);
-                this.eventListeners.set('search-input', { element: searchInput, event: 'input', handler: debouncedSearch });
+        let format;
+        let parsed;
+        try {
+            const text = typeof source === 'string' ? source : await source.text();
+            format = this.getImportFormat(text, settings.format, source && source.name);
+            if (!format) {
+                console.warn(`Unsupported import format: ${settings.format}`);
+                return null;
             }
+            parsed = this.parseImportRecords(text, format, settings);
+        } catch (error) {
+            console.error('Failed to read import data:', error);
+            return null;
         }
 
-        // Page size change
-        const pageSizeSelect = this.container.querySelector('.page-size-select');
-        if (pageSizeSelect) {
-            const pageSizeHandler = (e) => {
-                this.setPageSize(parseInt(e.target.value));
-            };
-            pageSizeSelect.addEventListener('change', pageSizeHandler);
-            this.eventListeners.set('page-size', { element: pageSizeSelect, event: 'change', handler: pageSizeHandler });
+        let mapping = this.getImportMapping(parsed, settings.mapping);
+        let mode = settings.mode;
+        if (settings.preview) {
+            const choice = await this.showImportPreview(parsed, mapping, mode);
+            if (!choice) return null;
+            ({ mapping, mode } = choice);
         }
 
-        // Sorting
-        if (this.config.sortable) {
-            const sortHandler = (e) => {
-                const headerCell = e.target.closest('.sortable');
-                if (headerCell) {
-                    const column = headerCell.dataset.column;
-                    this.sort(column);
-                }
-            };
-            this.container.addEventListener('click', sortHandler);
-            this.eventListeners.set('sort', { element: this.container, event: 'click', handler: sortHandler });
+        const entries = this.convertImportRecords(parsed, mapping);
+        const rows = entries.filter(entry => entry.errors.length === 0).map(entry => entry.row);
+        const errors = [];
+        entries.forEach(entry => errors.push(...entry.errors));
+
+        const { added, updated } = this.applyImport(rows, mode);
+        const result = {
+            format,
+            mode,
+            total: entries.length,
+            imported: rows.length,
+            added,
+            updated,
+            invalid: entries.length - rows.length,
+            errors
+        };
+        this.emit(EVENTS.IMPORT, result);
+        return result;
+    }
+
+    /**
+     * Work out the format of import data
+     * @param {string} text - Import text
+     * @param {string|null} format - Requested format
+     * @param {string} [filename] - Name of the imported file
+     * @returns {string|null} Import format, or null when the requested one is not supported
+     * @private
+     */
+    getImportFormat(text, format, filename) {
+        const formats = Object.values(IMPORT_FORMATS);
+        if (format) {
+            const name = String(format).toLowerCase();
+            return formats.includes(name) ? name : null;
         }
 
-        // Row selection
-        if (this.config.selectable) {
-            const selectionHandler = (e) => {
-                if (e.target.classList.contains('select-all-checkbox')) {
-                    this.selectAll(e.target.checked);
-                } else if (e.target.classList.contains('row-select-checkbox')) {
-                    const row = e.target.closest('tr');
-                    if (row) {
-                        const index = parseInt(row.dataset.index);
-                        if (!isNaN(index)) {
-                            this.selectRow(index, e.target.checked);
-                        }
-                    }
-                }
-            };
-            this.container.addEventListener('change', selectionHandler);
-            this.eventListeners.set('selection', { element: this.container, event: 'change', handler: selectionHandler });
+        const extension = /\.([^.]+)$/.exec(filename || '');
+        if (extension && formats.includes(extension[1].toLowerCase())) {
+            return extension[1].toLowerCase();
         }
 
-        // Pagination
-        if (this.config.pagination) {
-            const paginationHandler = (e) => {
-                const totalPages = this.config.serverSide 
-                    ? Math.ceil(this.totalRecords / this.config.pageSize)
-                    : Math.ceil(this.filteredData.length / this.config.pageSize);
-                
-                // Debug logging for server-side
-                if (this.config.serverSide && e.target.classList.contains('page-number')) {
-                    console.log('Server-side pagination:', {
-                        totalRecords: this.totalRecords,
-                        pageSize: this.config.pageSize,
-                        totalPages: totalPages,
-                        clickedPage: parseInt(e.target.dataset.page)
-                    });
-                }
-                
-                if (e.target.classList.contains('first-page')) {
-                    this.goToPage(1);
-                } else if (e.target.classList.contains('prev-page')) {
-                    this.goToPage(Math.max(1, this.currentPage - 1));
-                } else if (e.target.classList.contains('next-page')) {
-                    this.goToPage(Math.min(totalPages, this.currentPage + 1));
-                } else if (e.target.classList.contains('last-page')) {
-                    this.goToPage(totalPages);
-                } else if (e.target.classList.contains('page-number')) {
-                    const page = parseInt(e.target.dataset.page);
-                    if (!isNaN(page) && page >= 1 && page <= totalPages) {
-                        this.goToPage(page);
+        // Without a known extension, sniff the content
+        const start = text.trimStart();
+        if (start.startsWith('[')) return IMPORT_FORMATS.JSON;
+        if (start.startsWith('{')) {
+            try {
+                JSON.parse(start);
+                return IMPORT_FORMATS.JSON;
+            } catch (error) {
+                return IMPORT_FORMATS.NDJSON;
+            }
+        }
+        const firstLine = start.split(/\r?\n/, 1)[0];
+        const separator = this.config.exportOptions.csvSeparator || ',';
+        return firstLine.includes('\t') && !firstLine.includes(separator) ? IMPORT_FORMATS.TSV : IMPORT_FORMATS.CSV;
+    }
+
+    /**
+     * Parse import text into headers and records of raw values
+     * @param {string} text - Import text
+     * @param {string} format - Import format
+     * @param {Object} options - Import options
+     * @returns {{headers: Array<string>, records: Array<Array>, positional: boolean}} Parsed data
+     * @private
+     */
+    parseImportRecords(text, format, options) {
+        if (format === IMPORT_FORMATS.JSON || format === IMPORT_FORMATS.NDJSON) {
+            let items;
+            if (format === IMPORT_FORMATS.JSON) {
+                const parsed = JSON.parse(text);
+                // Responses shaped like the server-side ones work as well as bare arrays
+                items = Array.isArray(parsed) ? parsed : this.getNestedValue(parsed, this.config.serverResponse.data);
+                if (!Array.isArray(items) && parsed && typeof parsed === 'object') items = [parsed];
+            } else {
+                items = text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+            }
+            if (!Array.isArray(items)) {
+                throw new Error('JSON imports need an array of objects');
+            }
+
+            // Nested objects become dot-notation fields so they line up with column keys
+            const flatten = (obj, prefix, out) => {
+                Object.keys(obj).forEach(key => {
+                    const value = obj[key];
+                    const path = prefix ? `${prefix}.${key}` : key;
+                    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                        flatten(value, path, out);
                     } else {
-                        console.warn('Invalid page number:', page, 'Total pages:', totalPages);
+                        out[path] = value;
                     }
-                }
+                });
+                return out;
             };
-            this.container.addEventListener('click', paginationHandler);
-            this.eventListeners.set('pagination', { element: this.container, event: 'click', handler: paginationHandler });
-        }
+            const flat = items.map(item => (item !== null && typeof item === 'object' ? flatten(item, '', {}) : {}));
+            const headers = new Set();
+            flat.forEach(record => Object.keys(record).forEach(key => headers.add(key)));
 
-        // Export functionality
-        if (this.config.exportable) {
-            const exportHandler = (e) => {
-                if (e.target.classList.contains('export-btn')) {
-                    e.preventDefault();
-                    const dropdown = e.target.nextElementSibling;
-                    dropdown.classList.toggle('show');
-                } else if (e.target.classList.contains('export-option')) {
-                    e.preventDefault();
-                    const format = e.target.dataset.format;
-                    this.exportData(format);
-                    
-                    // Hide dropdown
-                    const dropdown = e.target.closest('.export-menu');
-                    dropdown.classList.remove('show');
-                }
+            return {
+                headers: [...headers],
+                records: flat.map(record => [...headers].map(header => record[header])),
+                positional: false
             };
-            this.container.addEventListener('click', exportHandler);
-            this.eventListeners.set('export', { element: this.container, event: 'click', handler: exportHandler });
+        }
 
-            // Close dropdown when clicking outside
-            const outsideClickHandler = (e) => {
-                if (!e.target.closest('.export-dropdown')) {
-                    const dropdowns = this.container.querySelectorAll('.export-menu');
-                    dropdowns.forEach(dropdown => dropdown.classList.remove('show'));
-                }
+        const separator = format === IMPORT_FORMATS.TSV ? '\t' : options.separator || this.config.exportOptions.csvSeparator || ',';
+        // Blank lines carry no record
+        const lines = this.parseCSV(text, separator).filter(line => line.length > 1 || line[0] !== '');
+
+        if (!options.headers) {
+            const width = lines.reduce((max, line) => Math.max(max, line.length), 0);
+            return {
+                headers: Array.from({ length: width }, (_, index) => `Column ${index + 1}`),
+                records: lines,
+                positional: true
             };
-            document.addEventListener('click', outsideClickHandler);
-            this.eventListeners.set('export-outside', { element: document, event: 'click', handler: outsideClickHandler });
         }
-    }
 
-    debounce(func, wait) {
-        return (...args) => {
-            clearTimeout(this.searchTimeout);
-            this.searchTimeout = setTimeout(() => func.apply(this, args), wait);
-        };
+        const [headers = [], ...records] = lines;
+        return { headers: headers.map(header => header.trim()), records, positional: false };
     }
 
-    search(term) {
-        if (typeof term !== 'string') {
-            term = String(term || '');
+    /**
+     * Split delimited text into rows of fields following RFC 4180:
+     * quoted fields may hold separators, doubled quotes and line breaks
+     * @param {string} text - Delimited text
+     * @param {string} [separator=','] - Field separator
+     * @returns {Array<Array<string>>} Rows of fields
+     * @private
+     */
+    parseCSV(text, separator = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let pending = false; // A field has started on the current line
+        // Skip the byte order mark spreadsheet programs write
+        let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+        for (; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char !== '"') {
+                    field += char;
+                } else if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+                pending = true;
+            } else if (text.startsWith(separator, i)) {
+                row.push(field);
+                field = '';
+                pending = true;
+                i += separator.length - 1;
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+                pending = false;
+            } else {
+                field += char;
+                pending = true;
+            }
         }
-        
-        this.searchTerm = term.toLowerCase();
-        
-        if (this.config.serverSide) {
-            this.currentPage = 1; // Reset to first page on search
-            this.loadServerData();
-        } else {
-            this.applyFilters();
-            this.currentPage = 1;
-            this.render();
+
+        // The last line may end without a line break
+        if (pending) {
+            row.push(field);
+            rows.push(row);
         }
-        
-        this.emit(EVENTS.SEARCH, { term });
-        return this;
+        return rows;
     }
 
-    applyFilters() {
-        this.filteredData = this.originalData.filter(row => {
-            if (!this.searchTerm) return true;
-            
-            return this.config.columns.some(column => {
-                const value = this.getCellValue(row, column.key);
-                return value && value.toString().toLowerCase().includes(this.searchTerm);
+    /**
+     * Map import headers to column keys
+     * @param {Object} parsed - Parsed import data
+     * @param {Object|null} mapping - Header -> column key overrides
+     * @returns {Object} Header -> column key, or null for skipped headers
+     * @private
+     */
+    getImportMapping(parsed, mapping) {
+        const columns = this.config.columns;
+        const visibleColumns = this.getVisibleColumns();
+        const normalize = (text) => String(text).trim().toLowerCase();
+        // Row IDs and tree links are kept even without a column showing them
+        const dataKeys = [this.config.rowId, this.config.childrenKey, this.config.parentIdKey]
+            .filter(key => typeof key === 'string' && key);
+
+        return parsed.headers.reduce((result, header, index) => {
+            if (mapping && Object.prototype.hasOwnProperty.call(mapping, header)) {
+                result[header] = mapping[header] || null;
+            } else if (parsed.positional) {
+                result[header] = visibleColumns[index] ? visibleColumns[index].key : null;
+            } else {
+                const name = normalize(header);
+                const column = columns.find(col => normalize(col.key) === name) ||
+                    columns.find(col => col.title && normalize(col.title) === name);
+                result[header] = column ? column.key : dataKeys.find(key => normalize(key) === name) || null;
+            }
+            return result;
+        }, {});
+    }
+
+    /**
+     * Build rows from parsed import records, converting and validating mapped values
+     * @param {Object} parsed - Parsed import data
+     * @param {Object} mapping - Header -> column key
+     * @returns {Array<{row: Object, errors: Array<Object>}>} Row and its errors, per record
+     * @private
+     */
+    convertImportRecords(parsed, mapping) {
+        const targets = parsed.headers.map(header => mapping[header] || null);
+        const columns = new Map(this.config.columns.map(col => [col.key, col]));
+
+        return parsed.records.map((record, index) => {
+            const row = {};
+            const values = new Map();
+            const errors = [];
+
+            targets.forEach((key, i) => {
+                if (!key) return;
+                const column = columns.get(key);
+                const raw = record[i] === undefined ? null : record[i];
+                const { value, error } = column ? this.coerceCellValue(raw, column) : { value: raw, error: null };
+                if (error) errors.push({ row: index + 1, column: key, message: error });
+                values.set(key, value);
+                this.setNestedValue(row, key, value);
             });
+
+            // Validation runs once the row is complete, so rules can look at other fields
+            values.forEach((value, key) => {
+                const column = columns.get(key);
+                if (!column || errors.some(error => error.column === key)) return;
+                const error = this.validateCellValue(column, value, row);
+                if (error !== null) errors.push({ row: index + 1, column: key, message: error });
+            });
+
+            return { row, errors };
         });
     }
 
-    setData(data) {
-        if (!Array.isArray(data)) {
-            throw new Error('Data must be an array');
+    /**
+     * Convert a text value to the type of a column, as its editor would
+     * @param {*} value - Raw value
+     * @param {Object} column - Column configuration
+     * @returns {{value: *, error: string|null}} Converted value, or the raw value with an error message
+     * @private
+     */
+    coerceCellValue(value, column) {
+        const labels = this.config.language.import;
+        if (value === null || value === undefined) return { value: null, error: null };
+
+        const text = typeof value === 'string' ? value.trim() : value;
+        const empty = text === '';
+
+        if (column.editor === 'checkbox') {
+            if (typeof value === 'boolean') return { value, error: null };
+            const flag = String(text).toLowerCase();
+            if (['true', 'yes', 'y', '1', 'x'].includes(flag)) return { value: true, error: null };
+            if (['false', 'no', 'n', '0', ''].includes(flag)) return { value: false, error: null };
+            return { value, error: labels.invalidBoolean };
         }
-        
-        if (this.config.serverSide) {
-            console.warn('setData() called with server-side processing enabled. This will switch to client-side mode for this data.');
-            // Temporarily switch to client-side for this data
-            this.config.serverSide = false;
+
+        const options = column.editor === 'select' ? this.getEditorOptions(column) : [];
+        if (options.length > 0) {
+            if (empty) return { value: null, error: null };
+            // Accept the option's label as well as its value
+            const match = options.find(option => String(option.value) === String(text)) ||
+                options.find(option => option.label !== undefined && String(option.label).toLowerCase() === String(text).toLowerCase());
+            return match ? { value: match.value, error: null } : { value, error: labels.invalidOption };
+        }
+
+        const type = column.editor === 'number' || column.editor === 'date' ? column.editor : column.type;
+        switch (type) {
+            case 'number':
+            case 'currency': {
+                if (empty) return { value: null, error: null };
+                if (typeof value === 'number') {
+                    return Number.isFinite(value) ? { value, error: null } : { value, error: labels.invalidNumber };
+                }
+                // Drop thousands separators, and currency symbols for currency columns
+                const cleaned = String(text).replace(type === 'currency' ? /[^\d.-]/g : /[\s,]/g, '');
+                const number = cleaned === '' ? NaN : Number(cleaned);
+                return isNaN(number) ? { value, error: labels.invalidNumber } : { value: number, error: null };
+            }
+            case 'date': {
+                if (empty) return { value: null, error: null };
+                const date = this.parseDateValue(value, this.config.exportOptions.dateFormat);
+                return date ? { value: date, error: null } : { value, error: labels.invalidDate };
+            }
+            default:
+                return { value, error: null };
         }
-        
-        this.originalData = [...data];
-        this.config.data = data;
-        this.applyFilters();
-        this.currentPage = 1;
-        this.selectedRows.clear();
-        this.render();
-        this.emit(EVENTS.DATA_CHANGE, { data });
-        return this;
     }
 
-    addRow(row) {
-        if (!row || typeof row !== 'object') {
-            throw new Error('Row must be an object');
+    /**
+     * Read a date written in the export date format, ISO form or anything Date understands
+     * @param {*} value - Date text, timestamp or Date
+     * @param {string} format - Export date format, deciding whether slashed dates are day-first
+     * @returns {string|null} Date as 'YYYY-MM-DD' (the date editor's format), or null when invalid
+     * @private
+     */
+    parseDateValue(value, format) {
+        const text = String(value).trim();
+        let year;
+        let month;
+        let day;
+
+        let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:$|[T\s])/.exec(text);
+        if (match) {
+            [year, month, day] = [match[1], match[2], match[3]].map(Number);
+        } else if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text))) {
+            // Day-first only when exports write it that way, so exported files read back unchanged
+            [day, month] = format === 'DD/MM/YYYY' ? [match[1], match[2]] : [match[2], match[1]];
+            [year, month, day] = [match[3], month, day].map(Number);
+        } else {
+            const date = typeof value === 'string' ? new Date(text) : new Date(value);
+            if (isNaN(date.getTime())) return null;
+            [year, month, day] = [date.getFullYear(), date.getMonth() + 1, date.getDate()];
         }
-        
-        if (this.config.serverSide) {
-            console.warn('addRow() not supported in server-side mode. Use server API to add data.');
-            return this;
+
+        // Reject dates like 02/31 that Date would roll over
+        const check = new Date(year, month - 1, day);
+        if (check.getMonth() !== month - 1 || check.getDate() !== day) return null;
+
+        return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Apply imported rows to the data
+     * @param {Array<Object>} rows - Valid imported rows
+     * @param {string} mode - 'append', 'replace' or 'upsert'
+     * @returns {{added: number, updated: number}} Row counts
+     * @private
+     */
+    applyImport(rows, mode) {
+        if (mode === 'replace') {
+            this.setData(rows);
+            return { added: rows.length, updated: 0 };
         }
-        
-        this.originalData.push(row);
-        this.config.data.push(row);
+
+        const added = [];
+        const updated = [];
+        rows.forEach(row => {
+            const id = mode === 'upsert' ? this.getRowId(row) : null;
+            const index = id === null || id === undefined || id === '' ? -1 : this.findRowIndex(id);
+
+            if (index === -1) {
+                this.coerceImportRowId(row);
+                // A nested tree row brings its descendants along
+                const newRows = this.config.childrenKey ? this.flattenTree([row]) : [row];
+                newRows.forEach(newRow => {
+                    this.originalData.push(newRow);
+                    this.config.data.push(newRow);
+                });
+                this.assignRowIds(newRows);
+                added.push(row);
+                return;
+            }
+
+            // A matched row keeps its ID as loaded: a file's "2" must not replace the number 2
+            if (typeof this.config.rowId === 'string') {
+                this.setNestedValue(row, this.config.rowId, this.getRowId(this.originalData[index]));
+            }
+            const updatedRow = this.mergeRowData(index, row);
+            updated.push({ row: updatedRow, id: this.getRowId(updatedRow), index });
+        });
+
+        // One render for the whole import; listeners still hear about every row
         this.applyFilters();
         this.render();
-        this.emit(EVENTS.ROW_ADD, { row });
-        return this;
+        added.forEach(row => this.emit(EVENTS.ROW_ADD, { row, id: this.getRowId(row) }));
+        updated.forEach(change => this.emit(EVENTS.ROW_UPDATE, change));
+        return { added: added.length, updated: updated.length };
+    }
+
+    /**
+     * Give an imported row's ID the type of the loaded IDs. An ID without a number column
+     * arrives as text, which would not match numeric IDs by strict comparison later.
+     * @param {Object} row - Imported row
+     * @private
+     */
+    coerceImportRowId(row) {
+        const key = this.config.rowId;
+        if (typeof key !== 'string' || this.originalData.length === 0) return;
+
+        const id = this.getCellValue(row, key);
+        const loaded = this.getRowId(this.originalData[0]);
+        if (typeof loaded === 'number' && typeof id === 'string' && id.trim() !== '' && isFinite(id)) {
+            this.setNestedValue(row, key, Number(id));
+        } else if (typeof loaded === 'string' && typeof id === 'number') {
+            this.setNestedValue(row, key, String(id));
+        }
+    }
+
+    /**
+     * Show the import preview dialog, where headers are mapped to columns and invalid rows are flagged
+     * @param {Object} parsed - Parsed import data
+     * @param {Object} mapping - Initial header -> column key mapping
+     * @param {string} mode - Initial import mode
+     * @returns {Promise<{mapping: Object, mode: string}|null>} Chosen mapping and mode, or null when cancelled
+     * @private
+     */
+    showImportPreview(parsed, mapping, mode) {
+        if (this.importDialog) this.importDialog.close(null);
+
+        return new Promise(resolve => {
+            const labels = this.config.language.import;
+            const choice = { mapping: { ...mapping }, mode };
+
+            // Columns, plus keys such as the row ID that rows keep without a column
+            const targets = this.config.columns.map(col => ({ key: col.key, label: col.title || col.key }));
+            Object.values(mapping).forEach(key => {
+                if (key && !targets.some(target => target.key === key)) targets.push({ key, label: key });
+            });
+            const titleOf = (key) => (targets.find(target => target.key === key) || { label: key }).label;
+
+            const dialog = document.createElement('div');
+            dialog.className = 'qmgrid-import-dialog';
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+            dialog.setAttribute('aria-label', labels.title);
+            dialog.innerHTML = `
+                <div class="import-dialog-content">
+                    <div class="import-dialog-title">${this.escapeHtml(labels.title)}</div>
+                    <div class="import-dialog-body">
+                        <table class="import-mapping">
+                            <thead>
+                                <tr><th>${this.escapeHtml(labels.fileColumn)}</th><th>${this.escapeHtml(labels.gridColumn)}</th></tr>
+                            </thead>
+                            <tbody>
+                                ${parsed.headers.map((header, index) => `
+                                    <tr>
+                                        <td>${this.escapeHtml(header)}</td>
+                                        <td>
+                                            <select class="import-mapping-select" data-index="${index}" aria-label="${this.escapeXml(header)}">
+                                                <option value="">${this.escapeHtml(labels.skip)}</option>
+                                                ${targets.map(target => `
+                                                    <option value="${this.escapeXml(target.key)}">${this.escapeHtml(target.label)}</option>
+                                                `).join('')}
+                                            </select>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                        <label class="import-mode">
+                            ${this.escapeHtml(labels.mode)}
+                            <select class="import-mode-select">
+                                ${['append', 'replace', 'upsert'].map(name => `
+                                    <option value="${name}" ${name === mode ? 'selected' : ''} ${name === 'upsert' && !this.config.rowId ? 'disabled' : ''}>${this.escapeHtml(labels[name])}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <div class="import-summary" role="status" aria-live="polite"></div>
+                        <ul class="import-errors"></ul>
+                        <div class="import-preview"></div>
+                    </div>
+                    <div class="import-dialog-buttons">
+                        <button type="button" class="import-cancel">${this.escapeHtml(labels.cancel)}</button>
+                        <button type="button" class="import-confirm">${this.escapeHtml(labels.confirm)}</button>
+                    </div>
+                </div>
+            `;
+
+            const selects = dialog.querySelectorAll('.import-mapping-select');
+            selects.forEach(select => {
+                select.value = choice.mapping[parsed.headers[select.dataset.index]] || '';
+            });
+
+            const update = () => {
+                const entries = this.convertImportRecords(parsed, choice.mapping);
+                const invalid = entries.filter(entry => entry.errors.length > 0);
+                dialog.querySelector('.import-summary').textContent = labels.summary
+                    .replace('_TOTAL_', entries.length)
+                    .replace('_INVALID_', invalid.length);
+
+                // Errors are listed for rows past the preview too
+                const errors = [];
+                invalid.forEach(entry => errors.push(...entry.errors));
+                dialog.querySelector('.import-errors').innerHTML = errors.slice(0, DEFAULTS.IMPORT_PREVIEW_ROWS).map(error => `
+                    <li>#${error.row} ${this.escapeHtml(titleOf(error.column))}: ${this.escapeHtml(error.message)}</li>
+                `).join('');
+
+                const keys = [...new Set(parsed.headers.map(header => choice.mapping[header]).filter(Boolean))];
+                dialog.querySelector('.import-preview').innerHTML = `
+                    <table class="import-preview-table">
+                        <thead>
+                            <tr><th>#</th>${keys.map(key => `<th>${this.escapeHtml(titleOf(key))}</th>`).join('')}</tr>
+                        </thead>
+                        <tbody>
+                            ${entries.slice(0, DEFAULTS.IMPORT_PREVIEW_ROWS).map((entry, index) => `
+                                <tr class="${entry.errors.length > 0 ? 'invalid' : ''}">
+                                    <td>${index + 1}</td>
+                                    ${keys.map(key => {
+                                        const error = entry.errors.find(item => item.column === key);
+                                        const value = this.getNestedValue(entry.row, key);
+                                        return `<td class="${error ? 'invalid' : ''}" ${error ? `title="${this.escapeXml(error.message)}"` : ''}>${this.escapeHtml(value === null || value === undefined ? '' : String(value))}</td>`;
+                                    }).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+            };
+
+            const returnFocus = document.activeElement;
+            const close = (result) => {
+                dialog.remove();
+                this.importDialog = null;
+                if (returnFocus && returnFocus.isConnected && returnFocus.focus) returnFocus.focus();
+                resolve(result);
+            };
+
+            dialog.addEventListener('change', (e) => {
+                if (e.target.classList.contains('import-mapping-select')) {
+                    choice.mapping[parsed.headers[e.target.dataset.index]] = e.target.value || null;
+                    update();
+                } else if (e.target.classList.contains('import-mode-select')) {
+                    choice.mode = e.target.value;
+                }
+            });
+            dialog.addEventListener('click', (e) => {
+                if (e.target.classList.contains('import-cancel')) {
+                    close(null);
+                } else if (e.target.classList.contains('import-confirm')) {
+                    close(choice);
+                }
+            });
+            // Keys stay inside the dialog rather than moving the grid's focus
+            dialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    close(null);
+                }
+                e.stopPropagation();
+            });
+
+            this.importDialog = { element: dialog, close };
+            this.container.appendChild(dialog);
+            update();
+
+            const first = dialog.querySelector('select, button');
+            if (first) first.focus();
+        });
     }
 
-    removeRow(index) {
-        if (typeof index !== 'number' || index < 0 || index >= this.originalData.length) {
-            console.warn(`Invalid row index: ${index}`);
+    // Export functionality
+    /**
+     * Export table data to various formats. In server-side mode every matching row is fetched
+     * first, so the export finishes asynchronously and the export event fires once it is written.
+     * @param {string} format - Export format ('csv', 'excel', 'pdf', 'print')
+     * @param {Object} options - Export options
+     * @returns {QMGrid} Returns this for method chaining
+     */
+    exportData(format, options = {}) {
+        const exportOptions = { ...this.config.exportOptions, ...options };
+        const name = String(format).toLowerCase();
+
+        if (!EXPORTERS.has(name) && !Object.values(EXPORT_FORMATS).includes(name)) {
+            console.warn(`Unsupported export format: ${format}`);
             return this;
         }
-        
-        if (this.config.serverSide) {
-            console.warn('removeRow() not supported in server-side mode. Use server API to remove data.');
+
+        // Server-side pages hold only part of the rows, so the rest are fetched first
+        if (this.isServerExport(exportOptions)) {
+            this.exportServerData(format, exportOptions);
             return this;
         }
-        
-        const removedRow = this.originalData.splice(index, 1)[0];
-        this.config.data.splice(index, 1);
-        this.selectedRows.delete(index);
-        
-        // Update selected row indices after removal
-        const newSelectedRows = new Set();
-        this.selectedRows.forEach(selectedIndex => {
-            if (selectedIndex > index) {
-                newSelectedRows.add(selectedIndex - 1);
-            } else if (selectedIndex < index) {
-                newSelectedRows.add(selectedIndex);
+
+        this.writeExport(format, this.getExportData(exportOptions), exportOptions);
+        return this;
+    }
+
+    /**
+     * Write data with the exporter for a format and fire the export event
+     * (registered exporters fire it themselves once their file is downloaded)
+     * @param {string} format - Export format
+     * @param {Array} data - Data to export
+     * @param {Object} options - Export options
+     * @private
+     */
+    writeExport(format, data, options) {
+        const exporter = EXPORTERS.get(String(format).toLowerCase());
+
+        if (exporter) {
+            this.exportWithExporter(exporter, format, data, options);
+            return;
+        }
+
+        switch (format.toLowerCase()) {
+            case EXPORT_FORMATS.CSV:
+                this.exportToCSV(data, options);
+                break;
+            case EXPORT_FORMATS.EXCEL:
+                this.exportToExcel(data, options);
+                break;
+            case EXPORT_FORMATS.PDF:
+                this.exportToPDF(data, options);
+                break;
+            case EXPORT_FORMATS.PRINT:
+                this.printTable(data, options);
+                break;
+        }
+
+        this.emit(EVENTS.EXPORT, { format, options, data });
+    }
+
+    /**
+     * Check whether an export has to fetch its rows from the server, because only some of them are loaded
+     * @param {Object} options - Export options
+     * @returns {boolean} True when the export needs every matching row from the server
+     * @private
+     */
+    isServerExport(options) {
+        if (!this.config.serverSide || !this.config.ajax || !this.config.ajax.url) return false;
+        if (options.visibleOnly || (options.selectedOnly && this.selectedRows.size > 0)) return false;
+        return this.filteredData.length < this.totalRecords || this.hasMore;
+    }
+
+    /**
+     * Fetch every row matching the current search, sort and filters, then export them.
+     * Rows come from ajax.exportUrl in one request, or page by page from ajax.url in
+     * options.batchSize rows, with progress shown in the loading overlay. Cancelling fires a
+     * final exportProgress event with cancelled: true; failures are reported through serverError.
+     * @param {string} format - Export format
+     * @param {Object} options - Export options
+     * @returns {Promise<Array|null>} Exported rows, or null when the export failed or was cancelled
+     * @private
+     */
+    async exportServerData(format, options) {
+        if (this.exportRequest) {
+            console.warn('An export is already running; cancel it with cancelExport() first');
+            return null;
+        }
+
+        const controller = new AbortController();
+        this.exportRequest = controller;
+        this.showExportProgress(format);
+
+        let data = [];
+        let total = this.totalRecords;
+
+        try {
+            const target = this.getExportRequestConfig();
+
+            if (target) {
+                const batch = await this.fetchExportRows(target, { ...this.getServerQuery(), format }, controller.signal);
+                data = batch.rows;
+                total = data.length;
+                this.updateExportProgress(format, data.length, total);
+            } else {
+                let batchSize = Math.max(1, parseInt(options.batchSize) || DEFAULTS.EXPORT_BATCH_SIZE);
+                const pages = { url: this.config.ajax.url, method: this.config.ajax.method || 'GET' };
+
+                for (let page = 1; ; page++) {
+                    const params = { page, pageSize: batchSize, ...this.getServerQuery(), format };
+                    const batch = await this.fetchExportRows(pages, params, controller.signal);
+                    const knownTotal = typeof batch.total === 'number';
+                    if (knownTotal) total = batch.total;
+                    data.push(...batch.rows);
+                    this.updateExportProgress(format, data.length, total);
+
+                    if (batch.rows.length === 0) break;
+                    if (knownTotal) {
+                        // Servers often cap the page size below batchSize: a short page is not the end
+                        // while rows remain, and later pages are requested at the size the server returns
+                        if (data.length >= total) break;
+                        if (page === 1 && batch.rows.length < batchSize) batchSize = batch.rows.length;
+                    } else if (batch.rows.length < batchSize) {
+                        // Without a total, a short page is the last one
+                        break;
+                    }
+                }
+            }
+
+            // Nested tree rows are flattened so every node is exported
+            const rows = this.config.childrenKey ? this.flattenTree(data) : data;
+            this.hideExportProgress();
+            this.writeExport(format, rows, options);
+            return rows;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.emit(EVENTS.EXPORT_PROGRESS, { format, loaded: data.length, total, cancelled: true });
+                return null;
             }
-        });
-        this.selectedRows = newSelectedRows;
-        
-        this.applyFilters();
-        this.render();
-        this.emit(EVENTS.ROW_REMOVE, { row: removedRow, index });
-        return this;
-    }
 
-    updateRow(index, newData) {
-        if (typeof index !== 'number' || index < 0 || index >= this.originalData.length) {
-            console.warn(`Invalid row index: ${index}`);
-            return this;
-        }
-        
-        if (!newData || typeof newData !== 'object') {
-            throw new Error('New data must be an object');
-        }
-        
-        if (this.config.serverSide) {
-            console.warn('updateRow() not supported in server-side mode. Use server API to update data.');
-            return this;
+            console.error('Failed to export server data:', error);
+            this.emit(EVENTS.SERVER_ERROR, { error: error.message, page: this.currentPage, export: format });
+            return null;
+        } finally {
+            if (this.exportRequest === controller) {
+                this.exportRequest = null;
+                this.hideExportProgress();
+            }
         }
-        
-        this.originalData[index] = { ...this.originalData[index], ...newData };
-        this.config.data[index] = { ...this.config.data[index], ...newData };
-        this.applyFilters();
-        this.render();
-        this.emit(EVENTS.ROW_UPDATE, { row: this.originalData[index], index });
-        return this;
     }
 
-    sort(column, direction = null) {
-        if (!column || typeof column !== 'string') {
-            console.warn('Sort column must be a non-empty string');
-            return this;
-        }
-        
-        // Validate column exists
-        const columnExists = this.config.columns.some(col => col.key === column);
-        if (!columnExists) {
-            console.warn(`Column '${column}' does not exist`);
-            return this;
-        }
-        
-        if (direction && !['asc', 'desc'].includes(direction)) {
-            console.warn('Sort direction must be "asc" or "desc"');
-            direction = null;
-        }
+    /**
+     * Request one batch of export rows
+     * @param {{url: string, method: string}} target - Request URL and method
+     * @param {Object} params - Request parameters, passed through ajax.data
+     * @param {AbortSignal} signal - Cancels the export
+     * @returns {Promise<{rows: Array, total: number|null}>} Rows and the reported total
+     * @private
+     */
+    async fetchExportRows(target, params, signal) {
+        const requestData = this.config.ajax.data ? this.config.ajax.data(params) : params;
+        const timeout = this.config.ajax.timeout || DEFAULTS.SERVER_TIMEOUT;
 
-        if (this.sortColumn === column && direction === null) {
-            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
-        } else {
-            this.sortColumn = column;
-            this.sortDirection = direction || 'asc';
-        }
+        // Each request gets its own timeout on top of the export's cancel signal
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        signal.addEventListener('abort', abort);
 
-        if (this.config.serverSide) {
-            this.currentPage = 1; // Reset to first page on sort
-            this.loadServerData();
-        } else {
-            this.filteredData.sort((a, b) => {
-                const aVal = this.getCellValue(a, column);
-                const bVal = this.getCellValue(b, column);
-                
-                let result = 0;
-                if (aVal < bVal) result = -1;
-                else if (aVal > bVal) result = 1;
-                
-                return this.sortDirection === 'desc' ? -result : result;
+        try {
+            const method = target.method.toUpperCase();
+            const url = method === 'GET'
+                ? `${target.url}${target.url.includes('?') ? '&' : '?'}${new URLSearchParams(this.flattenObject(requestData))}`
+                : target.url;
+            const response = await fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.config.ajax.headers
+                },
+                body: method === 'GET' ? undefined : JSON.stringify(requestData),
+                signal: controller.signal
             });
-            this.render();
-        }
 
-        this.emit(EVENTS.SORT, { column, direction: this.sortDirection });
-        return this;
-    }
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+            }
 
-    goToPage(page) {
-        if (this.config.serverSide) {
-            const totalPages = Math.ceil(this.totalRecords / this.config.pageSize);
-            if (page >= 1 && page <= totalPages) {
-                this.currentPage = page;
-                this.loadServerData();
-                this.emit(EVENTS.PAGE_CHANGE, { page });
+            const result = await response.json();
+            const error = Array.isArray(result) ? null : this.getNestedValue(result, this.config.serverResponse.error);
+            if (error) {
+                throw new Error(error);
             }
-        } else {
-            const totalPages = Math.ceil(this.filteredData.length / this.config.pageSize);
-            if (page >= 1 && page <= totalPages) {
-                this.currentPage = page;
-                this.render();
-                this.emit(EVENTS.PAGE_CHANGE, { page });
+
+            // Export endpoints may answer with a bare array
+            const rows = Array.isArray(result) ? result : this.getNestedValue(result, this.config.serverResponse.data);
+            if (!Array.isArray(rows)) {
+                throw new Error('Server response data is not an array');
             }
-        }
-        return this;
-    }
 
-    setPageSize(size) {
-        if (typeof size !== 'number' || size < 1) {
-            console.warn('Page size must be a positive number');
-            return this;
-        }
-        
-        this.config.pageSize = size;
-        this.currentPage = 1;
-        
-        if (this.config.serverSide) {
-            this.loadServerData();
-        } else {
-            this.render();
+            const total = Array.isArray(result) ? null : this.getNestedValue(result, this.config.serverResponse.totalRecords);
+            return { rows, total: typeof total === 'number' ? total : null };
+        } catch (error) {
+            if (timedOut) {
+                throw new Error(`Export request timed out after ${timeout}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            signal.removeEventListener('abort', abort);
         }
-        
-        this.emit('pageSizeChange', { pageSize: size });
-        return this;
     }
 
-    selectRow(index, selected) {
-        if (!this.config.multiSelect) {
-            this.selectedRows.clear();
-        }
-        
-        if (selected) {
-            this.selectedRows.add(index);
-        } else {
-            this.selectedRows.delete(index);
-        }
-        
-        this.render();
-        this.emit(EVENTS.ROW_SELECT, { index, selected, selectedRows: Array.from(this.selectedRows) });
-        return this;
+    /**
+     * Resolve the ajax.exportUrl setting into request options
+     * @returns {{url: string, method: string}|null} Export request config, or null when not configured
+     * @private
+     */
+    getExportRequestConfig() {
+        const target = this.config.ajax && this.config.ajax.exportUrl;
+        const method = (this.config.ajax && this.config.ajax.method) || 'GET';
+        if (!target) return null;
+        if (typeof target === 'string') return { url: target, method };
+        return target.url ? { method, ...target } : null;
     }
 
-    selectAll(selected) {
-        if (selected) {
-            this.filteredData.forEach((_, index) => {
-                this.selectedRows.add(index);
-            });
-        } else {
-            this.selectedRows.clear();
-        }
-        
-        this.render();
-        this.emit('selectAll', { selected, selectedRows: Array.from(this.selectedRows) });
-        return this;
-    }
+    /**
+     * Show the loading overlay with export progress and a cancel button
+     * @param {string} format - Export format
+     * @private
+     */
+    showExportProgress(format) {
+        const loadingDiv = this.container.querySelector('.qmgrid-loading');
+        if (!loadingDiv) return;
 
-    getSelectedRows() {
-        return Array.from(this.selectedRows).map(index => this.filteredData[index]).filter(Boolean);
+        const status = document.createElement('div');
+        status.className = 'qmgrid-export-status';
+        status.innerHTML = `
+            <span class="export-progress"></span>
+            <button type="button" class="export-cancel">${this.escapeHtml(this.config.language.cancelExport || 'Cancel')}</button>
+        `;
+        status.querySelector('.export-cancel').addEventListener('click', () => this.cancelExport());
+        loadingDiv.classList.add('exporting');
+        loadingDiv.appendChild(status);
+        this.showLoading();
+        this.updateExportProgress(format, 0, this.totalRecords, false);
     }
 
-    clearSelection() {
-        this.selectedRows.clear();
-        this.render();
-        this.emit('selectionClear');
-        return this;
+    /**
+     * Show how many rows an export has fetched
+     * @param {string} format - Export format
+     * @param {number} loaded - Rows fetched so far
+     * @param {number} total - Rows expected
+     * @param {boolean} [emit=true] - Fire the exportProgress event
+     * @private
+     */
+    updateExportProgress(format, loaded, total, emit = true) {
+        const progress = this.container.querySelector('.qmgrid-export-status .export-progress');
+        if (progress) {
+            progress.textContent = (this.config.language.exporting || '_LOADED_ / _TOTAL_')
+                .replace('_LOADED_', loaded)
+                .replace('_TOTAL_', total);
+        }
+        if (emit) {
+            this.emit(EVENTS.EXPORT_PROGRESS, { format, loaded, total });
+        }
     }
 
-    showLoading() {
+    /**
+     * Remove export progress from the loading overlay
+     * @private
+     */
+    hideExportProgress() {
         const loadingDiv = this.container.querySelector('.qmgrid-loading');
-        const wrapper = this.container.querySelector('.qmgrid-wrapper table');
-        if (loadingDiv) loadingDiv.style.display = 'flex';
-        if (wrapper) wrapper.style.opacity = '0.5';
-        return this;
+        const status = loadingDiv && loadingDiv.querySelector('.qmgrid-export-status');
+        if (!status) return;
+
+        status.remove();
+        loadingDiv.classList.remove('exporting');
+        // A page load still in flight keeps the overlay
+        if (!this.isLoading) this.hideLoading();
     }
 
-    hideLoading() {
-        const loadingDiv = this.container.querySelector('.qmgrid-loading');
-        const wrapper = this.container.querySelector('.qmgrid-wrapper table');
-        if (loadingDiv) loadingDiv.style.display = 'none';
-        if (wrapper) wrapper.style.opacity = '1';
+    /**
+     * Cancel a server-side export that is still fetching rows
+     * @returns {QMGrid} Returns this for method chaining
+     * @public
+     */
+    cancelExport() {
+        if (this.exportRequest) {
+            this.exportRequest.abort();
+            this.exportRequest = null;
+            this.hideExportProgress();
+        }
         return this;
     }
 
     /**
-     * Load data from server
-     * @returns {Promise<void>}
+     * Serialize data with a registered exporter and download the result, then fire the
+     * export event. Serializer failures, including rejected promises, fire exportError instead.
+     * @param {Object} exporter - Registered exporter
+     * @param {string} format - Export format
+     * @param {Array} data - Data to export
+     * @param {Object} options - Export options
      * @private
      */
-    async loadServerData() {
-        if (!this.config.ajax.url) {
-            console.error('Server-side processing enabled but no URL provided');
-            return;
-        }
+    exportWithExporter(exporter, format, data, options) {
+        const download = (content) => {
+            this.downloadFile(content, `${options.filename}.${exporter.extension}`, exporter.mimeType);
+            this.emit(EVENTS.EXPORT, { format, options, data });
+        };
+        const fail = (error) => {
+            console.error(`Export to ${exporter.name} failed:`, error);
+            this.emit(EVENTS.EXPORT_ERROR, { format, options, error: error && error.message ? error.message : String(error) });
+        };
 
-        // Cancel any existing request
-        if (this.currentRequest) {
-            this.currentRequest.abort();
+        let content;
+        try {
+            content = exporter.serialize.call(this, data, this.getExportColumns(options), options);
+        } catch (error) {
+            fail(error);
+            return;
         }
 
-        // Prevent concurrent requests
-        if (this.isLoading) {
-            return;
+        if (content && typeof content.then === 'function') {
+            // The grid may be destroyed before an async serializer finishes
+            content.then(result => {
+                if (this.config) download(result);
+            }, fail);
+        } else {
+            download(content);
         }
+    }
 
-        this.isLoading = true;
-        this.showLoading();
-        this.emit(EVENTS.SERVER_REQUEST_START, { 
-            page: this.currentPage,
-            search: this.searchTerm,
-            sort: this.sortColumn,
-            direction: this.sortDirection
+    /**
+     * Get the formats offered in the export menu
+     * @returns {Array<{name: string, label: string}>} Built-in and registered formats, limited to config.exportFormats
+     * @private
+     */
+    getExportFormats() {
+        const labels = this.config.language.export || {};
+        const formats = Object.values(EXPORT_FORMATS).map(name => ({ name, label: labels[name] || name }));
+        EXPORTERS.forEach((exporter, name) => {
+            const format = { name, label: labels[name] || exporter.label };
+            const builtIn = formats.findIndex(entry => entry.name === name);
+            // A registered exporter that replaces a built-in format keeps its place in the menu
+            if (builtIn === -1) {
+                formats.push(format);
+            } else {
+                formats[builtIn] = format;
+            }
         });
 
-        try {
-            const requestId = ++this.requestId;
-            const params = {
-                page: this.currentPage,
-                pageSize: this.config.pageSize,
-                search: this.searchTerm,
-                sortBy: this.sortColumn,
-                sortDir: this.sortDirection,
-                draw: requestId // Request identifier for tracking
-            };
+        if (!Array.isArray(this.config.exportFormats)) return formats;
+        return this.config.exportFormats
+            .map(name => formats.find(format => format.name === String(name).toLowerCase()))
+            .filter(Boolean);
+    }
 
-            // Allow custom data transformation
-            const requestData = this.config.ajax.data 
-                ? this.config.ajax.data(params) 
-                : params;
+    /**
+     * Get a cell value as exports write it: dates in options.dateFormat, currency as numbers
+     * @param {Object} row - Row data
+     * @param {Object} column - Column configuration
+     * @param {Object} options - Export options
+     * @returns {*} Export value, or null when the cell is empty
+     * @private
+     */
+    getExportValue(row, column, options) {
+        const value = this.getCellValue(row, column.key);
+        if (value === null || value === undefined || value === '') return null;
 
-            // Call beforeSend callback if provided
-            if (this.config.ajax.beforeSend && typeof this.config.ajax.beforeSend === 'function') {
-                const shouldContinue = this.config.ajax.beforeSend(requestData, params);
-                if (shouldContinue === false) {
-                    this.isLoading = false;
-                    this.hideLoading();
-                    return;
-                }
-            }
+        if (column.type === 'date') {
+            return this.formatDateForExport(value, options.dateFormat);
+        }
+        if (column.type === 'currency') {
+            return parseFloat(value) || 0;
+        }
+        return value;
+    }
+
+    /**
+     * Get data for export based on options
+     * @param {Object} options - Export options
+     * @returns {Array} Export data
+     * @private
+     */
+    getExportData(options) {
+        let data;
+        
+        if (options.selectedOnly && this.selectedRows.size > 0) {
+            // Export only selected rows
+            data = this.getSelectedRows();
+        } else if (options.visibleOnly && this.getGroupKeys().length > 0) {
+            // Grouped pages skip rows inside collapsed groups
+            data = this.getGroupedPageItems().filter(item => item.type === 'row').map(item => item.row);
+        } else if (options.visibleOnly) {
+            // Export only currently visible rows (current page)
+            const startIndex = (this.currentPage - 1) * this.config.pageSize;
+            const endIndex = startIndex + this.config.pageSize;
+            data = this.filteredData.slice(startIndex, endIndex);
+        } else {
+            // Export all filtered data
+            data = [...this.filteredData];
+        }
+        
+        return data;
+    }
+
+    /**
+     * Get the columns to export: options.exportColumns when given, otherwise the visible columns
+     * @param {Object} options - Export options
+     * @returns {Array<Object>} Column configurations in export order
+     * @private
+     */
+    getExportColumns(options) {
+        if (Array.isArray(options.exportColumns) && options.exportColumns.length > 0) {
+            return options.exportColumns
+                .map(key => this.config.columns.find(col => col.key === key))
+                .filter(Boolean);
+        }
+        return this.getVisibleColumns();
+    }
+
+    /**
+     * Get export rows, with a section entry before each group when rows are grouped
+     * @param {Array} data - Data to export
+     * @returns {Array<Object>} Entries ({ type: 'row', row } or { type: 'group', level, label })
+     * @private
+     */
+    getExportEntries(data) {
+        const keys = this.getGroupKeys();
+        if (keys.length === 0) {
+            return data.map(row => ({ type: 'row', row }));
+        }
 
-            const controller = new AbortController();
-            this.currentRequest = controller;
+        return this.flattenGroups(this.buildGroupTree(data, keys), false).map(item => {
+            if (item.type === 'row') {
+                return { type: 'row', row: item.row };
+            }
 
-            const requestOptions = {
-                method: this.config.ajax.method,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...this.config.ajax.headers
-                },
-                signal: controller.signal
-            };
+            const node = item.node;
+            const column = this.config.columns.find(col => col.key === node.key) || { title: node.key };
+            const aggregates = this.getGroupAggregates(node).map(aggregate => aggregate.label);
+            const label = `${column.title}: ${this.getGroupValueText(node)} (${node.rows.length})` +
+                (aggregates.length > 0 ? ` - ${aggregates.join(', ')}` : '');
+            return { type: 'group', level: node.level, label };
+        });
+    }
 
-            // Set timeout
-            const timeoutId = setTimeout(() => {
-                controller.abort();
-            }, this.config.ajax.timeout);
+    /**
+     * Compute the footer aggregates for an export. Exports of the selection or the visible page
+     * cover just the exported rows; other exports show the footer as it is on screen.
+     * @param {Object} options - Export options
+     * @param {Array<Object>} columns - Exported columns
+     * @param {Array<Object>} data - Exported rows
+     * @returns {Array<Object>|null} Footer cells as returned by getFooterCells()
+     * @private
+     */
+    getExportFooterCells(options, columns, data) {
+        const partial = options.visibleOnly || (options.selectedOnly && this.selectedRows.size > 0);
+        return this.getFooterCells(columns, partial ? data : null);
+    }
 
-            if (this.config.ajax.method !== 'GET') {
-                requestOptions.body = JSON.stringify(requestData);
-            }
+    /**
+     * Get the footer aggregate row for exports
+     * @param {Object} options - Export options
+     * @param {boolean} raw - Keep numbers unformatted, as data cells are in CSV and Excel
+     * @param {Array<Object>} columns - Exported columns
+     * @param {Array<Object>} data - Exported rows
+     * @returns {Array<string|number>|null} One value per column, or null when there is no footer
+     * @private
+     */
+    getExportFooter(options, raw, columns, data) {
+        const cells = this.getExportFooterCells(options, columns, data);
+        if (!cells) return null;
 
-            const url = this.config.ajax.method === 'GET' 
-                ? `${this.config.ajax.url}?${new URLSearchParams(this.flattenObject(requestData))}`
-                : this.config.ajax.url;
+        return cells.map(cell => {
+            if (cell.type === null || cell.value === null || cell.value === undefined) return '';
 
-            const response = await fetch(url, requestOptions);
-            clearTimeout(timeoutId);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
+            if (raw && typeof cell.value === 'number') {
+                return cell.column.type === 'date'
+                    ? this.formatDateForExport(cell.value, options.dateFormat)
+                    : Math.round(cell.value * 100) / 100;
             }
 
-            const result = await response.json();
+            const label = typeof cell.type === 'string' ? this.config.language.aggregates[cell.type] || cell.type : '';
+            return label ? `${label}: ${cell.text}` : cell.text;
+        });
+    }
 
-            // Validate response draw/request ID if provided
-            const responseDraw = this.getNestedValue(result, this.config.serverResponse.draw);
-            if (responseDraw && responseDraw !== requestId) {
-                console.warn('Response draw ID mismatch, ignoring stale response');
-                return;
-            }
+    /**
+     * Get the on-screen widths of exported columns, so exports keep their proportions
+     * @param {Array<Object>} columns - Exported columns
+     * @returns {Array<number>} Widths in pixels
+     * @private
+     */
+    getExportColumnWidths(columns) {
+        const headerCells = Array.from(this.container.querySelectorAll('.qmgrid-head tr:first-child .qmgrid-header-cell'));
+        return columns.map(column => {
+            const width = this.parseColumnWidth(this.getColumnWidth(column));
+            if (width) return width;
+            // Columns without a pixel width use their rendered width, if they are on screen
+            const th = headerCells.find(cell => cell.dataset.column === column.key);
+            return th && th.offsetWidth > 0 ? th.offsetWidth : DEFAULTS.COLUMN_WIDTH;
+        });
+    }
 
-            // Handle server response structure
-            const data = this.getNestedValue(result, this.config.serverResponse.data);
-            const total = this.getNestedValue(result, this.config.serverResponse.totalRecords);
-            const error = this.getNestedValue(result, this.config.serverResponse.error);
+    /**
+     * Build a colgroup giving PDF and print output the same column proportions as the screen
+     * @param {Array<Object>} columns - Exported columns
+     * @returns {string} Colgroup HTML with percentage widths
+     * @private
+     */
+    getExportColGroup(columns) {
+        const widths = this.getExportColumnWidths(columns);
+        const total = widths.reduce((sum, width) => sum + width, 0);
+        if (!total) return '';
 
-            if (error) {
-                throw new Error(error);
-            }
+        return `<colgroup>${widths.map(width => `<col style="width: ${Math.round(width / total * 10000) / 100}%">`).join('')}</colgroup>`;
+    }
 
-            if (!Array.isArray(data)) {
-                throw new Error('Server response data is not an array');
+    /**
+     * Export to CSV format
+     * @param {Array} data - Data to export
+     * @param {Object} options - Export options
+     * @private
+     */
+    exportToCSV(data, options) {
+        const separator = options.csvSeparator || ',';
+        const columns = this.getExportColumns(options);
+        const headers = columns.map(col => col.title);
+        const escapeValue = (value) => {
+            value = String(value || '');
+            if (value.includes(separator) || value.includes('"') || value.includes('\n')) {
+                value = `"${value.replace(/"/g, '""')}"`;
+            }
+            return value;
+        };
+        const rows = this.getExportEntries(data).map(entry => {
+            // Group sections take the first cell of an otherwise empty row
+            if (entry.type === 'group') {
+                return columns.map((col, index) => (index === 0 ? escapeValue(entry.label) : ''));
             }
 
-            // Update internal state
-            this.originalData = [...data];
-            this.filteredData = [...data];
-            this.totalRecords = typeof total === 'number' ? total : data.length;
-            this.retryCount = 0; // Reset retry count on success
-            
-            // Debug logging for server-side data loading
-            console.log('Server data loaded:', {
-                dataLength: data.length,
-                totalRecords: this.totalRecords,
-                currentPage: this.currentPage,
-                pageSize: this.config.pageSize
-            });
-            
-            this.render();
-            this.emit(EVENTS.SERVER_DATA_LOADED, { 
-                data, 
-                total: this.totalRecords,
-                page: this.currentPage,
-                search: this.searchTerm,
-                sort: this.sortColumn,
-                direction: this.sortDirection
+            return columns.map(col => {
+                let value = this.getCellValue(entry.row, col.key);
+                
+                // Handle different data types
+                if (col.type === 'date' && value) {
+                    value = this.formatDateForExport(value, options.dateFormat);
+                } else if (col.type === 'currency' && value !== null && value !== undefined) {
+                    value = parseFloat(value) || 0;
+                }
+                
+                // Escape CSV values
+                return escapeValue(value);
             });
+        });
+        
+        let csvContent = '';
+        if (options.includeHeaders) {
+            csvContent += headers.join(separator) + '\n';
+        }
+        csvContent += rows.map(row => row.join(separator)).join('\n');
 
-        } catch (error) {
-            if (error.name === 'AbortError') {
-                console.log('Request was cancelled');
-                return;
-            }
+        const footer = this.getExportFooter(options, true, columns, data);
+        if (footer) {
+            csvContent += '\n' + footer.map(escapeValue).join(separator);
+        }
+        
+        this.downloadFile(csvContent, `${options.filename}.csv`, 'text/csv');
+    }
 
-            console.error('Failed to load server data:', error);
-            
-            // Retry logic
-            if (this.retryCount < this.config.ajax.retryAttempts) {
-                this.retryCount++;
-                console.log(`Retrying request (${this.retryCount}/${this.config.ajax.retryAttempts})...`);
-                
-                setTimeout(() => {
-                    this.loadServerData();
-                }, this.config.ajax.retryDelay * this.retryCount);
+    /**
+     * Export to Excel format as an .xlsx workbook
+     * @param {Array} data - Data to export
+     * @param {Object} options - Export options
+     * @private
+     */
+    exportToExcel(data, options) {
+        const columns = this.getExportColumns(options);
+        const rows = [];
+
+        if (options.includeHeaders) {
+            rows.push(columns.map(col => ({ value: col.title, style: XLSX_STYLES.BOLD })));
+        }
+
+        this.getExportEntries(data).forEach(entry => {
+            // Group sections take the first cell, indented by nesting level
+            if (entry.type === 'group') {
+                rows.push([{ value: `${' '.repeat(entry.level * 4)}${entry.label}`, style: XLSX_STYLES.BOLD, group: true }]);
                 return;
             }
 
-            // Call error callback if provided
-            if (this.config.ajax.error && typeof this.config.ajax.error === 'function') {
-                this.config.ajax.error(error, this.currentPage, this.searchTerm);
-            }
+            rows.push(columns.map(col => {
+                const value = this.getCellValue(entry.row, col.key);
+                if (col.type === 'date' && value) {
+                    const serial = this.toExcelDate(value);
+                    return serial === null ? { value } : { value: serial, style: XLSX_STYLES.DATE, text: this.formatDateForExport(value, options.dateFormat) };
+                }
+                if ((col.type === 'number' || col.type === 'currency') && value !== '' && value !== null && value !== undefined && isFinite(value)) {
+                    return { value: Number(value), style: col.type === 'currency' ? XLSX_STYLES.CURRENCY : XLSX_STYLES.DEFAULT };
+                }
+                return { value };
+            }));
+        });
 
-            this.emit(EVENTS.SERVER_ERROR, { 
-                error: error.message,
-                page: this.currentPage,
-                search: this.searchTerm,
-                sort: this.sortColumn,
-                direction: this.sortDirection
+        const footer = this.getExportFooterCells(options, columns, data);
+        if (footer) {
+            rows.push(footer.map(cell => {
+                if (typeof cell.value !== 'number') {
+                    return { value: cell.type ? cell.text : '', style: XLSX_STYLES.BOLD };
+                }
+                if (cell.column.type === 'date' && (cell.type === 'min' || cell.type === 'max')) {
+                    return { value: this.toExcelDate(cell.value), style: XLSX_STYLES.BOLD_DATE };
+                }
+                return {
+                    value: Math.round(cell.value * 100) / 100,
+                    style: cell.column.type === 'currency' ? XLSX_STYLES.BOLD_CURRENCY : XLSX_STYLES.BOLD
+                };
+            }));
+        }
+
+        // Pixel widths carry over from the screen; other columns fit their longest value
+        const widths = columns.map((col, index) => {
+            const pixels = this.parseColumnWidth(this.getColumnWidth(col));
+            if (pixels) return Math.round(pixels / 7);
+            const longest = rows.reduce((max, row) => {
+                const cell = row[index];
+                if (!cell || cell.group) return max;
+                const text = cell.text !== undefined ? cell.text : cell.value;
+                return Math.max(max, String(text === null || text === undefined ? '' : text).length);
+            }, 0);
+            return Math.min(Math.max(longest + 2, 8), 60);
+        });
+
+        const sheets = [{
+            name: this.getExcelSheetName(options.excelSheetName, 'Data'),
+            xml: this.createExcelSheet(rows, widths, Boolean(options.includeHeaders))
+        }];
+
+        if (options.excelMetadata) {
+            const filters = this.getColumnFilters().map(filter => {
+                const column = this.config.columns.find(col => col.key === filter.key);
+                const value = filter.operator === 'range'
+                    ? `${this.hasFilterValue(filter.min) ? filter.min : ''} - ${this.hasFilterValue(filter.max) ? filter.max : ''}`
+                    : `${filter.operator} ${filter.value}`;
+                return `${column ? column.title : filter.key}: ${value}`;
             });
+            const sort = this.sortModel.map(item => {
+                const column = this.config.columns.find(col => col.key === item.key);
+                return `${column ? column.title : item.key} ${item.dir}`;
+            });
+            const metadata = [
+                ['Export', options.filename],
+                ['Exported at', { value: this.toExcelDate(new Date()), style: XLSX_STYLES.DATE_TIME }],
+                ['Rows', data.length],
+                ['Scope', options.selectedOnly && this.selectedRows.size > 0 ? 'Selected rows' : options.visibleOnly ? 'Current page' : 'All matching rows'],
+                ['Columns', columns.map(col => col.title).join(', ')],
+                ['Search', this.searchTerm],
+                ['Sort', sort.join(', ')],
+                ['Filters', filters.join('; ')]
+            ].map(([label, value]) => [
+                { value: label, style: XLSX_STYLES.BOLD },
+                value !== null && typeof value === 'object' ? value : { value }
+            ]);
 
-        } finally {
-            this.isLoading = false;
-            this.hideLoading();
-            this.currentRequest = null;
-            
-            // Call complete callback if provided
-            if (this.config.ajax.complete && typeof this.config.ajax.complete === 'function') {
-                this.config.ajax.complete();
-            }
-            
-            this.emit(EVENTS.SERVER_REQUEST_END, {
-                page: this.currentPage,
-                search: this.searchTerm,
-                sort: this.sortColumn,
-                direction: this.sortDirection
+            sheets.push({
+                name: this.getExcelSheetName('Export Info', 'Export Info'),
+                xml: this.createExcelSheet(metadata, [16, 60], false)
             });
         }
-    }
 
-    /**
-     * Helper method to get nested values from server response
-     * @param {Object} obj - Object to search in
-     * @param {string} path - Dot-separated path to value
-     * @returns {*} Value at path or null
-     * @private
-     */
-    getNestedValue(obj, path) {
-        if (!path || !obj) return obj;
-        return path.split('.').reduce((current, key) => {
-            return current && current[key] !== undefined ? current[key] : null;
-        }, obj);
+        const dateFormat = this.getExcelDateFormat(options.dateFormat);
+        const sheetEntries = sheets.map((sheet, index) =>
+            `<sheet name="${this.escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('');
+        const filterName = options.includeHeaders && rows.length > 0
+            ? `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${this.escapeXml(sheets[0].name.replace(/'/g, "''"))}'!$A$1:$${this.getExcelColumnName(columns.length - 1)}$${rows.length}</definedName></definedNames>`
+            : '';
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    `<sheets>${sheetEntries}</sheets>${filterName}</workbook>`
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                    `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                // Style indexes follow XLSX_STYLES; dates without a known format use Excel's short date (14)
+                name: 'xl/styles.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                    `<numFmts count="2"><numFmt numFmtId="164" formatCode="${this.escapeXml(dateFormat || 'yyyy-mm-dd')}"/>` +
+                    `<numFmt numFmtId="165" formatCode="${this.escapeXml(`${dateFormat || 'yyyy-mm-dd'} hh:mm`)}"/></numFmts>` +
+                    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="7">' +
+                    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+                    `<xf numFmtId="${dateFormat ? 164 : 14}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+                    '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                    '<xf numFmtId="4" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+                    '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                    `<xf numFmtId="${dateFormat ? 164 : 14}" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>` +
+                    '</cellXfs>' +
+                    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                    '</styleSheet>'
+            },
+            ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: sheet.xml }))
+        ];
+
+        this.downloadFile(this.createZip(files), `${options.filename}.xlsx`,
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     }
 
     /**
-     * Helper method to flatten nested objects for URL parameters
-     * @param {Object} obj - Object to flatten
-     * @param {string} prefix - Prefix for keys
-     * @returns {Object} Flattened object
+     * Build a worksheet. Cells are { value, style }: numbers and booleans keep their
+     * type, everything else is written as text and empty values are skipped.
+     * @param {Array<Array<Object>>} rows - Rows of cells
+     * @param {Array<number>} widths - Column widths in characters
+     * @param {boolean} header - Freeze the first row and put an autofilter on it
+     * @returns {string} Worksheet XML
      * @private
      */
-    flattenObject(obj, prefix = '') {
-        const flattened = {};
-        
-        for (const key in obj) {
-            if (obj.hasOwnProperty(key)) {
-                const value = obj[key];
-                const newKey = prefix ? `${prefix}.${key}` : key;
-                
-                if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
-                    Object.assign(flattened, this.flattenObject(value, newKey));
-                } else {
-                    flattened[newKey] = value;
+    createExcelSheet(rows, widths, header) {
+        const lastColumn = this.getExcelColumnName(Math.max(widths.length, 1) - 1);
+        const sheetView = header
+            ? '<sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft"/></sheetView>'
+            : '<sheetView workbookViewId="0"/>';
+        const cols = widths.map((width, index) =>
+            `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('');
+
+        const sheetData = rows.map((row, rowIndex) => {
+            const cells = row.map((cell, colIndex) => {
+                const { value, style = XLSX_STYLES.DEFAULT } = cell;
+                const ref = `${this.getExcelColumnName(colIndex)}${rowIndex + 1}`;
+                const styleAttr = style ? ` s="${style}"` : '';
+
+                if (value === null || value === undefined || value === '') {
+                    return style ? `<c r="${ref}"${styleAttr}/>` : '';
                 }
-            }
-        }
-        
-        return flattened;
-    }
+                if (typeof value === 'number' && isFinite(value)) {
+                    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+                }
+                if (typeof value === 'boolean') {
+                    return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+                }
+                return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(String(value))}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
 
-    /**
-     * Refresh server data (reload current page with current filters)
-     * @returns {Promise<QMGrid>} Returns this for method chaining
-     */
-    async refresh() {
-        if (this.config.serverSide) {
-            await this.loadServerData();
-        } else {
-            this.applyFilters();
-            this.render();
-        }
-        return this;
+        const autoFilter = header && rows.length > 0 ? `<autoFilter ref="A1:${lastColumn}${rows.length}"/>` : '';
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetViews>${sheetView}</sheetViews>` +
+            (cols ? `<cols>${cols}</cols>` : '') +
+            `<sheetData>${sheetData}</sheetData>${autoFilter}</worksheet>`;
     }
 
-    // Export functionality
     /**
-     * Export table data to various formats
-     * @param {string} format - Export format ('csv', 'excel', 'pdf', 'print')
-     * @param {Object} options - Export options
-     * @returns {QMGrid} Returns this for method chaining
+     * Convert a date to an Excel serial date (days since 1899-12-30, in local time)
+     * @param {*} value - Date, timestamp or date string
+     * @returns {number|null} Serial date, or null when the value is not a date
+     * @private
      */
-    exportData(format, options = {}) {
-        const exportOptions = { ...this.config.exportOptions, ...options };
-        const data = this.getExportData(exportOptions);
-        
-        switch (format.toLowerCase()) {
-            case EXPORT_FORMATS.CSV:
-                this.exportToCSV(data, exportOptions);
-                break;
-            case EXPORT_FORMATS.EXCEL:
-                this.exportToExcel(data, exportOptions);
-                break;
-            case EXPORT_FORMATS.PDF:
-                this.exportToPDF(data, exportOptions);
-                break;
-            case EXPORT_FORMATS.PRINT:
-                this.printTable(data, exportOptions);
-                break;
-            default:
-                console.warn(`Unsupported export format: ${format}`);
-                return this;
+    toExcelDate(value) {
+        // Date-only strings are parsed as UTC midnight, which is the previous day west of UTC
+        const dateOnly = typeof value === 'string' && value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (dateOnly) {
+            const day = Date.UTC(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+            // Date.UTC rolls days like '2024-02-30' over into the next month
+            if (new Date(day).getUTCDate() !== Number(dateOnly[3])) return null;
+            return day / 86400000 + 25569;
         }
-        
-        this.emit(EVENTS.EXPORT, { format, options: exportOptions, data });
-        return this;
+
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return null;
+
+        const local = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds());
+        return local / 86400000 + 25569;
     }
 
     /**
-     * Get data for export based on options
-     * @param {Object} options - Export options
-     * @returns {Array} Export data
+     * Turn an exportOptions.dateFormat pattern into an Excel number format
+     * @param {string} format - Date format such as 'YYYY-MM-DD' or 'DD/MM/YYYY'
+     * @returns {string|null} Excel format code, or null when the format is not a pattern
      * @private
      */
-    getExportData(options) {
-        let data;
-        
-        if (options.selectedOnly && this.selectedRows.size > 0) {
-            // Export only selected rows
-            data = Array.from(this.selectedRows).map(index => this.filteredData[index]).filter(Boolean);
-        } else if (options.visibleOnly) {
-            // Export only currently visible rows (current page)
-            const startIndex = (this.currentPage - 1) * this.config.pageSize;
-            const endIndex = startIndex + this.config.pageSize;
-            data = this.filteredData.slice(startIndex, endIndex);
-        } else {
-            // Export all filtered data
-            data = [...this.filteredData];
-        }
-        
-        return data;
+    getExcelDateFormat(format) {
+        if (typeof format !== 'string' || !/YY|MM|DD/.test(format)) return null;
+        return format.replace(/Y/g, 'y').replace(/M/g, 'm').replace(/D/g, 'd');
     }
 
     /**
-     * Export to CSV format
-     * @param {Array} data - Data to export
-     * @param {Object} options - Export options
+     * Get the column letters for a zero-based column index
+     * @param {number} index - Column index
+     * @returns {string} Column name such as 'A' or 'AB'
      * @private
      */
-    exportToCSV(data, options) {
-        const separator = options.csvSeparator || ',';
-        const headers = this.config.columns.map(col => col.title);
-        const rows = data.map(row => 
-            this.config.columns.map(col => {
-                let value = this.getCellValue(row, col.key);
-                
-                // Handle different data types
-                if (col.type === 'date' && value) {
-                    value = this.formatDateForExport(value, options.dateFormat);
-                } else if (col.type === 'currency' && value !== null && value !== undefined) {
-                    value = parseFloat(value) || 0;
-                }
-                
-                // Escape CSV values
-                value = String(value || '');
-                if (value.includes(separator) || value.includes('"') || value.includes('\n')) {
-                    value = `"${value.replace(/"/g, '""')}"`;
-                }
-                
-                return value;
-            })
-        );
-        
-        let csvContent = '';
-        if (options.includeHeaders) {
-            csvContent += headers.join(separator) + '\n';
+    getExcelColumnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
         }
-        csvContent += rows.map(row => row.join(separator)).join('\n');
-        
-        this.downloadFile(csvContent, `${options.filename}.csv`, 'text/csv');
+        return name;
+    }
+
+    /**
+     * Make a worksheet name Excel accepts
+     * @param {string} name - Requested name
+     * @param {string} fallback - Name used when nothing usable is left
+     * @returns {string} Name of at most 31 characters without []:*?/\
+     * @private
+     */
+    getExcelSheetName(name, fallback) {
+        const clean = String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31);
+        return clean || fallback;
+    }
+
+    /**
+     * Build a zip archive. Entries are stored uncompressed, which every
+     * spreadsheet application reads and keeps the writer small.
+     * @param {Array<{name: string, content: string|Uint8Array}>} files - Archive entries
+     * @returns {Uint8Array} Zip file bytes
+     * @private
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const crcTable = Array.from({ length: 256 }, (_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            return c >>> 0;
+        });
+        const crc32 = (bytes) => {
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        };
+
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            parts.push(new Uint8Array(local.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        parts.push(...central, new Uint8Array(end.buffer));
+
+        const zip = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
     }
 
     /**
-     * Export to Excel format (using HTML table method)
+     * Export to PDF format, written directly with the standard Helvetica fonts
      * @param {Array} data - Data to export
      * @param {Object} options - Export options
      * @private
      */
-    exportToExcel(data, options) {
-        const headers = this.config.columns.map(col => col.title);
-        const rows = data.map(row => 
-            this.config.columns.map(col => {
-                let value = this.getCellValue(row, col.key);
-                
+    exportToPDF(data, options) {
+        const columns = this.getExportColumns(options);
+        const [pageWidth, pageHeight] = this.getPdfPageSize(options);
+        const title = options.title ? String(options.title) : options.filename;
+        const margin = 36;
+        const fontSize = 9;
+        const lineHeight = fontSize * 1.25;
+        const padding = 4;
+        const tableWidth = pageWidth - margin * 2;
+        // Distances from the top of the page: the title sits above the table, page numbers below it
+        const tableTop = margin + 28;
+        const tableBottom = pageHeight - margin - 18;
+
+        const screenWidths = this.getExportColumnWidths(columns);
+        const totalWidth = screenWidths.reduce((sum, width) => sum + width, 0) || 1;
+        const widths = screenWidths.map(width => width / totalWidth * tableWidth);
+        const numeric = columns.map(col => col.type === 'number' || col.type === 'currency');
+
+        // Rows taller than a page are cut short so every row fits on one
+        const headerHeight = options.includeHeaders
+            ? Math.max(...columns.map((col, index) =>
+                this.wrapPdfText(col.title, widths[index] - padding * 2, fontSize, true).length)) * lineHeight + padding * 2
+            : 0;
+        const maxLines = Math.max(1, Math.floor((tableBottom - tableTop - headerHeight - padding * 2) / lineHeight));
+        const layoutCell = (text, width, bold) => {
+            const lines = this.wrapPdfText(text, width - padding * 2, fontSize, bold);
+            if (lines.length <= maxLines) return lines;
+            return [...lines.slice(0, maxLines - 1), `${lines[maxLines - 1]}...`];
+        };
+        const layoutRow = (texts, style) => {
+            const cells = texts.map((text, index) => layoutCell(text, widths[index], style.bold));
+            return { cells, height: Math.max(...cells.map(lines => lines.length)) * lineHeight + padding * 2, ...style };
+        };
+
+        const header = options.includeHeaders
+            ? layoutRow(columns.map(col => col.title), { bold: true, fill: 0.949 })
+            : null;
+
+        let stripe = 0;
+        const rows = this.getExportEntries(data).map(entry => {
+            // Group sections span the full width, indented by nesting level
+            if (entry.type === 'group') {
+                const lines = layoutCell(`${' '.repeat(entry.level * 4)}${entry.label}`, tableWidth, true);
+                return { cells: [lines], span: true, bold: true, fill: 0.914, height: lines.length * lineHeight + padding * 2 };
+            }
+
+            const texts = columns.map(col => {
+                let value = this.getCellValue(entry.row, col.key);
+
                 if (col.type === 'date' && value) {
                     value = this.formatDateForExport(value, options.dateFormat);
                 } else if (col.type === 'currency' && value !== null && value !== undefined) {
                     value = parseFloat(value) || 0;
                 }
-                
-                return value || '';
-            })
-        );
-        
-        let excelContent = `
-            <html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:x="urn:schemas-microsoft-com:office:excel" xmlns="http://www.w3.org/TR/REC-html40">
-            <head>
-                <meta charset="utf-8">
-                <meta name="ProgId" content="Excel.Sheet">
-                <meta name="Generator" content="QMGrid">
-                <!--[if gte mso 9]>
-                <xml>
-                    <x:ExcelWorkbook>
-                        <x:ExcelWorksheets>
-                            <x:ExcelWorksheet>
-                                <x:Name>${options.excelSheetName}</x:Name>
-                                <x:WorksheetOptions>
-                                    <x:DisplayGridlines/>
-                                </x:WorksheetOptions>
-                            </x:ExcelWorksheet>
-                        </x:ExcelWorksheets>
-                    </x:ExcelWorkbook>
-                </xml>
-                <![endif]-->
-                <style>
-                    table { border-collapse: collapse; width: 100%; }
-                    th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-                    th { background-color: #f2f2f2; font-weight: bold; }
-                </style>
-            </head>
-            <body>
-                <table>`;
-        
-        if (options.includeHeaders) {
-            excelContent += '<thead><tr>';
-            headers.forEach(header => {
-                excelContent += `<th>${this.escapeHtml(header)}</th>`;
+
+                return value === null || value === undefined ? '' : String(value);
             });
-            excelContent += '</tr></thead>';
+            return layoutRow(texts, { bold: false, fill: stripe++ % 2 === 1 ? 0.976 : null });
+        });
+
+        const footer = this.getExportFooter(options, false, columns, data);
+        if (footer) {
+            rows.push(layoutRow(footer.map(cell => String(cell)), { bold: true, fill: 0.949 }));
         }
-        
-        excelContent += '<tbody>';
+
+        // Break rows into pages, repeating the header row at the top of each
+        const pages = [];
+        let page = null;
+        let y = 0;
+        const startPage = () => {
+            page = [];
+            pages.push(page);
+            y = tableTop;
+            if (header) {
+                page.push({ row: header, y });
+                y += header.height;
+            }
+        };
+        startPage();
         rows.forEach(row => {
-            excelContent += '<tr>';
-            row.forEach(cell => {
-                excelContent += `<td>${this.escapeHtml(String(cell))}</td>`;
+            if (y + row.height > tableBottom && page.length > (header ? 1 : 0)) startPage();
+            page.push({ row, y });
+            y += row.height;
+        });
+
+        const now = new Date();
+        const generated = `${this.formatDateForExport(now, options.dateFormat)} ` +
+            `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+        const text = (value, x, top, size, bold) =>
+            `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${(pageHeight - top).toFixed(2)} Td (${this.encodePdfText(value)}) Tj ET`;
+        const rect = (x, top, width, height) =>
+            `${x.toFixed(2)} ${(pageHeight - top - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re`;
+
+        const streams = pages.map((items, pageIndex) => {
+            const ops = ['0 g', text(title, margin, margin + 14, 14, true)];
+
+            items.forEach(({ row, y: top }) => {
+                if (row.fill !== null) {
+                    ops.push(`${row.fill} g`, `${rect(margin, top, tableWidth, row.height)} f`, '0 g');
+                }
+
+                let x = margin;
+                row.cells.forEach((lines, index) => {
+                    const width = row.span ? tableWidth : widths[index];
+                    ops.push(`0.867 G 0.5 w ${rect(x, top, width, row.height)} S`);
+                    lines.forEach((line, lineIndex) => {
+                        const baseline = top + padding + fontSize - 1 + lineIndex * lineHeight;
+                        const offset = !row.span && numeric[index] && row !== header
+                            ? width - padding - this.getPdfTextWidth(line, fontSize, row.bold)
+                            : padding;
+                        if (line) ops.push(text(line, x + offset, baseline, fontSize, row.bold));
+                    });
+                    x += width;
+                });
             });
-            excelContent += '</tr>';
+
+            const pageLabel = `Page ${pageIndex + 1} of ${pages.length}`;
+            ops.push(
+                text(`Generated ${generated}`, margin, pageHeight - margin, 8, false),
+                text(pageLabel, pageWidth - margin - this.getPdfTextWidth(pageLabel, 8, false), pageHeight - margin, 8, false)
+            );
+            return ops.join('\n');
         });
-        excelContent += '</tbody></table></body></html>';
-        
-        this.downloadFile(excelContent, `${options.filename}.xls`, 'application/vnd.ms-excel');
+
+        this.downloadFile(this.createPdf(streams, pageWidth, pageHeight, title), `${options.filename}.pdf`, 'application/pdf');
     }
 
     /**
-     * Export to PDF format (using HTML and print styles)
-     * @param {Array} data - Data to export
+     * Get the PDF page size in points from pdfPageSize and pdfOrientation
      * @param {Object} options - Export options
+     * @returns {Array<number>} Page width and height
      * @private
      */
-    exportToPDF(data, options) {
-        const headers = this.config.columns.map(col => col.title);
-        const rows = data.map(row => 
-            this.config.columns.map(col => {
-                let value = this.getCellValue(row, col.key);
-                
-                if (col.type === 'date' && value) {
-                    value = this.formatDateForExport(value, options.dateFormat);
-                } else if (col.type === 'currency' && value !== null && value !== undefined) {
-                    value = parseFloat(value) || 0;
+    getPdfPageSize(options) {
+        const name = String(options.pdfPageSize || 'A4').toUpperCase();
+        let size = PDF_PAGE_SIZES[name];
+        if (!size) {
+            console.warn(`Unknown PDF page size: ${options.pdfPageSize}, using A4`);
+            size = PDF_PAGE_SIZES.A4;
+        }
+
+        const [short, long] = size;
+        return options.pdfOrientation === 'landscape' ? [long, short] : [short, long];
+    }
+
+    /**
+     * Measure text set in Helvetica
+     * @param {string} text - Text to measure
+     * @param {number} size - Font size in points
+     * @param {boolean} bold - Measure Helvetica-Bold
+     * @returns {number} Width in points
+     * @private
+     */
+    getPdfTextWidth(text, size, bold) {
+        const widths = bold ? PDF_FONT_WIDTHS.bold : PDF_FONT_WIDTHS.regular;
+        let width = 0;
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            width += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return width * size / 1000;
+    }
+
+    /**
+     * Wrap text into lines that fit a width, breaking words that are too long on their own
+     * @param {string} text - Text to wrap
+     * @param {number} maxWidth - Line width in points
+     * @param {number} size - Font size in points
+     * @param {boolean} bold - Wrap for Helvetica-Bold
+     * @returns {Array<string>} Lines, at least one
+     * @private
+     */
+    wrapPdfText(text, maxWidth, size, bold) {
+        const lines = [];
+        String(text).split(/\r?\n/).forEach(paragraph => {
+            let line = '';
+            paragraph.split(' ').forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.getPdfTextWidth(candidate, size, bold) <= maxWidth) {
+                    line = candidate;
+                    return;
                 }
-                
-                return this.escapeHtml(String(value || ''));
-            })
-        );
-        
-        const pdfWindow = window.open('', '_blank');
-        let pdfContent = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="utf-8">
-                <title>${options.filename}</title>
-                <style>
-                    @page {
-                        size: ${options.pdfPageSize} ${options.pdfOrientation};
-                        margin: 1cm;
-                    }
-                    body {
-                        font-family: Arial, sans-serif;
-                        font-size: 12px;
-                        margin: 0;
-                        padding: 0;
-                    }
-                    h1 {
-                        text-align: center;
-                        margin-bottom: 20px;
-                        font-size: 18px;
-                    }
-                    table {
-                        width: 100%;
-                        border-collapse: collapse;
-                        margin: 0 auto;
-                    }
-                    th, td {
-                        border: 1px solid #ddd;
-                        padding: 8px;
-                        text-align: left;
-                        word-wrap: break-word;
-                    }
-                    th {
-                        background-color: #f2f2f2;
-                        font-weight: bold;
-                    }
-                    tr:nth-child(even) {
-                        background-color: #f9f9f9;
-                    }
-                    @media print {
-                        body { print-color-adjust: exact; }
-                        table { page-break-inside: auto; }
-                        tr { page-break-inside: avoid; page-break-after: auto; }
-                        th { page-break-after: avoid; }
+                if (line) lines.push(line);
+
+                line = '';
+                for (const char of word) {
+                    if (line && this.getPdfTextWidth(line + char, size, bold) > maxWidth) {
+                        lines.push(line);
+                        line = '';
                     }
-                </style>
-            </head>
-            <body>
-                <h1>${options.filename}</h1>
-                <table>`;
-        
-        if (options.includeHeaders) {
-            pdfContent += '<thead><tr>';
-            headers.forEach(header => {
-                pdfContent += `<th>${header}</th>`;
+                    line += char;
+                }
             });
-            pdfContent += '</tr></thead>';
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    /**
+     * Encode text for a PDF string in WinAnsiEncoding, escaping delimiters
+     * @param {string} text - Text to encode
+     * @returns {string} String body with one character per byte
+     * @private
+     */
+    encodePdfText(text) {
+        const special = {
+            '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92,
+            '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+        };
+        let encoded = '';
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            if (special[char]) {
+                encoded += String.fromCharCode(special[char]);
+            } else if (char === '\\' || char === '(' || char === ')') {
+                encoded += `\\${char}`;
+            } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+                encoded += char;
+            } else {
+                // Characters the standard fonts cannot show
+                encoded += code === 9 ? ' ' : '?';
+            }
         }
-        
-        pdfContent += '<tbody>';
-        rows.forEach(row => {
-            pdfContent += '<tr>';
-            row.forEach(cell => {
-                pdfContent += `<td>${cell}</td>`;
-            });
-            pdfContent += '</tr>';
+        return encoded;
+    }
+
+    /**
+     * Assemble a PDF file from page content streams
+     * @param {Array<string>} streams - Content stream for each page
+     * @param {number} width - Page width in points
+     * @param {number} height - Page height in points
+     * @param {string} title - Document title
+     * @returns {Uint8Array} PDF file bytes
+     * @private
+     */
+    createPdf(streams, width, height, title) {
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            null, // Page tree, once the pages are numbered
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+        ];
+        const kids = [];
+
+        streams.forEach(stream => {
+            objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objects.length} 0 R >>`);
+            kids.push(`${objects.length} 0 R`);
         });
-        pdfContent += `
-                </tbody>
-                </table>
-                <script>
-                    window.onload = function() {
-                        window.print();
-                        setTimeout(() => window.close(), 1000);
-                    };
-                </script>
-            </body>
-            </html>`;
-        
-        pdfWindow.document.write(pdfContent);
-        pdfWindow.document.close();
+        objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        const created = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}` +
+            `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+        objects.push(`<< /Title (${this.encodePdfText(title)}) /Producer (QMGrid) /CreationDate (D:${created}) >>`);
+
+        // Every character stands for one byte, so string lengths are byte offsets
+        let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+        const offsets = objects.map((object, index) => {
+            const offset = pdf.length;
+            pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Uint8Array.from(pdf, char => char.charCodeAt(0));
     }
 
     /**
@@ -1717,9 +8940,10 @@ class QMGrid {
      * @private
      */
     printTable(data, options) {
-        const headers = this.config.columns.map(col => col.title);
+        const columns = this.getExportColumns(options);
+        const headers = columns.map(col => col.title);
         const rows = data.map(row => 
-            this.config.columns.map(col => {
+            columns.map(col => {
                 let value = this.getCellValue(row, col.key);
                 
                 if (col.type === 'date' && value) {
@@ -1752,6 +8976,7 @@ class QMGrid {
                     }
                     table {
                         width: 100%;
+                        table-layout: fixed;
                         border-collapse: collapse;
                         margin: 0 auto;
                     }
@@ -1759,8 +8984,9 @@ class QMGrid {
                         border: 1px solid #ddd;
                         padding: 8px;
                         text-align: left;
+                        word-wrap: break-word;
                     }
-                    th {
+                    th, tfoot td {
                         background-color: #f2f2f2;
                         font-weight: bold;
                     }
@@ -1778,6 +9004,7 @@ class QMGrid {
             <body>
                 <h1>${options.filename}</h1>
                 <table>`;
+        printContent += this.getExportColGroup(columns);
         
         if (options.includeHeaders) {
             printContent += '<thead><tr>';
@@ -1795,8 +9022,17 @@ class QMGrid {
             });
             printContent += '</tr>';
         });
+        printContent += '</tbody>';
+
+        const footer = this.getExportFooter(options, false, columns, data);
+        if (footer) {
+            printContent += '<tfoot><tr>';
+            footer.forEach(cell => {
+                printContent += `<td>${this.escapeHtml(String(cell))}</td>`;
+            });
+            printContent += '</tr></tfoot>';
+        }
         printContent += `
-                </tbody>
                 </table>
                 <script>
                     window.onload = function() {
@@ -1861,6 +9097,22 @@ class QMGrid {
         }
     }
 
+    /**
+     * Escape text for XML content and attributes, dropping characters XML cannot hold
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     * @private
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
     /**
      * Escape HTML characters
      * @param {string} text - Text to escape
@@ -1870,7 +9122,8 @@ class QMGrid {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, since the result also goes into attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     // Event system
@@ -1886,6 +9139,12 @@ class QMGrid {
     }
 
     emit(event, data) {
+        if (this.config && this.config.stateSave && STATE_EVENTS.includes(event)) {
+            this.saveState();
+        }
+        if (this.config && this.urlSync && URL_EVENTS.includes(event)) {
+            this.writeUrlState();
+        }
         if (!this.events || !this.events[event]) return;
         this.events[event].forEach(callback => callback(data));
     }
@@ -1896,11 +9155,36 @@ class QMGrid {
             this.currentRequest.abort();
             this.currentRequest = null;
         }
+        this.cancelExport();
         
         if (this.searchTimeout) {
             clearTimeout(this.searchTimeout);
             this.searchTimeout = null;
         }
+
+        if (this.filterTimeout) {
+            clearTimeout(this.filterTimeout);
+            this.filterTimeout = null;
+        }
+
+        if (this.announceTimeout) {
+            clearTimeout(this.announceTimeout);
+            this.announceTimeout = null;
+        }
+
+        if (this.virtualFrame) {
+            window.cancelAnimationFrame(this.virtualFrame);
+            this.virtualFrame = null;
+        }
+
+        if (this.infiniteObserver) {
+            this.infiniteObserver.disconnect();
+            this.infiniteObserver = null;
+        }
+
+        if (this.importDialog) {
+            this.importDialog.close(null);
+        }
         
         this.eventListeners.forEach(({ element, event, handler }) => {
             if (element && element.removeEventListener) {
@@ -1911,7 +9195,23 @@ class QMGrid {
         
         this.originalData = [];
         this.filteredData = [];
+        this.sortModel = [];
+        this.activeEditor = null;
+        this.virtualRows = null;
+        this.rowHeights.clear();
         this.selectedRows.clear();
+        this.cellRange = null;
+        this.rangeDrag = null;
+        this.columnFilters.clear();
+        this.collapsedGroups.clear();
+        this.expandedRows.clear();
+        this.detailCache.clear();
+        this.expandedNodes.clear();
+        this.searchExpandedNodes.clear();
+        this.treeParents = null;
+        this.treeLoading.clear();
+        this.treeLoaded.clear();
+        this.serverAggregates = null;
         this.events = {};
         this.isLoading = false;
         this.totalRecords = 0;
@@ -1927,6 +9227,80 @@ class QMGrid {
     }
 }
 
+// Built-in data interchange exporters
+QMGrid.registerExporter('json', {
+    label: 'Export JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+    serialize(rows, columns, options) {
+        const records = options.jsonRaw ? rows : rows.map(row => Object.fromEntries(
+            columns.map(column => [column.key, this.getExportValue(row, column, options)])));
+        return JSON.stringify(records, null, 2);
+    }
+});
+
+QMGrid.registerExporter('ndjson', {
+    label: 'Export NDJSON',
+    extension: 'ndjson',
+    mimeType: 'application/x-ndjson',
+    serialize(rows, columns, options) {
+        return rows.map(row => JSON.stringify(options.jsonRaw ? row : Object.fromEntries(
+            columns.map(column => [column.key, this.getExportValue(row, column, options)])))).join('\n') + '\n';
+    }
+});
+
+QMGrid.registerExporter('xml', {
+    label: 'Export XML',
+    extension: 'xml',
+    mimeType: 'application/xml',
+    serialize(rows, columns, options) {
+        // Column keys become element names, with characters XML names cannot hold replaced;
+        // keys that end up with the same name ('a b' and 'a_b') are numbered
+        const used = new Set();
+        const tags = columns.map(column => {
+            let tag = String(column.key).replace(/[^A-Za-z0-9_.-]/g, '_');
+            if (!/^[A-Za-z_]/.test(tag) || /^xml/i.test(tag)) tag = `_${tag}`;
+            let unique = tag;
+            for (let n = 2; used.has(unique); n++) unique = `${tag}_${n}`;
+            used.add(unique);
+            return unique;
+        });
+        const records = rows.map(row => {
+            const fields = columns.map((column, index) => {
+                const value = this.getExportValue(row, column, options);
+                if (value === null) return `    <${tags[index]}/>`;
+                // Objects and arrays are written as JSON rather than '[object Object]'
+                const text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value;
+                return `    <${tags[index]}>${this.escapeXml(text)}</${tags[index]}>`;
+            });
+            return `  <row>\n${fields.join('\n')}\n  </row>`;
+        });
+        return `<?xml version="1.0" encoding="UTF-8"?>\n<rows>\n${records.join('\n')}${records.length ? '\n' : ''}</rows>\n`;
+    }
+});
+
+QMGrid.registerExporter('markdown', {
+    label: 'Export Markdown',
+    extension: 'md',
+    mimeType: 'text/markdown',
+    serialize(rows, columns, options) {
+        const cell = value => String(value === null || value === undefined ? '' : value)
+            .replace(/\\/g, '\\\\')
+            .replace(/\|/g, '\\|')
+            .replace(/</g, '&lt;')
+            .replace(/\r?\n/g, '<br>');
+        const line = cells => `| ${cells.join(' | ')} |`;
+
+        // GitHub tables need a header row; numbers are right-aligned
+        const lines = [
+            line(columns.map(column => cell(column.title))),
+            line(columns.map(column => (column.type === 'number' || column.type === 'currency' ? '---:' : '---'))),
+            ...rows.map(row => line(columns.map(column => cell(this.getExportValue(row, column, options)))))
+        ];
+        return lines.join('\n') + '\n';
+    }
+});
+
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = QMGrid;